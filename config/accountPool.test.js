@@ -0,0 +1,98 @@
+// SCRA account pool (src/accountPool.js): selection, quarantine, login problem detection and password expiry alerts: npm test
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Profiles are stored encrypted in a throwaway directory; least_used makes the pool's picks predictable
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scra-accounts-'));
+process.env.ENCRYPTION_KEYS = JSON.stringify({ activeKeyId: 'test', keys: { test: crypto.randomBytes(32).toString('base64') } });
+process.env.ACCOUNT_SELECTION = 'least_used';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const credentialStore = require('../src/credentialStore');
+const accountPool = require('../src/accountPool');
+const { getRecentAlerts } = require('../src/alerts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function saveAccount(name, pool, extra = {}) {
+  credentialStore.saveProfile(name, { username: `USER${name.toUpperCase()}`, password: 'not-a-real-password', pool, ...extra });
+}
+
+function assertUnavailable(fn) {
+  assert.throws(fn, error => {
+    assert.strictEqual(error.code, 'ACCOUNT_UNAVAILABLE');
+    return true;
+  });
+}
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('lockouts, expired passwords and forced password changes are recognized after login', () => {
+  assert.deepStrictEqual(accountPool.detectLoginProblem('Your account has been locked due to too many failed login attempts.'),
+    { code: 'ACCOUNT_LOCKED', reason: 'account locked' });
+  assert.deepStrictEqual(accountPool.detectLoginProblem('Your password has expired. Please reset your password.'),
+    { code: 'PASSWORD_EXPIRED', reason: 'password expired' });
+  assert.deepStrictEqual(accountPool.detectLoginProblem('You must change your password before continuing.\nNew Password\nConfirm New Password'),
+    { code: 'PASSWORD_EXPIRED', reason: 'password change required' });
+  // The normal form has a Change Password menu entry
+  assert.strictEqual(accountPool.detectLoginProblem('Home\nChange Password\nLog Out\nSingle Record Request\nSSN'), null);
+});
+
+test('a pool hands out its least used account and skips quarantined ones', () => {
+  saveAccount('pool-a1', 'pool-a');
+  saveAccount('pool-a2', 'pool-a');
+  saveAccount('pool-a3', 'pool-a');
+
+  const first = ['pool-a1', 'pool-a2', 'pool-a3'].map(() => accountPool.acquireAccount({ credentialPool: 'pool-a' }));
+  assert.deepStrictEqual(first.slice().sort(), ['pool-a1', 'pool-a2', 'pool-a3']);
+
+  accountPool.quarantineAccount('pool-a2', 'ACCOUNT_LOCKED', 'account locked');
+  const next = [1, 2, 3, 4].map(() => accountPool.acquireAccount({ credentialPool: 'pool-a' }));
+  assert.ok(!next.includes('pool-a2'));
+  assert.strictEqual(next.filter(name => name === 'pool-a1').length, 2);
+
+  const quarantined = accountPool.listAccounts().find(account => account.name === 'pool-a2');
+  assert.strictEqual(quarantined.status, 'quarantined');
+  assert.strictEqual(quarantined.quarantine.code, 'ACCOUNT_LOCKED');
+  assert.ok(getRecentAlerts().some(alert => alert.type === 'account_quarantined' && alert.details.profile === 'pool-a2'));
+});
+
+test('a pool with every account quarantined, or a quarantined profile, is unavailable until released', () => {
+  saveAccount('pool-b1', 'pool-b');
+  saveAccount('pool-b2', 'pool-b');
+  accountPool.quarantineAccount('pool-b1', 'PASSWORD_EXPIRED', 'password expired');
+  accountPool.quarantineAccount('pool-b2', 'LOGIN_FAILED', 'credentials rejected');
+
+  assert.strictEqual(accountPool.hasAvailableAccount('pool-b'), false);
+  assertUnavailable(() => accountPool.acquireAccount({ credentialPool: 'pool-b' }));
+  assertUnavailable(() => accountPool.acquireAccount({ credentialProfile: 'pool-b1' }));
+
+  assert.strictEqual(accountPool.releaseAccount('pool-b1'), true);
+  assert.strictEqual(accountPool.acquireAccount({ credentialPool: 'pool-b' }), 'pool-b1');
+  assert.strictEqual(accountPool.releaseAccount('pool-b1'), false);
+});
+
+test('an unknown profile is an invalid request', () => {
+  assert.throws(() => accountPool.acquireAccount({ credentialProfile: 'no-such-profile' }), error => {
+    assert.strictEqual(error.code, 'INVALID_REQUEST');
+    return true;
+  });
+});
+
+test('passwords close to expiry raise one alert a day', () => {
+  saveAccount('expiring', null, { passwordChangedAt: new Date(Date.now() - 54.5 * DAY_MS).toISOString() });
+  saveAccount('expired', null, { passwordChangedAt: new Date(Date.now() - 61 * DAY_MS).toISOString() });
+
+  assert.strictEqual(accountPool.checkPasswordExpiry(), 2);
+  assert.strictEqual(accountPool.checkPasswordExpiry(), 0);
+  assert.strictEqual(accountPool.checkPasswordExpiry(Date.now() + DAY_MS + 1000), 2);
+
+  const alerts = getRecentAlerts();
+  assert.ok(alerts.some(alert => alert.type === 'password_expiring' && alert.details.profile === 'expiring'));
+  assert.ok(alerts.some(alert => alert.type === 'password_expired' && alert.details.profile === 'expired'));
+  const expiring = accountPool.listAccounts().find(account => account.name === 'expiring');
+  assert.strictEqual(expiring.daysUntilPasswordExpiry, 5);
+});
@@ -0,0 +1,124 @@
+// Inbound API authentication (src/auth.js): API keys, HMAC signatures and replay rejection, admin tokens and signed links: npm test
+const crypto = require('crypto');
+
+// One API client that may call back to example.test, one admin token and the secrets to sign with
+const HMAC_SECRET = crypto.randomBytes(32).toString('hex');
+process.env.API_CLIENTS = JSON.stringify([
+  { id: 'salesforce-test', apiKeys: ['test-api-key'], hmacSecret: HMAC_SECRET, callbackHosts: ['*.my.salesforce-sites.com', 'example.test'] }
+]);
+process.env.ADMIN_TOKENS = 'test-admin-token';
+process.env.URL_SIGNING_SECRET = crypto.randomBytes(32).toString('hex');
+process.env.SIGNATURE_TOLERANCE_SECONDS = '300';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const auth = require('../src/auth');
+
+let server;
+let baseUrl;
+
+// The same body handling as server.js: the signature covers the raw body
+test.before(async () => {
+  auth.loadClients();
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.post('/scra-request', auth.authenticateClient, (req, res) => res.json({ client: req.client }));
+  app.get('/pdfs/:runFolder/:filename', auth.requireAdminOrSignedUrl, (req, res) => res.json({ ok: true }));
+  app.get('/legal-holds', auth.requireAdmin, (req, res) => res.json({ ok: true }));
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function post(headers, body = { matterId: 'AUTH-TEST' }) {
+  const response = await fetch(`${baseUrl}/scra-request`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function signedHeaders(rawBody, { timestamp = Math.floor(Date.now() / 1000), secret = HMAC_SECRET } = {}) {
+  return {
+    'X-Client-Id': 'salesforce-test',
+    'X-Timestamp': String(timestamp),
+    'X-Signature': crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')
+  };
+}
+
+test('an API key authenticates as its client, in either header', async () => {
+  const viaHeader = await post({ 'X-API-Key': 'test-api-key' });
+  assert.strictEqual(viaHeader.status, 200);
+  assert.deepStrictEqual(viaHeader.body.client, {
+    id: 'salesforce-test',
+    callbackHosts: ['*.my.salesforce-sites.com', 'example.test'],
+    authMethod: 'api_key'
+  });
+
+  const viaBearer = await post({ Authorization: 'Bearer test-api-key' });
+  assert.strictEqual(viaBearer.status, 200);
+});
+
+test('a missing or wrong API key is refused', async () => {
+  assert.deepStrictEqual(await post({}), { status: 401, body: { error: 'Authentication required' } });
+  assert.deepStrictEqual(await post({ 'X-API-Key': 'wrong-key' }), { status: 401, body: { error: 'Invalid API key' } });
+});
+
+test('a signed request authenticates once; replaying it is refused', async () => {
+  const rawBody = JSON.stringify({ matterId: 'AUTH-SIGNED' });
+  const headers = signedHeaders(rawBody);
+
+  const first = await post(headers, rawBody);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.client.authMethod, 'hmac');
+
+  assert.deepStrictEqual(await post(headers, rawBody), { status: 401, body: { error: 'Signature has already been used' } });
+});
+
+test('signatures over another body, with another secret or outside the time window are refused', async () => {
+  const rawBody = JSON.stringify({ matterId: 'AUTH-TAMPERED' });
+
+  const tampered = await post(signedHeaders(rawBody), JSON.stringify({ matterId: 'AUTH-OTHER' }));
+  assert.deepStrictEqual(tampered.body, { error: 'Invalid signature' });
+
+  const wrongSecret = await post(signedHeaders(rawBody, { secret: 'not-the-secret' }), rawBody);
+  assert.deepStrictEqual(wrongSecret.body, { error: 'Invalid signature' });
+
+  const stale = await post(signedHeaders(rawBody, { timestamp: Math.floor(Date.now() / 1000) - 600 }), rawBody);
+  assert.deepStrictEqual(stale.body, { error: 'Request timestamp is missing or outside the allowed window' });
+
+  const unknownClient = await post({ ...signedHeaders(rawBody), 'X-Client-Id': 'someone-else' }, rawBody);
+  assert.deepStrictEqual(unknownClient.body, { error: 'Unknown client' });
+});
+
+test('callbacks only go to the hosts registered for the client', () => {
+  const client = { id: 'salesforce-test', callbackHosts: ['*.my.salesforce-sites.com', 'example.test'] };
+
+  assert.strictEqual(auth.isCallbackHostAllowed(client, 'https://bblaw.my.salesforce-sites.com/services/apexrest/scra'), true);
+  assert.strictEqual(auth.isCallbackHostAllowed(client, 'https://example.test/callback'), true);
+  assert.strictEqual(auth.isCallbackHostAllowed(client, 'https://attacker.example/callback'), false);
+  assert.strictEqual(auth.isCallbackHostAllowed(null, 'https://attacker.example/callback'), true, 'authentication disabled');
+});
+
+test('artifacts need an admin token or an unexpired signed link', async () => {
+  const pdfPath = '/pdfs/run-2025-06-04T12-00-00-000Z/scra-result.pdf';
+  const status = async (url, headers = {}) => (await fetch(`${baseUrl}${url}`, { headers })).status;
+
+  assert.strictEqual(await status(pdfPath), 401);
+  assert.strictEqual(await status(pdfPath, { 'X-Admin-Token': 'test-admin-token' }), 200);
+  assert.strictEqual(await status(auth.signUrl(pdfPath)), 200);
+  assert.strictEqual(await status(auth.signUrl(pdfPath, -10)), 401, 'expired link');
+  assert.strictEqual(await status(auth.signUrl(pdfPath).replace('scra-result.pdf', 'other.pdf')), 401, 'link for another file');
+
+  assert.strictEqual(await status('/legal-holds', { Authorization: 'Bearer test-admin-token' }), 200);
+  assert.strictEqual(await status(auth.signUrl('/legal-holds')), 401, 'signed links do not open admin actions');
+});
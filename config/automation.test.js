@@ -0,0 +1,146 @@
+// End-to-end runs of runScraAutomation against the local DMDC stand-in (config/mockDmdc.js): npm run test:e2e
+// Needs Playwright's Firefox (npx playwright install firefox); skipped when it is not installed.
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+const MOCK_PORT = parseInt(process.env.MOCK_DMDC_PORT) || 8099;
+// Point the automation at the mock site; SCRA_URL is read once, when src/scraAutomation.js is loaded
+process.env.SCRA_URL = `http://localhost:${MOCK_PORT}/scra/#/single-record`;
+process.env.SKIP_CONNECTIVITY_CHECK = 'true';
+process.env.DOWNLOAD_TIMEOUT_MS = process.env.DOWNLOAD_TIMEOUT_MS || '5000';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scra-e2e-'));
+process.env.OUTPUTS_DIR = path.join(process.env.DATA_DIR, 'outputs');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { firefox } = require('playwright');
+const { runScraAutomation } = require('../src/scraAutomation');
+const { classifyError } = require('../src/errors');
+const browserPool = require('../src/browserPool');
+const { startMockDmdc } = require('./mockDmdc');
+
+const firefoxInstalled = fs.existsSync(firefox.executablePath());
+
+test.after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const REQUEST = {
+  ssn: '000-12-3456',
+  dob: '01/02/1990',
+  lastName: 'Testcase',
+  firstName: 'Pat',
+  scraUsername: 'mock-user',
+  scraPassword: 'mock-password',
+  matterId: 'MOCK-MATTER',
+  endpointUrl: null,
+  serverBaseUrl: 'http://localhost:3000'
+};
+
+async function assertFailsWith(code) {
+  await assert.rejects(runScraAutomation(REQUEST), error => {
+    assert.strictEqual(classifyError(error).code, code);
+    assert.ok(error.runFolder, 'the failed run should still report its folder');
+    return true;
+  });
+}
+
+test('automation against the mock DMDC site', { skip: !firefoxInstalled && 'Playwright Firefox is not installed' }, async t => {
+  const mock = await startMockDmdc({ port: MOCK_PORT });
+  t.after(async () => {
+    await browserPool.closeAll();
+    await mock.close();
+  });
+
+  await t.test('a non-active certificate produces an affirmation of non-military service', async () => {
+    mock.configure({ mode: 'ok', certificate: 'notActive' });
+    const result = await runScraAutomation(REQUEST);
+
+    assert.strictEqual(result.proofOfMilitaryServiceFound, 'No');
+    assert.strictEqual(result.pdfFileName, 'AFFIRMATION - Affirmation of Non Military.pdf');
+    const submission = mock.submissions[mock.submissions.length - 1];
+    assert.strictEqual(submission.ssn, '000123456');
+    assert.strictEqual(submission.ssnConfirmation, '000123456');
+    assert.strictEqual(submission.lastName, 'Testcase');
+    assert.strictEqual(submission.firstName, 'Pat');
+    assert.strictEqual(submission.dob, '01/02/1990');
+    assert.strictEqual(submission.termsAgree, 'on');
+  });
+
+  await t.test('an active duty certificate produces proof of military service', async () => {
+    mock.configure({ mode: 'ok', certificate: 'activeDuty' });
+    const result = await runScraAutomation(REQUEST);
+
+    assert.strictEqual(result.proofOfMilitaryServiceFound, 'Yes');
+    assert.strictEqual(result.pdfFileName, 'Pat Testcase - Proof of Military Service.pdf');
+    assert.strictEqual(result.certificate.activeDuty.startDate, '2023-10-01');
+  });
+
+  await t.test('a slow site still completes', async () => {
+    mock.configure({ mode: 'slow', slowMs: 3000, certificate: 'notActive' });
+    const result = await runScraAutomation(REQUEST);
+
+    assert.strictEqual(result.proofOfMilitaryServiceFound, 'No');
+  });
+
+  await t.test('a later lookup for the same account reuses the stored session', async () => {
+    mock.configure({ mode: 'ok', certificate: 'notActive' });
+    const loginsBefore = mock.logins.length;
+    await runScraAutomation(REQUEST);
+
+    assert.strictEqual(mock.logins.length, loginsBefore);
+  });
+
+  await t.test('an expired session is replaced by a fresh login', async () => {
+    mock.configure({ mode: 'ok', certificate: 'notActive' });
+    mock.expireSessions();
+    const loginsBefore = mock.logins.length;
+    const result = await runScraAutomation(REQUEST);
+
+    assert.strictEqual(result.proofOfMilitaryServiceFound, 'No');
+    assert.strictEqual(mock.logins.length, loginsBefore + 1);
+  });
+
+  await t.test('renamed field IDs are found by the fallback selectors', async () => {
+    mock.configure({ mode: 'changed_ids', certificate: 'notActive' });
+    const result = await runScraAutomation(REQUEST);
+
+    assert.strictEqual(result.proofOfMilitaryServiceFound, 'No');
+    const submission = mock.submissions[mock.submissions.length - 1];
+    assert.strictEqual(submission.ssn, '000123456');
+    assert.strictEqual(submission.dob, '01/02/1990');
+  });
+
+  await t.test('rejected credentials fail with LOGIN_FAILED', async () => {
+    mock.configure({ mode: 'login_error' });
+    await assertFailsWith('LOGIN_FAILED');
+  });
+
+  await t.test('a locked account fails with ACCOUNT_LOCKED', async () => {
+    mock.configure({ mode: 'locked' });
+    await assertFailsWith('ACCOUNT_LOCKED');
+  });
+
+  await t.test('an expired password or a forced password change fails with PASSWORD_EXPIRED', async () => {
+    mock.configure({ mode: 'password_expired' });
+    await assertFailsWith('PASSWORD_EXPIRED');
+    mock.configure({ mode: 'change_password' });
+    await assertFailsWith('PASSWORD_EXPIRED');
+  });
+
+  await t.test('a form without the terms checkbox fails with FORM_CHANGED', async () => {
+    mock.configure({ mode: 'missing_checkbox' });
+    await assertFailsWith('FORM_CHANGED');
+  });
+
+  await t.test('a submit that never downloads fails with DOWNLOAD_TIMEOUT', async () => {
+    mock.configure({ mode: 'no_download' });
+    await assertFailsWith('DOWNLOAD_TIMEOUT');
+  });
+
+  await t.test('a downloaded page that is not a certificate fails with CERTIFICATE_UNRECOGNIZED', async () => {
+    mock.configure({ mode: 'ok', certificate: 'notACertificate' });
+    await assertFailsWith('CERTIFICATE_UNRECOGNIZED');
+  });
+});
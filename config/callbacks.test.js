@@ -0,0 +1,137 @@
+// Callback payloads and delivery checked against the fake Salesforce endpoint (config/fakeSalesforce.js): npm test
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+// Short simulated timeouts, and run folders out of the checkout
+process.env.STAGE_TIMEOUT_CALLBACK_MS = '1000';
+process.env.OUTPUTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scra-callbacks-'));
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildResultPayload, buildFailurePayload, postCallback } = require('../src/callbacks');
+const { classifyError, ScraError } = require('../src/errors');
+const { FIXTURES } = require('./fixtures/certificatePdf');
+const { checkPayload, startFakeSalesforce } = require('./fakeSalesforce');
+
+const OUTPUTS_DIR = process.env.OUTPUTS_DIR;
+const RUN_FOLDER = 'run-callbacks-test';
+const NON_MILITARY_PDF_NAME = 'AFFIRMATION - Affirmation of Non Military.pdf';
+
+function writeRun() {
+  const runPath = path.join(OUTPUTS_DIR, RUN_FOLDER);
+  fs.mkdirSync(runPath, { recursive: true });
+  fs.writeFileSync(path.join(runPath, NON_MILITARY_PDF_NAME), FIXTURES.notActive());
+  fs.writeFileSync(path.join(runPath, 'result.json'), JSON.stringify({
+    matterId: 'CALLBACK-TEST',
+    proofOfMilitaryServiceFound: 'No',
+    pdfFileName: NON_MILITARY_PDF_NAME,
+    certificate: null,
+    timestamp: new Date().toISOString()
+  }));
+}
+
+test('callback delivery to the fake Salesforce endpoint', async t => {
+  writeRun();
+  const salesforce = await startFakeSalesforce({ port: 0 });
+  t.after(async () => {
+    await salesforce.close();
+    fs.rmSync(OUTPUTS_DIR, { recursive: true, force: true });
+  });
+  t.beforeEach(() => {
+    salesforce.reset();
+    salesforce.configure({ mode: 'ok', times: null });
+  });
+
+  await t.test('a result payload built from a run folder meets the contract', async () => {
+    const response = await postCallback(salesforce.callbackUrl, buildResultPayload(RUN_FOLDER));
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.isHtmlResponse, false);
+    const [delivery] = salesforce.deliveries;
+    assert.strictEqual(delivery.kind, 'result');
+    assert.deepStrictEqual(delivery.problems, []);
+    assert.strictEqual(delivery.matterId, 'CALLBACK-TEST');
+    assert.strictEqual(delivery.payload.pdfFileName, NON_MILITARY_PDF_NAME);
+    assert.strictEqual(delivery.payload.pdfBytes, FIXTURES.notActive().length);
+    assert.strictEqual(delivery.headers['content-type'], 'application/json');
+  });
+
+  await t.test('a failure payload meets the contract', async () => {
+    const payload = buildFailurePayload({
+      matterId: 'CALLBACK-TEST',
+      jobId: 'job-1',
+      runFolder: RUN_FOLDER,
+      serverBaseUrl: 'http://localhost:3000',
+      classification: classifyError(new ScraError('LOGIN_FAILED', 'Login failed: credentials were rejected'))
+    });
+    await postCallback(salesforce.callbackUrl, payload);
+
+    const [delivery] = salesforce.deliveries;
+    assert.strictEqual(delivery.kind, 'failure');
+    assert.deepStrictEqual(delivery.problems, []);
+    assert.strictEqual(delivery.payload.errorCode, 'LOGIN_FAILED');
+  });
+
+  await t.test('a payload breaking the contract is rejected with the problems found', async () => {
+    const payload = { ...buildResultPayload(RUN_FOLDER), proofOfMilitaryServiceFound: 'Maybe' };
+    delete payload.pdfFileName;
+
+    await assert.rejects(postCallback(salesforce.callbackUrl, payload), error => {
+      assert.strictEqual(error.response.status, 400);
+      return true;
+    });
+    const [delivery] = salesforce.deliveries;
+    assert.strictEqual(delivery.valid, false);
+    assert.ok(delivery.problems.some(problem => problem.startsWith('proofOfMilitaryServiceFound')));
+    assert.ok(delivery.problems.some(problem => problem.startsWith('pdfFileName')));
+  });
+
+  await t.test('an HTML error page is reported as such', async () => {
+    salesforce.configure({ mode: 'html' });
+    const response = await postCallback(salesforce.callbackUrl, buildResultPayload(RUN_FOLDER));
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.isHtmlResponse, true);
+  });
+
+  await t.test('a 5xx fails the attempt and the next one goes through', async () => {
+    salesforce.configure({ mode: 'error', status: 503, times: 1 });
+    const payload = buildResultPayload(RUN_FOLDER);
+
+    await assert.rejects(postCallback(salesforce.callbackUrl, payload), error => {
+      assert.strictEqual(error.response.status, 503);
+      return true;
+    });
+    const response = await postCallback(salesforce.callbackUrl, payload);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(salesforce.deliveries.map(delivery => delivery.responseStatus), [503, 200]);
+  });
+
+  await t.test('an endpoint that never answers times out', async () => {
+    salesforce.configure({ mode: 'timeout' });
+
+    await assert.rejects(postCallback(salesforce.callbackUrl, buildResultPayload(RUN_FOLDER)), /timeout/i);
+    assert.strictEqual(salesforce.deliveries.length, 1);
+    assert.strictEqual(salesforce.deliveries[0].responseStatus, null);
+  });
+
+  await t.test('waitForDeliveries resolves once enough deliveries arrived', async () => {
+    const waiting = salesforce.waitForDeliveries(2, { matterId: 'CALLBACK-TEST', timeoutMs: 5000 });
+    const payload = buildResultPayload(RUN_FOLDER);
+    await postCallback(salesforce.callbackUrl, payload);
+    await postCallback(salesforce.callbackUrl, payload);
+
+    assert.strictEqual((await waiting).length, 2);
+  });
+});
+
+test('contract checks', () => {
+  assert.strictEqual(checkPayload(null).kind, 'unknown');
+  assert.ok(checkPayload({ matterId: 'M', proofOfMilitaryServiceFound: 'Yes', pdfBase64: Buffer.from('not a pdf').toString('base64'),
+    pdfFileName: 'Pat Testcase - Proof of Military Service.pdf' }).problems.includes('pdfBase64 does not decode to a PDF'));
+  assert.ok(checkPayload({ matterId: 'M', proofOfMilitaryServiceFound: 'Yes', pdfBase64: FIXTURES.activeDuty().toString('base64'),
+    pdfFileName: NON_MILITARY_PDF_NAME }).problems[0].startsWith('pdfFileName'));
+  assert.deepStrictEqual(checkPayload({ status: 'failed', matterId: 'M', errorCode: 'UNKNOWN', retryable: 'yes', errorMessage: 'x' }).problems,
+    ['retryable must be true or false']);
+});
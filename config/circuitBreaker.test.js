@@ -0,0 +1,115 @@
+// Circuit breaker around the DMDC site (src/circuitBreaker.js): opening, probing, the half-open trial and resuming: npm test
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+// Opens after two failures; the interval is long enough that the tests run every probe themselves
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scra-breaker-'));
+process.env.CIRCUIT_FAILURE_THRESHOLD = '2';
+process.env.CIRCUIT_PROBE_INTERVAL_MS = '60000';
+process.env.CIRCUIT_PROBE_TIMEOUT_MS = '5000';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getRecentAlerts } = require('../src/alerts');
+const { startMockDmdc } = require('./mockDmdc');
+
+let mock;
+let circuitBreaker;
+let resumed = 0;
+
+function failOnNavigation(jobId) {
+  return circuitBreaker.recordOutcome('failure', { jobId, code: 'DMDC_UNREACHABLE', detail: 'Failed to navigate to SCRA site after 3 attempts' });
+}
+
+// The probes go to the mock; SCRA_URL is read when the automation is loaded, so load it once the mock has a port
+test.before(async () => {
+  mock = await startMockDmdc({ port: 0 });
+  process.env.SCRA_URL = mock.scraUrl;
+  circuitBreaker = require('../src/circuitBreaker');
+  circuitBreaker.setResumeHandler(() => resumed++);
+});
+
+test.after(async () => {
+  circuitBreaker.reset();
+  await mock.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('only failures to reach DMDC count against it', () => {
+  assert.strictEqual(circuitBreaker.outcomeOf('DMDC_UNREACHABLE', 'navigation'), 'failure');
+  assert.strictEqual(circuitBreaker.outcomeOf('TIMEOUT', 'navigation'), 'failure');
+  assert.strictEqual(circuitBreaker.outcomeOf('TIMEOUT', 'form'), 'success');
+  assert.strictEqual(circuitBreaker.outcomeOf('LOGIN_FAILED', 'login'), 'success');
+  assert.strictEqual(circuitBreaker.outcomeOf(null, 'completed'), 'success');
+  assert.strictEqual(circuitBreaker.outcomeOf('BROWSER_UNAVAILABLE', 'browser_init'), 'neutral');
+});
+
+test('the breaker opens after consecutive failures and holds every job', () => {
+  failOnNavigation('job-1');
+  circuitBreaker.recordOutcome('success', { jobId: 'job-2' });
+  assert.strictEqual(failOnNavigation('job-3'), 'closed', 'a success in between starts the count over');
+  assert.strictEqual(circuitBreaker.tryStartJob('job-4'), true);
+
+  assert.strictEqual(failOnNavigation('job-4'), 'open');
+  assert.strictEqual(circuitBreaker.tryStartJob('job-5'), false);
+  const status = circuitBreaker.getBreakerStatus();
+  assert.strictEqual(status.consecutiveFailures, 2);
+  assert.strictEqual(status.lastFailure.code, 'DMDC_UNREACHABLE');
+  assert.ok(status.openedAt && status.nextProbeAt);
+  assert.ok(getRecentAlerts().some(alert => alert.type === 'circuit_open'));
+});
+
+test('a failed probe keeps the breaker open', async () => {
+  mock.configure({ mode: 'down' });
+  const probe = await circuitBreaker.probe();
+
+  assert.strictEqual(probe.ok, false);
+  assert.strictEqual(circuitBreaker.getBreakerStatus().state, 'open');
+  assert.strictEqual(resumed, 0);
+});
+
+test('a successful probe lets one trial job through, and its failure reopens the breaker', async () => {
+  mock.configure({ mode: 'ok' });
+  const probe = await circuitBreaker.probe();
+
+  assert.strictEqual(probe.ok, true);
+  assert.strictEqual(circuitBreaker.getBreakerStatus().state, 'half_open');
+  assert.strictEqual(resumed, 1);
+  assert.strictEqual(circuitBreaker.tryStartJob('trial-1'), true);
+  assert.strictEqual(circuitBreaker.getBreakerStatus().trialJobId, 'trial-1');
+  assert.strictEqual(circuitBreaker.tryStartJob('job-6'), false, 'only one trial at a time');
+
+  assert.strictEqual(failOnNavigation('trial-1'), 'open');
+  assert.strictEqual(circuitBreaker.tryStartJob('job-6'), false);
+});
+
+test('in half open, jobs that started before the breaker opened do not decide it', async () => {
+  await circuitBreaker.probe();
+  assert.strictEqual(circuitBreaker.tryStartJob('trial-2'), true);
+
+  // A job started while the breaker was still closed finishes during the trial
+  assert.strictEqual(circuitBreaker.recordOutcome('success', { jobId: 'started-earlier' }), 'half_open');
+  assert.strictEqual(failOnNavigation('started-earlier-too'), 'half_open');
+  assert.strictEqual(circuitBreaker.tryStartJob('job-7'), false, 'the trial is still running');
+
+  // The trial never got to the site: the next job becomes the trial
+  const resumedBefore = resumed;
+  assert.strictEqual(circuitBreaker.recordOutcome('neutral', { jobId: 'trial-2', code: 'BROWSER_UNAVAILABLE' }), 'half_open');
+  assert.strictEqual(resumed, resumedBefore + 1);
+  assert.strictEqual(circuitBreaker.tryStartJob('trial-3'), true);
+  assert.strictEqual(failOnNavigation('trial-3'), 'open');
+});
+
+test('a trial that reaches DMDC closes the breaker and resumes the queue', async () => {
+  await circuitBreaker.probe();
+  assert.strictEqual(circuitBreaker.tryStartJob('trial-4'), true);
+  const resumedBefore = resumed;
+
+  assert.strictEqual(circuitBreaker.recordOutcome('success', { jobId: 'trial-4' }), 'closed');
+  assert.strictEqual(resumed, resumedBefore + 1);
+  assert.strictEqual(circuitBreaker.getBreakerStatus().consecutiveFailures, 0);
+  assert.strictEqual(circuitBreaker.getBreakerStatus().trialJobId, null);
+  assert.strictEqual(circuitBreaker.tryStartJob('job-8'), true);
+  assert.ok(getRecentAlerts().some(alert => alert.type === 'circuit_closed'));
+});
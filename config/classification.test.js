@@ -0,0 +1,109 @@
+// Offline regression suite for the certificate classification (src/classification.js).
+// Runs against synthetic PDFs from fixtures/certificatePdf.js, no browser or network needed: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyCertificatePdf, classifyCertificateText } = require('../src/classification');
+const { FIXTURES, certificateLines } = require('./fixtures/certificatePdf');
+
+const NOT_FOUND = { status: 'No', startDate: null, endDate: null, serviceComponent: null };
+
+async function assertUnrecognized(pdfBuffer) {
+  await assert.rejects(classifyCertificatePdf(pdfBuffer), error => {
+    assert.strictEqual(error.name, 'ScraError');
+    assert.strictEqual(error.code, 'CERTIFICATE_UNRECOGNIZED');
+    return true;
+  });
+}
+
+test('active duty certificate is proof of service', async () => {
+  const { proofOfMilitaryServiceFound, certificate, basis } = await classifyCertificatePdf(FIXTURES.activeDuty());
+
+  assert.strictEqual(proofOfMilitaryServiceFound, 'Yes');
+  assert.strictEqual(basis, 'certificate');
+  assert.strictEqual(certificate.ambiguous, false);
+  assert.deepStrictEqual(certificate.activeDuty, {
+    status: 'Yes',
+    startDate: '2023-10-01',
+    endDate: '2026-09-30',
+    serviceComponent: 'Army Active Duty'
+  });
+  assert.deepStrictEqual(certificate.leftActiveDutyWithin367Days, NOT_FOUND);
+  assert.deepStrictEqual(certificate.futureCallUp, NOT_FOUND);
+});
+
+test('certificate with no active duty, no recent separation and no call-up is not proof of service', async () => {
+  const { proofOfMilitaryServiceFound, certificate, basis } = await classifyCertificatePdf(FIXTURES.notActive());
+
+  assert.strictEqual(proofOfMilitaryServiceFound, 'No');
+  assert.strictEqual(basis, 'certificate');
+  assert.strictEqual(certificate.ambiguous, false);
+  assert.strictEqual(certificate.certificateId, 'FIXTURE0001ABCDE');
+  assert.strictEqual(certificate.resultsAsOf, '2025-06-01');
+  assert.strictEqual(certificate.statusAsOf, '2025-05-30');
+  assert.deepStrictEqual(certificate.activeDuty, NOT_FOUND);
+  assert.deepStrictEqual(certificate.leftActiveDutyWithin367Days, NOT_FOUND);
+  assert.deepStrictEqual(certificate.futureCallUp, NOT_FOUND);
+});
+
+test('leaving active duty within 367 days is proof of service', async () => {
+  const { proofOfMilitaryServiceFound, certificate } = await classifyCertificatePdf(FIXTURES.leftWithin367Days());
+
+  assert.strictEqual(proofOfMilitaryServiceFound, 'Yes');
+  assert.deepStrictEqual(certificate.activeDuty, NOT_FOUND);
+  assert.deepStrictEqual(certificate.leftActiveDutyWithin367Days, {
+    status: 'Yes',
+    startDate: '2020-01-15',
+    endDate: '2025-02-28',
+    serviceComponent: 'Navy Reserve'
+  });
+});
+
+test('notice of a future call-up is proof of service', async () => {
+  const { proofOfMilitaryServiceFound, certificate } = await classifyCertificatePdf(FIXTURES.futureCallUp());
+
+  assert.strictEqual(proofOfMilitaryServiceFound, 'Yes');
+  assert.deepStrictEqual(certificate.futureCallUp, {
+    status: 'Yes',
+    startDate: '2025-07-01',
+    endDate: null,
+    serviceComponent: 'Marine Corps Reserve'
+  });
+});
+
+test('a readable PDF that is not a status report is rejected instead of answered "No"', async () => {
+  await assertUnrecognized(FIXTURES.notACertificate());
+});
+
+test('a truncated download is rejected', async () => {
+  await assertUnrecognized(FIXTURES.truncated());
+});
+
+test('a file that is not a PDF is rejected', async () => {
+  await assertUnrecognized(FIXTURES.corrupt());
+});
+
+test('a row run together by the text extraction is still read', () => {
+  const text = certificateLines({ activeDuty: ['Oct-01-2023Sep-30-2026YesArmy Active Duty'] }).join('\n');
+
+  const { proofOfMilitaryServiceFound, certificate } = classifyCertificateText(text);
+  assert.strictEqual(proofOfMilitaryServiceFound, 'Yes');
+  assert.strictEqual(certificate.activeDuty.startDate, '2023-10-01');
+  assert.strictEqual(certificate.activeDuty.serviceComponent, 'Army Active Duty');
+});
+
+test('a partly unrecognized layout falls back to the line heuristic', () => {
+  // The status cell of the active duty row is missing, so the certificate cannot say "No" on its own
+  const withService = certificateLines({ activeDuty: ['Oct-01-2023', 'Sep-30-2026', 'Army Active Duty'] }).join('\n');
+  // The heuristic needs each heading row on one line, as pdf-parse extracts most real certificates
+  const withoutService = certificateLines({ activeDuty: ['NA', 'NA', 'NA'] }).join('\n')
+    .replace(/Start Date\n(.* End Date)\nStatus\nService Component/g, 'Start Date $1 Status Service Component');
+
+  const yes = classifyCertificateText(withService);
+  assert.strictEqual(yes.basis, 'heuristic');
+  assert.strictEqual(yes.certificate.ambiguous, true);
+  assert.strictEqual(yes.proofOfMilitaryServiceFound, 'Yes');
+
+  const no = classifyCertificateText(withoutService);
+  assert.strictEqual(no.basis, 'heuristic');
+  assert.strictEqual(no.proofOfMilitaryServiceFound, 'No');
+});
@@ -0,0 +1,83 @@
+// Stored SCRA credential profiles (src/credentialStore.js) and how /scra-request bodies reference them: npm test
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// A throwaway directory and key ring, as profiles are only stored encrypted
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scra-credentials-'));
+process.env.ENCRYPTION_KEYS = JSON.stringify({ activeKeyId: 'test', keys: { test: crypto.randomBytes(32).toString('base64') } });
+
+const test = require('node:test');
+const assert = require('node:assert');
+const credentialStore = require('../src/credentialStore');
+const { validateScraRequest } = require('../src/validation');
+
+const PROFILES_DIR = path.join(process.env.DATA_DIR, 'credential_profiles');
+const BODY = {
+  ssn: '000-12-3456',
+  lastName: 'Testcase',
+  firstName: 'Pat',
+  matterId: 'CREDENTIALS-TEST'
+};
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('a saved profile is encrypted on disk and survives a reload', () => {
+  credentialStore.saveProfile('firm-main', { username: 'STRATTWALDT380559', password: 'not-a-real-password' });
+
+  const stored = fs.readFileSync(path.join(PROFILES_DIR, 'firm-main.json'));
+  assert.ok(!stored.includes('not-a-real-password'));
+  assert.ok(!stored.includes('STRATTWALDT380559'));
+
+  credentialStore.loadCredentialProfiles();
+  assert.deepStrictEqual(credentialStore.getCredentials('firm-main'), {
+    username: 'STRATTWALDT380559',
+    password: 'not-a-real-password'
+  });
+});
+
+test('the listing never shows the password or the full username', () => {
+  credentialStore.saveProfile('firm-listing', { username: 'STRATTWALDT380559', password: 'not-a-real-password', description: 'Listing test' });
+
+  const listed = credentialStore.listProfiles().find(profile => profile.name === 'firm-listing');
+  assert.strictEqual(listed.username, 'ST***59');
+  assert.strictEqual(listed.description, 'Listing test');
+  assert.ok(!JSON.stringify(listed).includes('not-a-real-password'));
+});
+
+test('invalid profiles are rejected and deleted ones are gone', () => {
+  assert.throws(() => credentialStore.saveProfile('../escape', { username: 'user', password: 'secret' }), /name may only contain/);
+  assert.throws(() => credentialStore.saveProfile('no-password', { username: 'user' }), /password is required/);
+
+  credentialStore.saveProfile('firm-deleted', { username: 'STRATTWALDT380559', password: 'not-a-real-password' });
+  assert.strictEqual(credentialStore.deleteProfile('firm-deleted'), true);
+  assert.strictEqual(credentialStore.getCredentials('firm-deleted'), null);
+  assert.ok(!fs.existsSync(path.join(PROFILES_DIR, 'firm-deleted.json')));
+  assert.strictEqual(credentialStore.deleteProfile('firm-deleted'), false);
+});
+
+test('a request may reference a profile instead of sending credentials', () => {
+  const { errors, value } = validateScraRequest({ ...BODY, credentialProfile: 'firm-main' });
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(value.credentialProfile, 'firm-main');
+  assert.strictEqual(value.scraPassword, undefined);
+});
+
+test('a request with both a profile and credentials is rejected', () => {
+  const { errors } = validateScraRequest({ ...BODY, credentialProfile: 'firm-main', scraUsername: 'user', scraPassword: 'secret' });
+
+  assert.deepStrictEqual(errors.map(error => error.field), ['credentialProfile']);
+});
+
+test('raw credentials are refused when they are not allowed', () => {
+  const withCredentials = validateScraRequest({ ...BODY, scraUsername: 'user', scraPassword: 'secret' }, { allowRawCredentials: false });
+  assert.match(withCredentials.errors[0].message, /Raw SCRA credentials are not accepted/);
+
+  const withNothing = validateScraRequest(BODY, { allowRawCredentials: false });
+  assert.deepStrictEqual(withNothing.errors, [{ field: 'credentialProfile', message: 'credentialProfile or credentialPool is required' }]);
+
+  const allowed = validateScraRequest({ ...BODY, scraUsername: 'user', scraPassword: 'secret' });
+  assert.deepStrictEqual(allowed.errors, []);
+});
@@ -0,0 +1,250 @@
+// Local stand-in for the Salesforce callback endpoint. It records every delivery, checks it against the
+// payload contract (see "Callback Outbox" and "Failure Callbacks" in the README) and can misbehave the way the
+// real endpoint does.
+//
+// Standalone: npm run fake-salesforce, then send jobs with callbackUrl http://localhost:9999/fake-salesforce-callback
+// Inspect:    curl localhost:9999/__fake/deliveries
+// Misbehave:  curl -X POST localhost:9999/__fake/config -H 'Content-Type: application/json' -d '{"mode":"error","status":503,"times":2}'
+//
+// Modes:
+//   ok      - 200 {"success":true}; payloads breaking the contract get 400 with the problems found
+//   html    - 200 with a Salesforce Sites error page instead of JSON
+//   error   - status (default 500) with a JSON error body
+//   timeout - never answers; the request is left hanging until the caller gives up
+// times limits a failure mode to the next N deliveries, after which the stub goes back to ok.
+const express = require('express');
+
+const FAKE_SALESFORCE_PORT = parseInt(process.env.FAKE_SALESFORCE_PORT) || 9999;
+const CALLBACK_PATH = '/fake-salesforce-callback';
+const MODES = ['ok', 'html', 'error', 'timeout'];
+
+const NON_MILITARY_PDF_NAME = 'AFFIRMATION - Affirmation of Non Military.pdf';
+const MILITARY_PDF_NAME = / - Proof of Military Service\.pdf$/;
+
+const SITE_ERROR_PAGE = `<!DOCTYPE HTML PUBLIC "-//W3C//DTD HTML 4.01 Transitional//EN">
+<html>
+<head><title>Error</title></head>
+<body>
+<p>Down For Maintenance. This site is down for maintenance. Please check back soon.</p>
+</body>
+</html>`;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Problems with a result payload: { matterId, proofOfMilitaryServiceFound, pdfBase64, pdfFileName, certificate? }
+function checkResultPayload(payload) {
+  const problems = [];
+  if (!isNonEmptyString(payload.matterId)) {
+    problems.push('matterId must be a non-empty string');
+  }
+  if (!['Yes', 'No'].includes(payload.proofOfMilitaryServiceFound)) {
+    problems.push('proofOfMilitaryServiceFound must be "Yes" or "No"');
+  }
+  if (!isNonEmptyString(payload.pdfBase64) || !/^[A-Za-z0-9+/]+={0,2}$/.test(payload.pdfBase64)) {
+    problems.push('pdfBase64 must be a non-empty base64 string');
+  } else if (!Buffer.from(payload.pdfBase64, 'base64').subarray(0, 5).equals(Buffer.from('%PDF-'))) {
+    problems.push('pdfBase64 does not decode to a PDF');
+  }
+  if (!isNonEmptyString(payload.pdfFileName) || !payload.pdfFileName.endsWith('.pdf')) {
+    problems.push('pdfFileName must be a file name ending in .pdf');
+  } else if (payload.proofOfMilitaryServiceFound === 'No' && payload.pdfFileName !== NON_MILITARY_PDF_NAME) {
+    problems.push(`pdfFileName must be "${NON_MILITARY_PDF_NAME}" when proofOfMilitaryServiceFound is "No"`);
+  } else if (payload.proofOfMilitaryServiceFound === 'Yes' && !MILITARY_PDF_NAME.test(payload.pdfFileName)) {
+    problems.push('pdfFileName must be "<First> <Last> - Proof of Military Service.pdf" when proofOfMilitaryServiceFound is "Yes"');
+  }
+  if (payload.certificate !== undefined && payload.certificate !== null && typeof payload.certificate !== 'object') {
+    problems.push('certificate must be an object or null');
+  }
+  return problems;
+}
+
+// Problems with a failure payload: { matterId, jobId, status: 'failed', errorCode, retryable, errorMessage, ... }
+function checkFailurePayload(payload) {
+  const problems = [];
+  if (!isNonEmptyString(payload.matterId)) {
+    problems.push('matterId must be a non-empty string');
+  }
+  if (!isNonEmptyString(payload.errorCode)) {
+    problems.push('errorCode must be a non-empty string');
+  }
+  if (typeof payload.retryable !== 'boolean') {
+    problems.push('retryable must be true or false');
+  }
+  if (!isNonEmptyString(payload.errorMessage)) {
+    problems.push('errorMessage must be a non-empty string');
+  }
+  return problems;
+}
+
+// Classify a delivery and list what is wrong with it. Returns { kind: 'result' | 'failure' | 'unknown', problems }.
+function checkPayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { kind: 'unknown', problems: ['body must be a JSON object'] };
+  }
+  if (payload.status === 'failed') {
+    return { kind: 'failure', problems: checkFailurePayload(payload) };
+  }
+  return { kind: 'result', problems: checkResultPayload(payload) };
+}
+
+// Start the stub on the given port (0 picks a free one).
+// Resolves to { url, callbackUrl, configure, deliveries, waitForDeliveries, reset, close }.
+function startFakeSalesforce({ port = FAKE_SALESFORCE_PORT, mode = 'ok', status = 500, times = null, delayMs = 0 } = {}) {
+  const app = express();
+  const config = {};
+  const deliveries = [];
+  const waiters = [];
+
+  function configure(changes) {
+    if (changes.mode !== undefined && !MODES.includes(changes.mode)) {
+      throw new Error(`mode must be one of ${MODES.join(', ')}`);
+    }
+    for (const key of ['mode', 'status', 'times', 'delayMs']) {
+      if (changes[key] !== undefined) config[key] = changes[key];
+    }
+    return { ...config };
+  }
+  configure({ mode, status, times, delayMs });
+
+  // The mode applying to the next delivery; a limited failure mode counts down to ok
+  function takeMode() {
+    const current = config.mode;
+    if (current !== 'ok' && config.times !== null) {
+      config.times--;
+      if (config.times <= 0) {
+        config.mode = 'ok';
+        config.times = null;
+      }
+    }
+    return current;
+  }
+
+  function notifyWaiters() {
+    for (const waiter of waiters.slice()) {
+      if (waiter.matches().length >= waiter.count) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(waiter.matches());
+      }
+    }
+  }
+
+  // Resolves with the matching deliveries once there are at least count of them; rejects after timeoutMs
+  function waitForDeliveries(count, { matterId = null, timeoutMs = 60000 } = {}) {
+    const matches = () => deliveries.filter(delivery => !matterId || delivery.matterId === matterId);
+    if (matches().length >= count) {
+      return Promise.resolve(matches());
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { count, matches, resolve };
+      waiter.timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(new Error(`Expected ${count} deliveries${matterId ? ` for ${matterId}` : ''}, got ${matches().length} after ${timeoutMs}ms`));
+      }, timeoutMs);
+      waiters.push(waiter);
+    });
+  }
+
+  function reset() {
+    deliveries.length = 0;
+  }
+
+  app.use(express.json({ limit: '50mb' }));
+
+  app.post(CALLBACK_PATH, (req, res) => {
+    const { kind, problems } = checkPayload(req.body);
+    const deliveryMode = takeMode();
+    const payload = { ...req.body };
+    // Keep the size of the PDF, not the PDF itself
+    if (typeof payload.pdfBase64 === 'string') {
+      payload.pdfBytes = Buffer.from(payload.pdfBase64, 'base64').length;
+      delete payload.pdfBase64;
+    }
+
+    const delivery = {
+      number: deliveries.length + 1,
+      receivedAt: new Date().toISOString(),
+      kind,
+      matterId: req.body && req.body.matterId,
+      valid: problems.length === 0,
+      problems,
+      mode: deliveryMode,
+      headers: { 'content-type': req.headers['content-type'], accept: req.headers.accept },
+      payload,
+      responseStatus: null
+    };
+    deliveries.push(delivery);
+    console.log(`Fake Salesforce received ${kind} callback #${delivery.number} for ${delivery.matterId} (${deliveryMode}` +
+      `${problems.length ? `, ${problems.length} contract problem(s): ${problems.join('; ')}` : ''})`);
+
+    const respond = () => {
+      if (deliveryMode === 'timeout') {
+        return; // left hanging
+      }
+      if (deliveryMode === 'html') {
+        delivery.responseStatus = 200;
+        return res.status(200).type('html').send(SITE_ERROR_PAGE);
+      }
+      if (deliveryMode === 'error') {
+        delivery.responseStatus = config.status;
+        return res.status(config.status).json({ success: false, message: 'Simulated Salesforce error' });
+      }
+      if (problems.length > 0) {
+        delivery.responseStatus = 400;
+        return res.status(400).json({ success: false, problems });
+      }
+      delivery.responseStatus = 200;
+      res.json({ success: true });
+    };
+    setTimeout(respond, config.delayMs);
+    notifyWaiters();
+  });
+
+  // Test controls
+  app.get('/__fake/config', (req, res) => res.json(config));
+  app.post('/__fake/config', (req, res) => {
+    try {
+      res.json(configure(req.body || {}));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+  app.get('/__fake/deliveries', (req, res) => {
+    res.json(deliveries.filter(delivery => !req.query.matterId || delivery.matterId === req.query.matterId));
+  });
+  app.delete('/__fake/deliveries', (req, res) => {
+    reset();
+    res.json({ success: true });
+  });
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => {
+      const url = `http://localhost:${server.address().port}`;
+      resolve({
+        url,
+        callbackUrl: `${url}${CALLBACK_PATH}`,
+        configure,
+        deliveries,
+        waitForDeliveries,
+        reset,
+        close: () => new Promise(done => {
+          // Hanging "timeout" requests would otherwise keep the server open
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+if (require.main === module) {
+  startFakeSalesforce({ mode: process.env.FAKE_SALESFORCE_MODE || 'ok' }).then(({ url, callbackUrl }) => {
+    console.log(`Fake Salesforce listening on ${url}`);
+    console.log(`Callback URL: ${callbackUrl}`);
+  });
+}
+
+module.exports = { MODES, CALLBACK_PATH, checkPayload, startFakeSalesforce };
@@ -0,0 +1,97 @@
+// Synthetic DMDC certificates for the classification tests.
+// Each fixture is a minimal single-page PDF (Helvetica text, no compression) laid out like the real
+// "Status Report Pursuant to Servicemembers Civil Relief Act", with made-up people and certificate IDs.
+
+const HEADER_LINES = [
+  'Department of Defense Manpower Data Center Results as of : Jun-01-2025 10:22:33 AM',
+  'SCRA 5.19',
+  'Status Report',
+  'Pursuant to Servicemembers Civil Relief Act',
+  'SSN: XXX-XX-0000',
+  'Birth Date:',
+  'Last Name: TESTCASE',
+  'First Name: PAT',
+  'Middle Name:',
+  'Status As Of: May-30-2025',
+  'Certificate ID: FIXTURE0001ABCDE'
+];
+
+const FOOTERS = {
+  activeDuty: 'This response reflects the individuals\' active duty status based on the Active Duty Status Date',
+  leftActiveDutyWithin367Days: 'This response reflects where the individual left active duty status within 367 days preceding the Active Duty Status Date',
+  futureCallUp: 'This response reflects whether the individual or his/her unit has reported receipt of hostile fire pay'
+};
+
+const NOT_FOUND = ['NA', 'NA', 'No', 'NA'];
+
+function sectionLines(heading, columns, row, footer) {
+  return [heading, ...columns, ...row, footer];
+}
+
+// Lines of a certificate; each section is a [startDate, endDate, status, serviceComponent] row
+function certificateLines({ activeDuty = NOT_FOUND, leftActiveDutyWithin367Days = NOT_FOUND, futureCallUp = NOT_FOUND } = {}) {
+  const dutyColumns = ['Active Duty Start Date', 'Active Duty End Date', 'Status', 'Service Component'];
+  return [
+    ...HEADER_LINES,
+    ...sectionLines('On Active Duty On Active Duty Status Date', dutyColumns, activeDuty, FOOTERS.activeDuty),
+    ...sectionLines('Left Active Duty Within 367 Days of Active Duty Status Date', dutyColumns,
+      leftActiveDutyWithin367Days, FOOTERS.leftActiveDutyWithin367Days),
+    ...sectionLines('The Member or His/Her Unit Was Notified of a Future Call-Up to Active Duty on Active Duty Status Date',
+      ['Order Notification Start Date', 'Order Notification End Date', 'Status', 'Service Component'],
+      futureCallUp, FOOTERS.futureCallUp)
+  ];
+}
+
+function escapePdfText(line) {
+  return line.replace(/[\\()]/g, match => `\\${match}`);
+}
+
+// Build a one-page PDF showing each line on its own row
+function buildPdf(lines) {
+  const content = lines
+    .map((line, i) => `BT /F1 9 Tf 40 ${760 - i * 14} Td (${escapePdfText(line)}) Tj ET`)
+    .join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+const FIXTURES = {
+  activeDuty: () => buildPdf(certificateLines({
+    activeDuty: ['Oct-01-2023', 'Sep-30-2026', 'Yes', 'Army Active Duty']
+  })),
+  notActive: () => buildPdf(certificateLines()),
+  leftWithin367Days: () => buildPdf(certificateLines({
+    leftActiveDutyWithin367Days: ['Jan-15-2020', 'Feb-28-2025', 'Yes', 'Navy Reserve']
+  })),
+  futureCallUp: () => buildPdf(certificateLines({
+    futureCallUp: ['Jul-01-2025', 'NA', 'Yes', 'Marine Corps Reserve']
+  })),
+  // A readable PDF that is not a status report, e.g. the site's error page saved as PDF
+  notACertificate: () => buildPdf([
+    'Department of Defense Manpower Data Center',
+    'We are unable to process your request at this time. Please try again later.'
+  ]),
+  // The download was cut off half way
+  truncated: () => buildPdf(certificateLines()).subarray(0, 300),
+  // Not a PDF at all
+  corrupt: () => Buffer.from('<html><body>Session expired</body></html>')
+};
+
+module.exports = { certificateLines, buildPdf, FIXTURES };
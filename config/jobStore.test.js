@@ -0,0 +1,142 @@
+// Persistent job queue (src/jobStore.js): Idempotency-Key and matter + SSN duplicate detection, what the journal keeps and how it is read back: npm test
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// An encrypted journal in a throwaway directory, and a 15 minute duplicate window
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scra-jobs-'));
+process.env.ENCRYPTION_KEYS = JSON.stringify({ activeKeyId: 'test', keys: { test: crypto.randomBytes(32).toString('base64') } });
+process.env.DEDUPE_WINDOW_MS = String(15 * 60 * 1000);
+
+const test = require('node:test');
+const assert = require('node:assert');
+const jobStore = require('../src/jobStore');
+const { decryptLine } = require('../src/encryption');
+
+const JOURNAL_PATH = path.join(process.env.DATA_DIR, 'jobs_journal.jsonl');
+
+const MINUTE_MS = 60 * 1000;
+const PARAMS = {
+  ssn: '000-12-3456',
+  dob: '01/02/1990',
+  lastName: 'Testcase',
+  firstName: 'Pat',
+  credentialProfile: 'firm-main',
+  endpointUrl: 'https://example.test/callback',
+  serverBaseUrl: 'http://localhost:3000'
+};
+
+function enqueue(matterId, { idempotencyKey = null, clientId = null, ssn = PARAMS.ssn } = {}) {
+  const dedupeKey = jobStore.buildDedupeKey(matterId, ssn, clientId);
+  return jobStore.enqueueJob({ ...PARAMS, ssn, matterId }, { idempotencyKey, dedupeKey, clientId });
+}
+
+// Pretend the job finished this long ago
+function finishedAgo(job, ms) {
+  jobStore.getJob(job.id).finishedAt = new Date(Date.now() - ms).toISOString();
+}
+
+test.before(() => jobStore.loadJobs());
+
+test.after(() => {
+  jobStore.closeJobStore();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('the dedupe key ignores SSN formatting but not the client or matter', () => {
+  const key = jobStore.buildDedupeKey('MATTER-1', '000-12-3456', 'client-a');
+
+  assert.strictEqual(jobStore.buildDedupeKey('MATTER-1', '000123456', 'client-a'), key);
+  assert.notStrictEqual(jobStore.buildDedupeKey('MATTER-1', '000-12-3456', 'client-b'), key);
+  assert.notStrictEqual(jobStore.buildDedupeKey('MATTER-2', '000-12-3456', 'client-a'), key);
+  assert.ok(!key.includes('3456'));
+});
+
+test('the same Idempotency-Key returns the job while it is active or recently finished, whatever its outcome', () => {
+  const job = enqueue('IDEMPOTENT', { idempotencyKey: 'client-a:key-1' });
+  const lookup = () => jobStore.findDuplicateJob({ idempotencyKey: 'client-a:key-1' });
+  assert.strictEqual(lookup().id, job.id);
+
+  jobStore.markJobRunning(job.id);
+  jobStore.markJobFailed(job.id, new Error('Login failed: credentials rejected'));
+  assert.strictEqual(lookup().id, job.id);
+
+  finishedAgo(job, 16 * MINUTE_MS);
+  assert.strictEqual(lookup(), null);
+});
+
+test('the same matter and SSN returns an active job or one that succeeded within the window', () => {
+  const key = jobStore.buildDedupeKey('DEDUPE', PARAMS.ssn);
+  const lookup = () => jobStore.findDuplicateJob({ dedupeKey: key });
+
+  const job = enqueue('DEDUPE');
+  assert.strictEqual(lookup().id, job.id);
+
+  jobStore.markJobRunning(job.id);
+  jobStore.markJobSucceeded(job.id, { proofOfMilitaryServiceFound: 'No' });
+  finishedAgo(job, 5 * MINUTE_MS);
+  assert.strictEqual(lookup().id, job.id);
+
+  finishedAgo(job, 16 * MINUTE_MS);
+  assert.strictEqual(lookup(), null);
+});
+
+test('a failed search is not a duplicate, so the same matter can be searched again', () => {
+  const job = enqueue('RETRY-AFTER-FAILURE');
+  jobStore.markJobRunning(job.id);
+  jobStore.markJobFailed(job.id, new Error('Failed to navigate to SCRA site: net::ERR_CONNECTION_REFUSED'));
+
+  assert.strictEqual(jobStore.findDuplicateJob({ dedupeKey: job.dedupeKey }), null);
+});
+
+test('another SSN or another client is not a duplicate', () => {
+  enqueue('SCOPED', { clientId: 'client-a' });
+
+  assert.strictEqual(jobStore.findDuplicateJob({ dedupeKey: jobStore.buildDedupeKey('SCOPED', '000-99-9999', 'client-a') }), null);
+  assert.strictEqual(jobStore.findDuplicateJob({ dedupeKey: jobStore.buildDedupeKey('SCOPED', PARAMS.ssn, 'client-b') }), null);
+});
+
+test('the journal is encrypted, never holds a raw password and forgets the parameters of finished jobs', () => {
+  const job = jobStore.enqueueJob({ ...PARAMS, credentialProfile: undefined, scraUsername: 'STRATTWALDT380559', scraPassword: 'not-a-real-password', matterId: 'JOURNAL' });
+  assert.strictEqual(jobStore.getJob(job.id).params.scraPassword, 'not-a-real-password', 'the job in memory still has it');
+  jobStore.markJobRunning(job.id);
+  jobStore.updateJobProgress(job.id, { step: 'navigation' });
+
+  const stored = fs.readFileSync(JOURNAL_PATH, 'utf8');
+  for (const secret of ['000-12-3456', '01/02/1990', 'STRATTWALDT380559', 'not-a-real-password']) {
+    assert.ok(!stored.includes(secret), `${secret} is readable in the journal`);
+  }
+  const entries = () => fs.readFileSync(JOURNAL_PATH, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(decryptLine(line)))
+    .filter(entry => entry.id === job.id);
+  assert.ok(entries().every(entry => entry.params.scraPassword === undefined));
+  assert.strictEqual(entries()[0].params.ssn, '000-12-3456', 'a queued job keeps what it needs to resume');
+
+  jobStore.markJobSucceeded(job.id, { proofOfMilitaryServiceFound: 'No' });
+  const finished = entries().pop();
+  assert.strictEqual(finished.params, undefined);
+  assert.strictEqual(finished.endpointUrl, PARAMS.endpointUrl);
+  assert.strictEqual(jobStore.getJob(job.id).params, undefined);
+});
+
+test('a torn final line is dropped on load', () => {
+  const job = enqueue('TORN');
+  jobStore.closeJobStore();
+  fs.appendFileSync(JOURNAL_PATH, fs.readFileSync(JOURNAL_PATH, 'utf8').trim().split('\n').pop().slice(0, 40));
+
+  jobStore.loadJobs();
+  assert.strictEqual(jobStore.getJob(job.id).state, jobStore.JOB_STATES.QUEUED);
+});
+
+test('an entry under a key missing from the key ring stops the load and leaves the journal as it was', () => {
+  enqueue('KEY-RING');
+  jobStore.closeJobStore();
+  // The same entry, as if written with a key ("gone") that was dropped before rotate-keys ran
+  const lines = fs.readFileSync(JOURNAL_PATH, 'utf8').trim().split('\n');
+  const foreign = Buffer.from(lines[0], 'base64').toString('latin1').replace('"kid":"test"', '"kid":"gone"');
+  fs.writeFileSync(JOURNAL_PATH, [Buffer.from(foreign, 'latin1').toString('base64'), ...lines.slice(1)].join('\n') + '\n');
+  const before = fs.readFileSync(JOURNAL_PATH, 'utf8');
+
+  assert.throws(() => jobStore.loadJobs(), /jobs_journal\.jsonl line 1 cannot be read: Encryption key "gone" is not in the key ring/);
+  assert.strictEqual(fs.readFileSync(JOURNAL_PATH, 'utf8'), before);
+});
@@ -0,0 +1,221 @@
+// Local stand-in for the DMDC SCRA website, for running runScraAutomation end to end without the real site.
+// It serves the pieces the automation relies on: the Privacy Act modal (button[title="I Accept"]), the login
+// form (input#username / input#password), the single-record form (#ssnInput, #ssnConfirmationInput,
+// #lastNameInput, #firstNameInput, #mat-input-2), the termsAgree checkbox, the Submit button and a PDF download
+// built from the test fixtures.
+//
+// Standalone: npm run mock-dmdc, then start the server with the SCRA_URL it prints and SKIP_CONNECTIVITY_CHECK=true.
+// The mode can be switched while it runs: curl -X POST localhost:8099/__mock/config -H 'Content-Type: application/json' -d '{"mode":"no_download"}'
+//
+// Modes:
+//   ok               - the normal flow
+//   slow             - every page takes slowMs to load
+//   login_error      - the credentials are always rejected, and existing sessions are no longer accepted
+//   locked           - logging in shows the account lockout page (existing sessions end too)
+//   password_expired - logging in shows the expired password page (existing sessions end too)
+//   change_password  - logging in shows a forced change password form (existing sessions end too)
+//   missing_checkbox - the form has no termsAgree checkbox
+//   no_download      - Submit does nothing, so no PDF is ever downloaded
+//   changed_ids      - a front-end release renamed the generated IDs; names and labels are unchanged,
+//                      so only the fallback strategies in config/selectors.json find the fields
+//   down             - an outage: every SCRA page answers 503 with a maintenance notice
+const express = require('express');
+const { FIXTURES } = require('./fixtures/certificatePdf');
+
+const MOCK_DMDC_PORT = parseInt(process.env.MOCK_DMDC_PORT) || 8099;
+const MODES = ['ok', 'slow', 'login_error', 'locked', 'password_expired', 'change_password', 'missing_checkbox', 'no_download', 'changed_ids', 'down'];
+// Modes in which no session is valid and logging in does not get to the form
+const NO_LOGIN_MODES = ['login_error', 'locked', 'password_expired', 'change_password'];
+const SESSION_COOKIE = 'mock_dmdc_session';
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head><title>${title}</title></head>
+<body>
+<h1>SCRA Single Record Request (local mock)</h1>
+${body}
+</body>
+</html>`;
+}
+
+const PRIVACY_MODAL = `
+<div id="privacyModal" style="position: fixed; inset: 0; background: rgba(0, 0, 0, 0.5)">
+  <div style="background: white; margin: 100px auto; padding: 20px; width: 400px">
+    <p>Privacy Act Statement</p>
+    <button type="button" title="I Accept" onclick="document.getElementById('privacyModal').remove()">I Accept</button>
+  </div>
+</div>`;
+
+function loginPage(error) {
+  return page('SCRA Login', `
+${PRIVACY_MODAL}
+${error ? `<p class="error">${error}</p>` : ''}
+<form method="POST" action="/scra/login">
+  <input id="username" name="username" type="text">
+  <input id="password" name="password" type="password">
+  <button type="submit">Log In</button>
+</form>`);
+}
+
+// What the account problem modes show after the login form is submitted
+const ACCOUNT_PROBLEM_PAGES = {
+  locked: () => page('SCRA Account Locked', `
+<p class="error">Your account has been locked due to too many failed login attempts. Contact the DMDC help desk.</p>`),
+  password_expired: () => page('SCRA Password Expired', `
+<p class="error">Your password has expired. Please reset your password.</p>`),
+  change_password: () => page('SCRA Change Password', `
+<p>You must change your password before continuing.</p>
+<form method="POST" action="/scra/change-password">
+  <label for="newPassword">New Password</label> <input id="newPassword" name="newPassword" type="password">
+  <label for="confirmPassword">Confirm New Password</label> <input id="confirmPassword" name="confirmPassword" type="password">
+  <button type="submit">Change Password</button>
+</form>`)
+};
+
+function requestPage({ withCheckbox, withDownload, changedIds }) {
+  // IDs as the Angular front end generates them; a new release renumbers them
+  const id = changedIds ?
+    { ssn: 'mat-input-10', ssnConfirmation: 'mat-input-11', lastName: 'mat-input-12', firstName: 'mat-input-13', dob: 'mat-input-14', terms: 'mat-mdc-checkbox-9-input' } :
+    { ssn: 'ssnInput', ssnConfirmation: 'ssnConfirmationInput', lastName: 'lastNameInput', firstName: 'firstNameInput', dob: 'mat-input-2', terms: 'mat-mdc-checkbox-7-input' };
+  return page('SCRA Single Record Request', `
+<form id="singleRecordForm" method="POST" action="/scra/single-record/certificate">
+  <label for="${id.ssn}">SSN</label> <input id="${id.ssn}" name="ssn">
+  <label for="${id.ssnConfirmation}">Confirm SSN</label> <input id="${id.ssnConfirmation}" name="ssnConfirmation">
+  <label for="${id.lastName}">Last Name</label> <input id="${id.lastName}" name="lastName">
+  <label for="${id.firstName}">First Name</label> <input id="${id.firstName}" name="firstName">
+  <label for="${id.dob}">Date of Birth</label> <input id="${id.dob}" name="dob" placeholder="MM/DD/YYYY">
+  ${withCheckbox ? `
+  <input type="checkbox" id="${id.terms}" name="termsAgree"
+    onchange="document.querySelector('button[name=SubmitButton]').disabled = !this.checked">
+  <label for="${id.terms}">I Accept</label>` : ''}
+  <button type="button" name="SubmitButton" ${withCheckbox ? 'disabled' : ''}
+    onclick="${withDownload ? 'document.getElementById(\'singleRecordForm\').submit()' : ''}">Submit</button>
+</form>`);
+}
+
+// Start the mock on the given port (0 picks a free one).
+// certificate is the FIXTURES entry to download: activeDuty, notActive, leftWithin367Days, futureCallUp, notACertificate, truncated, corrupt.
+// Resolves to { url, scraUrl, configure, submissions, logins, expireSessions, close }; submissions lists every form
+// posted to the site, logins every successful login.
+// Logged-in sessions are kept (cookie mock_dmdc_session) until expireSessions() or POST /__mock/expire-sessions.
+function startMockDmdc({ port = MOCK_DMDC_PORT, mode = 'ok', certificate = 'notActive', slowMs = 3000 } = {}) {
+  const app = express();
+  const config = {};
+  const sessions = new Set();
+  const submissions = [];
+  const logins = [];
+
+  function configure(changes) {
+    if (changes.mode !== undefined && !MODES.includes(changes.mode)) {
+      throw new Error(`mode must be one of ${MODES.join(', ')}`);
+    }
+    if (changes.certificate !== undefined && !FIXTURES[changes.certificate]) {
+      throw new Error(`certificate must be one of ${Object.keys(FIXTURES).join(', ')}`);
+    }
+    for (const key of ['mode', 'certificate', 'slowMs']) {
+      if (changes[key] !== undefined) config[key] = changes[key];
+    }
+    return { ...config };
+  }
+  configure({ mode, certificate, slowMs });
+
+  function isLoggedIn(req) {
+    const match = (req.headers.cookie || '').match(new RegExp(`${SESSION_COOKIE}=(\\w+)`));
+    return !!match && sessions.has(match[1]) && !NO_LOGIN_MODES.includes(config.mode);
+  }
+
+  function expireSessions() {
+    sessions.clear();
+  }
+
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  app.use('/scra', (req, res, next) => {
+    if (config.mode === 'down') {
+      return res.status(503).send(page('Service Unavailable', '<p>The SCRA website is temporarily unavailable for maintenance.</p>'));
+    }
+    if (config.mode !== 'slow') return next();
+    setTimeout(next, config.slowMs);
+  });
+
+  app.get('/scra/', (req, res) => {
+    if (!isLoggedIn(req)) {
+      return res.send(loginPage());
+    }
+    res.send(requestPage({
+      withCheckbox: config.mode !== 'missing_checkbox',
+      withDownload: config.mode !== 'no_download',
+      changedIds: config.mode === 'changed_ids'
+    }));
+  });
+
+  app.post('/scra/login', (req, res) => {
+    if (config.mode === 'login_error' || !req.body.username || !req.body.password) {
+      return res.status(401).send(loginPage('Invalid username or password.'));
+    }
+    if (ACCOUNT_PROBLEM_PAGES[config.mode]) {
+      return res.send(ACCOUNT_PROBLEM_PAGES[config.mode]());
+    }
+    const session = Math.random().toString(36).slice(2);
+    sessions.add(session);
+    logins.push({ username: req.body.username, at: new Date().toISOString() });
+    res.set('Set-Cookie', `${SESSION_COOKIE}=${session}; Path=/scra; HttpOnly`);
+    res.redirect(303, '/scra/#/single-record');
+  });
+
+  app.post('/scra/single-record/certificate', (req, res) => {
+    if (!isLoggedIn(req)) {
+      return res.status(401).send(loginPage('Your session has expired.'));
+    }
+    submissions.push({ ...req.body, at: new Date().toISOString() });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', 'attachment; filename="SCRA_Certificate.pdf"');
+    res.send(FIXTURES[config.certificate]());
+  });
+
+  // Test controls
+  app.get('/__mock/config', (req, res) => res.json(config));
+  app.post('/__mock/config', (req, res) => {
+    try {
+      res.json(configure(req.body || {}));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+  app.get('/__mock/submissions', (req, res) => res.json(submissions));
+  app.get('/__mock/logins', (req, res) => res.json(logins));
+  app.post('/__mock/expire-sessions', (req, res) => {
+    expireSessions();
+    res.json({ success: true });
+  });
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => {
+      const url = `http://localhost:${server.address().port}`;
+      resolve({
+        url,
+        scraUrl: `${url}/scra/#/single-record`,
+        configure,
+        submissions,
+        logins,
+        expireSessions,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+if (require.main === module) {
+  startMockDmdc({
+    mode: process.env.MOCK_DMDC_MODE || 'ok',
+    certificate: process.env.MOCK_DMDC_CERTIFICATE || 'notActive'
+  }).then(({ url, scraUrl }) => {
+    console.log(`Mock DMDC site listening on ${url}`);
+    console.log(`Run the server with SCRA_URL=${scraUrl} SKIP_CONNECTIVITY_CHECK=true`);
+  });
+}
+
+module.exports = { MODES, startMockDmdc };
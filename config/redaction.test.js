@@ -0,0 +1,65 @@
+// PII redaction (src/redaction.js): SSNs, dates of birth and passwords never reach console output or artifacts: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { redact, redactText, registerSecrets, installConsoleRedaction } = require('../src/redaction');
+
+// Capture what the redacting console hands to the real one. Each test file runs in its own process,
+// so patching the console here does not leak into the other suites.
+const output = [];
+for (const method of ['log', 'warn', 'error']) {
+  console[method] = line => output.push(line);
+}
+installConsoleRedaction();
+
+function logged(...args) {
+  output.length = 0;
+  console.log(...args);
+  return output.join('\n');
+}
+
+test('SSNs in log lines keep only their last four digits', () => {
+  assert.strictEqual(logged('Searching SSN 123-45-6789 for matter 42'), 'Searching SSN ***-**-6789 for matter 42');
+  assert.strictEqual(logged('ssn=123456789, again: 123 45 6789'), 'ssn=***-**-6789, again: ***-**-6789');
+  // Longer numbers (phone numbers with a country code, IDs) are left alone
+  assert.strictEqual(logged('order 1234567890123'), 'order 1234567890123');
+});
+
+test('logged objects have their SSN, date of birth and credentials masked', () => {
+  const line = logged('Request:', {
+    ssn: '123-45-6789',
+    dob: '01/02/1990',
+    scraUsername: 'STRATTWALDT380559',
+    scraPassword: 'not-a-real-password',
+    matterId: 'REDACTION-TEST',
+    headers: { Authorization: 'Bearer secret-token' }
+  });
+
+  assert.match(line, /\*\*\*-\*\*-6789/);
+  assert.match(line, /REDACTION-TEST/);
+  for (const secret of ['123-45-6789', '01/02/1990', 'STRATTWALDT380559', 'not-a-real-password', 'secret-token']) {
+    assert.ok(!line.includes(secret), `${secret} was logged`);
+  }
+});
+
+test('registered secrets are masked anywhere in the text until they are released', () => {
+  const release = registerSecrets(['not-a-real-password', '01/02/1990', 'abc']);
+
+  const line = logged(new Error('Login failed for password not-a-real-password (DOB 01/02/1990)'));
+  assert.ok(!line.includes('not-a-real-password'));
+  assert.ok(!line.includes('01/02/1990'));
+  assert.strictEqual(redactText('abc stays'), 'abc stays', 'values under four characters are not registered');
+
+  release();
+  assert.strictEqual(redactText('not-a-real-password'), 'not-a-real-password');
+});
+
+test('artifacts get the same masking, and the certificate PDF is summarized', () => {
+  const redacted = redact({ matterId: 'REDACTION-TEST', ssn: '123456789', pdfBase64: 'JVBERi0xLjQK', nested: [{ password: 'x' }] });
+
+  assert.deepStrictEqual(redacted, {
+    matterId: 'REDACTION-TEST',
+    ssn: '***-**-6789',
+    pdfBase64: '[PDF, 12 base64 characters]',
+    nested: [{ password: '[REDACTED]' }]
+  });
+});
@@ -0,0 +1,142 @@
+// Retention (src/retention.js) of the job journal and the stored callback payloads, and legal holds: npm test
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+// Failed runs are kept 30 days and succeeded ones 90, in a throwaway data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scra-retention-'));
+process.env.OUTPUTS_DIR = path.join(process.env.DATA_DIR, 'outputs');
+process.env.RETENTION_PDF_DAYS = '90';
+process.env.RETENTION_FAILED_RUN_DAYS = '30';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const jobStore = require('../src/jobStore');
+const outbox = require('../src/outbox');
+const runCatalog = require('../src/runCatalog');
+const retention = require('../src/retention');
+
+const DATA_DIR = process.env.DATA_DIR;
+const PAYLOADS_DIR = path.join(DATA_DIR, 'outbox_payloads');
+const JOURNAL_PATH = path.join(DATA_DIR, 'jobs_journal.jsonl');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysFromNow = days => new Date(Date.now() + days * DAY_MS);
+
+function finishedJob(matterId, succeeded) {
+  const job = jobStore.enqueueJob({ matterId, ssn: '000-12-3456', credentialProfile: 'firm-main', endpointUrl: 'https://example.test/callback' });
+  jobStore.markJobRunning(job.id);
+  return succeeded ?
+    jobStore.markJobSucceeded(job.id, { proofOfMilitaryServiceFound: 'No' }) :
+    jobStore.markJobFailed(job.id, new Error('Login failed: credentials rejected'));
+}
+
+// Finished deliveries as the outbox persists them; result payloads are files, failure payloads inline
+function delivery(id, kind, matterId) {
+  const record = {
+    id,
+    kind,
+    jobId: null,
+    matterId,
+    runFolder: null,
+    endpointUrl: 'https://example.test/callback',
+    storedPayload: null,
+    payload: null,
+    redeliveryOf: null,
+    state: outbox.DELIVERY_STATES.DELIVERED,
+    attempts: [{ number: 1, at: new Date().toISOString(), status: 200 }],
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: null,
+    deliveredAt: new Date().toISOString()
+  };
+  if (kind === 'result') {
+    record.storedPayload = `${id}.json`;
+    fs.writeFileSync(path.join(PAYLOADS_DIR, record.storedPayload), JSON.stringify({ matterId, pdfBase64: 'JVBERi0xLjQK' }));
+  } else {
+    record.payload = { matterId, status: 'failed' };
+  }
+  return record;
+}
+
+const jobs = {};
+
+test.before(() => {
+  retention.loadLegalHolds();
+  retention.placeLegalHold('HELD', 'Litigation');
+
+  fs.mkdirSync(PAYLOADS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(DATA_DIR, 'outbox.json'), JSON.stringify([
+    delivery('result-kept', 'result', 'KEPT'),
+    delivery('failure-kept', 'failure', 'KEPT'),
+    delivery('result-held', 'result', 'HELD')
+  ]));
+  outbox.loadOutbox({ isHeld: retention.isOnLegalHold });
+
+  jobStore.loadJobs({ isHeld: retention.isOnLegalHold });
+  runCatalog.loadCatalog();
+  jobs.succeeded = finishedJob('KEPT', true);
+  jobs.failed = finishedJob('KEPT', false);
+  jobs.held = finishedJob('HELD', false);
+  jobs.queued = jobStore.enqueueJob({ matterId: 'QUEUED', ssn: '000-12-3456', credentialProfile: 'firm-main' });
+});
+
+test.after(() => {
+  jobStore.closeJobStore();
+  runCatalog.closeCatalog();
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+// The deliveries above belong to no job
+const findDelivery = id => outbox.getDeliveriesForJob(null).find(d => d.id === id);
+
+function journalJobIds() {
+  return fs.readFileSync(JOURNAL_PATH, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line).id);
+}
+
+test('the report counts expired jobs and callback payloads without touching them', () => {
+  const { totals } = retention.buildRetentionReport(daysFromNow(40));
+
+  assert.strictEqual(totals.jobsToRemove, 1);
+  assert.strictEqual(totals.outboxPayloadsToRemove, 1);
+  assert.ok(jobStore.getJob(jobs.failed.id));
+  assert.strictEqual(findDelivery('failure-kept').payloadExpiredAt, undefined);
+});
+
+test('failed jobs and failure payloads expire after RETENTION_FAILED_RUN_DAYS', () => {
+  const summary = retention.sweep(daysFromNow(40));
+
+  assert.strictEqual(summary.jobsRemoved, 1);
+  assert.strictEqual(summary.outboxPayloadsRemoved, 1);
+  assert.strictEqual(summary.errors, 0);
+  assert.strictEqual(jobStore.getJob(jobs.failed.id), null);
+  assert.ok(!journalJobIds().includes(jobs.failed.id));
+  assert.ok(jobStore.getJob(jobs.succeeded.id), 'succeeded jobs are kept RETENTION_PDF_DAYS');
+
+  const failure = findDelivery('failure-kept');
+  assert.strictEqual(failure.payload, null);
+  assert.ok(failure.payloadExpiredAt);
+  assert.ok(fs.existsSync(path.join(PAYLOADS_DIR, 'result-kept.json')));
+});
+
+test('succeeded jobs and result payloads expire after RETENTION_PDF_DAYS, unless the matter is on legal hold', () => {
+  const summary = retention.sweep(daysFromNow(100));
+
+  assert.strictEqual(summary.jobsRemoved, 1);
+  assert.strictEqual(summary.outboxPayloadsRemoved, 1);
+  assert.ok(!fs.existsSync(path.join(PAYLOADS_DIR, 'result-kept.json')));
+  assert.ok(fs.existsSync(path.join(PAYLOADS_DIR, 'result-held.json')));
+  assert.deepStrictEqual(journalJobIds().sort(), [jobs.held.id, jobs.queued.id].sort(), 'held and queued jobs stay');
+
+  // The journal keeps taking appends after it was compacted
+  jobStore.markJobRunning(jobs.queued.id);
+  assert.deepStrictEqual(journalJobIds().slice(-1), [jobs.queued.id]);
+});
+
+test('releasing the hold lets the next sweep expire the matter', () => {
+  retention.releaseLegalHold('HELD');
+  const summary = retention.sweep(daysFromNow(100));
+
+  assert.strictEqual(summary.jobsRemoved, 1);
+  assert.strictEqual(summary.outboxPayloadsRemoved, 1);
+  assert.ok(!fs.existsSync(path.join(PAYLOADS_DIR, 'result-held.json')));
+});
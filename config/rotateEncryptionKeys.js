@@ -0,0 +1,63 @@
+// Re-encrypt every run artifact, stored callback payload, stored DMDC session and credential profile, the job journal,
+// the run catalog and the outbox with the active encryption key. Plaintext files written before encryption was
+// enabled are encrypted too.
+//
+// Usage: npm run rotate-keys [-- --dry-run]
+// Add the new key to the ring and make it active first; remove the old key only after this has finished.
+// Stop the server first: it appends to the journal and the catalog, and would keep writing to the replaced files.
+const path = require('path');
+const fs = require('fs');
+const encryption = require('../src/encryption');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const OUTPUTS_DIR = process.env.OUTPUTS_DIR || path.join(ROOT_DIR, 'outputs');
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+const PAYLOADS_DIR = path.join(DATA_DIR, 'outbox_payloads');
+const SESSIONS_DIR = path.join(DATA_DIR, 'sessions');
+const CREDENTIALS_DIR = path.join(DATA_DIR, 'credential_profiles');
+const OUTBOX_PATH = path.join(DATA_DIR, 'outbox.json');
+// Append-only JSONL stores, encrypted line by line
+const LINE_STORES = [path.join(DATA_DIR, 'jobs_journal.jsonl'), path.join(DATA_DIR, 'run_catalog.jsonl')];
+
+const dryRun = process.argv.includes('--dry-run');
+
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => !name.endsWith('.tmp'))
+    .map(name => path.join(dir, name))
+    .filter(filePath => fs.statSync(filePath).isFile());
+}
+
+encryption.loadKeys();
+if (!encryption.isEncryptionEnabled()) {
+  console.error('No active encryption key configured; set ENCRYPTION_KEY_FILE or ENCRYPTION_KEYS');
+  process.exit(1);
+}
+
+const runFolders = fs.existsSync(OUTPUTS_DIR) ?
+  fs.readdirSync(OUTPUTS_DIR).filter(folder => folder.startsWith('run-')).map(folder => path.join(OUTPUTS_DIR, folder)) :
+  [];
+const files = [
+  ...runFolders.flatMap(listFiles),
+  ...listFiles(PAYLOADS_DIR),
+  ...listFiles(SESSIONS_DIR),
+  ...listFiles(CREDENTIALS_DIR),
+  ...[OUTBOX_PATH, ...LINE_STORES].filter(filePath => fs.existsSync(filePath))
+];
+
+console.log(`${dryRun ? '[dry run] ' : ''}Re-encrypting ${files.length} file(s) with key "${encryption.getActiveKeyId()}"`);
+
+const counts = { rotated: 0, encrypted: 0, current: 0, failed: 0 };
+for (const filePath of files) {
+  try {
+    const rotate = LINE_STORES.includes(filePath) ? encryption.rotateLines : encryption.rotateFile;
+    counts[rotate(filePath, { dryRun })]++;
+  } catch (error) {
+    counts.failed++;
+    console.error(`Failed to re-encrypt ${path.relative(ROOT_DIR, filePath)}: ${error.message}`);
+  }
+}
+
+console.log('Key rotation finished:', counts);
+process.exit(counts.failed > 0 ? 1 : 0);
@@ -0,0 +1,124 @@
+// Run catalog (src/runCatalog.js): indexing of run folders and the GET /runs filters, sorting and pagination: npm test
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+// A throwaway catalog, with the run folders it indexes next to it
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scra-catalog-'));
+process.env.OUTPUTS_DIR = path.join(process.env.DATA_DIR, 'outputs');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const runCatalog = require('../src/runCatalog');
+
+const OUTPUTS_DIR = process.env.OUTPUTS_DIR;
+const CATALOG_PATH = path.join(process.env.DATA_DIR, 'run_catalog.jsonl');
+
+// Run folders from before the catalog existed, only known by their files
+const LEGACY_SUCCEEDED = 'run-2025-03-01T09-00-00-000Z';
+const LEGACY_FAILED = 'run-2025-03-02T09-00-00-000Z';
+// In the catalog as running when the server stopped
+const INTERRUPTED = 'run-2025-03-03T09-00-00-000Z';
+
+function writeRun(runFolder, files) {
+  fs.mkdirSync(path.join(OUTPUTS_DIR, runFolder), { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(OUTPUTS_DIR, runFolder, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+}
+
+function query(filters) {
+  return runCatalog.queryRuns(filters).runs.map(entry => entry.runFolder);
+}
+
+test.before(() => {
+  writeRun(LEGACY_SUCCEEDED, {
+    'result.json': { matterId: 'MATTER-A', proofOfMilitaryServiceFound: 'Yes', pdfFileName: 'scra-result.pdf', timestamp: '2025-03-01T09:01:00.000Z' },
+    'scra-result.pdf': '%PDF-1.4',
+    '01_screenshot_after_nav.png': ''
+  });
+  writeRun(LEGACY_FAILED, {
+    'error_report.json': { code: 'LOGIN_FAILED', timestamp: '2025-03-02T09:00:30.000Z', context: { matterId: 'MATTER-B' } }
+  });
+  writeRun(INTERRUPTED, {});
+  fs.writeFileSync(CATALOG_PATH, [
+    { runFolder: INTERRUPTED, jobId: 'job-3', matterId: 'MATTER-B', status: 'running', outcome: null, error: null, startedAt: '2025-03-03T09:00:00.000Z', finishedAt: null, screenshots: [] },
+    { runFolder: 'run-2025-02-01T09-00-00-000Z', jobId: 'job-0', matterId: 'MATTER-A', status: 'succeeded', outcome: 'No', startedAt: '2025-02-01T09:00:00.000Z', screenshots: [] }
+  ].map(entry => JSON.stringify(entry)).join('\n') + '\n');
+
+  runCatalog.loadCatalog();
+});
+
+test.after(() => {
+  runCatalog.closeCatalog();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('loading indexes unknown run folders from their files and drops those no longer on disk', () => {
+  const succeeded = runCatalog.getRun(LEGACY_SUCCEEDED);
+  assert.strictEqual(succeeded.matterId, 'MATTER-A');
+  assert.strictEqual(succeeded.status, runCatalog.RUN_STATUSES.SUCCEEDED);
+  assert.strictEqual(succeeded.outcome, 'Yes');
+  assert.strictEqual(succeeded.startedAt, '2025-03-01T09:00:00.000Z');
+  assert.deepStrictEqual(succeeded.screenshots.map(screenshot => screenshot.name), ['01_screenshot_after_nav.png']);
+
+  const failed = runCatalog.getRun(LEGACY_FAILED);
+  assert.strictEqual(failed.matterId, 'MATTER-B');
+  assert.strictEqual(failed.error.code, 'LOGIN_FAILED');
+
+  assert.strictEqual(runCatalog.getRun('run-2025-02-01T09-00-00-000Z'), null);
+  assert.strictEqual(runCatalog.getRun(INTERRUPTED).error.code, 'INTERRUPTED');
+});
+
+test('live runs are recorded as they start, take screenshots and finish', () => {
+  const runFolder = 'run-2025-03-04T09-00-00-000Z';
+  writeRun(runFolder, {});
+  runCatalog.recordRunStarted({ runFolder, jobId: 'job-4', matterId: 'MATTER-A' });
+  assert.deepStrictEqual(query({ outcome: 'No' }), []);
+
+  runCatalog.recordScreenshot(runFolder, '02_screenshot_results.png');
+  runCatalog.recordRunSucceeded(runFolder, { proofOfMilitaryServiceFound: 'No', pdfFileName: 'scra-result.pdf' });
+
+  const entry = runCatalog.getRun(runFolder);
+  assert.strictEqual(entry.status, runCatalog.RUN_STATUSES.SUCCEEDED);
+  assert.ok(entry.finishedAt);
+  assert.strictEqual(runCatalog.findLatestScreenshot('screenshot_results.png').runFolder, runFolder);
+  assert.deepStrictEqual(query({ outcome: 'No' }), [runFolder]);
+});
+
+test('runs can be filtered by matter, job, outcome, error code and start date', () => {
+  assert.deepStrictEqual(query({ matterId: 'MATTER-B' }), [INTERRUPTED, LEGACY_FAILED]);
+  assert.deepStrictEqual(query({ jobId: 'job-4' }), ['run-2025-03-04T09-00-00-000Z']);
+  assert.deepStrictEqual(query({ outcome: 'Yes' }), [LEGACY_SUCCEEDED]);
+  assert.deepStrictEqual(query({ outcome: 'error' }), [INTERRUPTED, LEGACY_FAILED]);
+  assert.deepStrictEqual(query({ errorCode: 'LOGIN_FAILED' }), [LEGACY_FAILED]);
+  // A bare "to" date covers that whole day
+  assert.deepStrictEqual(query({ from: '2025-03-02', to: '2025-03-03' }), [INTERRUPTED, LEGACY_FAILED]);
+  assert.deepStrictEqual(query({ matterId: 'MATTER-B', outcome: 'Yes' }), []);
+});
+
+test('results are sorted and paginated', () => {
+  assert.deepStrictEqual(query({ order: 'asc', limit: 2 }), [LEGACY_SUCCEEDED, LEGACY_FAILED]);
+
+  const { runs, pagination } = runCatalog.queryRuns({ sort: 'matterId', order: 'asc', page: 2, limit: 2 });
+  assert.deepStrictEqual(runs.map(entry => entry.matterId), ['MATTER-B', 'MATTER-B']);
+  assert.deepStrictEqual(pagination, { total: 4, page: 2, limit: 2, pages: 2 });
+
+  assert.strictEqual(runCatalog.queryRuns({ limit: 1000 }).pagination.limit, 100);
+});
+
+test('invalid filters are rejected', () => {
+  assert.throws(() => runCatalog.queryRuns({ sort: 'ssn' }), /sort must be one of startedAt, finishedAt, matterId/);
+  assert.throws(() => runCatalog.queryRuns({ order: 'up' }), /order must be asc or desc/);
+  assert.throws(() => runCatalog.queryRuns({ outcome: 'Maybe' }), /outcome must be Yes, No or error/);
+  assert.throws(() => runCatalog.queryRuns({ from: 'yesterday' }), /Invalid date: yesterday/);
+});
+
+test('removed runs leave the index and the removal is journaled', () => {
+  runCatalog.removeRun(LEGACY_FAILED);
+
+  assert.strictEqual(runCatalog.getRun(LEGACY_FAILED), null);
+  assert.deepStrictEqual(query({ errorCode: 'LOGIN_FAILED' }), []);
+  const lines = fs.readFileSync(CATALOG_PATH, 'utf8').trim().split('\n');
+  assert.deepStrictEqual(JSON.parse(lines[lines.length - 1]), { runFolder: LEGACY_FAILED, removed: true });
+});
@@ -0,0 +1,78 @@
+// Checks on the DMDC selector map (config/selectors.json and src/selectors.js): npm test
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+// The hot-fix copy lives in DATA_DIR; SELECTORS_FILE stands in for a shipped map from a later release
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scra-selectors-'));
+process.env.SELECTORS_FILE = path.join(process.env.DATA_DIR, 'shipped_selectors.json');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const selectors = require('../src/selectors');
+const { validateSelectorMap } = selectors;
+const shippedMap = require('./selectors.json');
+
+const OVERRIDE_PATH = path.join(process.env.DATA_DIR, 'selectors.json');
+
+test.after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const pick = ({ map, source }) => ({ version: map.version, source });
+
+function copyOfShippedMap() {
+  return JSON.parse(JSON.stringify(shippedMap));
+}
+
+test('the shipped selector map is valid', () => {
+  assert.doesNotThrow(() => validateSelectorMap(shippedMap));
+});
+
+test('every field in the shipped map has a fallback besides its primary selector', () => {
+  for (const [pageName, fields] of Object.entries(shippedMap.pages)) {
+    for (const [field, strategies] of Object.entries(fields)) {
+      assert.ok(strategies.length > 1, `${pageName}.${field} has no fallback`);
+    }
+  }
+});
+
+test('a map missing a field or using an unknown strategy is rejected', () => {
+  const map = copyOfShippedMap();
+  delete map.pages.singleRecord.dob;
+  map.pages.login.submit = [{ by: 'xpath', value: '//button' }];
+
+  assert.throws(() => validateSelectorMap(map), error => {
+    assert.match(error.message, /pages\.singleRecord\.dob must be a non-empty list/);
+    assert.match(error.message, /pages\.login\.submit\[0\]\.by must be one of/);
+    return true;
+  });
+});
+
+test('a map without a version is rejected', () => {
+  const map = copyOfShippedMap();
+  delete map.version;
+
+  assert.throws(() => validateSelectorMap(map), /version must be a positive integer/);
+});
+
+test('a hot-fix copy is used while its version is above the shipped one', () => {
+  fs.writeFileSync(process.env.SELECTORS_FILE, JSON.stringify({ ...copyOfShippedMap(), version: 3 }));
+  fs.writeFileSync(OVERRIDE_PATH, JSON.stringify({ ...copyOfShippedMap(), version: 4 }));
+
+  assert.deepStrictEqual(pick(selectors.loadSelectors()), { version: 4, source: 'override' });
+});
+
+test('a hot-fix copy no newer than a later shipped map is ignored', () => {
+  fs.writeFileSync(process.env.SELECTORS_FILE, JSON.stringify({ ...copyOfShippedMap(), version: 5 }));
+
+  assert.deepStrictEqual(pick(selectors.loadSelectors()), { version: 5, source: 'shipped' });
+  assert.deepStrictEqual(pick(selectors.reloadSelectors()), { version: 5, source: 'shipped' });
+});
+
+test('a broken hot-fix copy is skipped at startup but rejected on reload', () => {
+  fs.writeFileSync(OVERRIDE_PATH, JSON.stringify({ ...copyOfShippedMap(), version: 6, pages: {} }));
+
+  assert.deepStrictEqual(pick(selectors.loadSelectors()), { version: 5, source: 'shipped' });
+  assert.throws(() => selectors.reloadSelectors(), /pages\.login is missing/);
+});
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { startFakeSalesforce } = require('./fakeSalesforce');
 
 // Base data (modify as needed, especially endpointUrl if testing against a live callback)
 const baseTestData = {
@@ -8,14 +9,15 @@ const baseTestData = {
   lastName: 'Gedz',
   ssn: '322-86-7143',
   dob: null, // Or a valid date string like '01/01/1980'
-  // The endpointUrl for actual callbacks should be a real, accessible URL.
-  // For local testing where you just want to see the queue work, a placeholder is fine
-  // but the server will try to POST to it.
-  endpointUrl: 'http://localhost:9999/fake-salesforce-callback' // A dummy endpoint
+  // Callbacks go to the fake Salesforce endpoint started below, unless CALLBACK_URL points somewhere else.
+  // With API clients configured, localhost must be in the client's callbackHosts.
+  endpointUrl: process.env.CALLBACK_URL || 'http://localhost:9999/fake-salesforce-callback'
 };
 
 const SERVER_URL = 'http://localhost:8080/scra-request'; // Adjust if your server runs elsewhere
 const NUMBER_OF_REQUESTS = 3;
+// How long to wait for every job's callback (each lookup can take a few minutes)
+const CALLBACK_WAIT_MS = parseInt(process.env.CALLBACK_WAIT_MS) || 15 * 60 * 1000;
 
 async function sendTestRequest(matterIdSuffix) {
   const testPayload = {
@@ -28,7 +30,11 @@ async function sendTestRequest(matterIdSuffix) {
   console.log(`Sending request for Matter ID: ${testPayload.matterId}`);
   try {
     const response = await axios.post(SERVER_URL, testPayload, {
-      headers: { 'Content-Type': 'application/json' }
+      headers: {
+        'Content-Type': 'application/json',
+        // Needed when the server has API clients configured
+        ...(process.env.SCRA_API_KEY ? { 'X-API-Key': process.env.SCRA_API_KEY } : {})
+      }
     });
     console.log(`Response for ${testPayload.matterId}:`);
     console.log(`  Status: ${response.status} ${response.statusText}`);
@@ -44,14 +50,36 @@ async function sendTestRequest(matterIdSuffix) {
   }
 }
 
+// Wait for one callback per job and report whether each met the payload contract
+async function waitForCallbacks(salesforce) {
+  console.log(`\nWaiting up to ${Math.round(CALLBACK_WAIT_MS / 1000)}s for ${NUMBER_OF_REQUESTS} callbacks at ${salesforce.callbackUrl}...`);
+  let deliveries;
+  try {
+    deliveries = await salesforce.waitForDeliveries(NUMBER_OF_REQUESTS, { timeoutMs: CALLBACK_WAIT_MS });
+  } catch (error) {
+    console.error(error.message);
+    deliveries = salesforce.deliveries;
+  }
+
+  console.log('\n--- Callbacks received ---');
+  for (const delivery of deliveries) {
+    const outcome = delivery.kind === 'failure' ? `failed (${delivery.payload.errorCode})` : delivery.payload.proofOfMilitaryServiceFound;
+    console.log(`${delivery.matterId}: ${delivery.kind} ${outcome}, ${delivery.valid ? 'meets the contract' : `contract problems: ${delivery.problems.join('; ')}`}`);
+  }
+  return deliveries.length === NUMBER_OF_REQUESTS && deliveries.every(delivery => delivery.valid);
+}
+
 async function runMultipleRequestsTest() {
   console.log(`Starting multiple request test: ${NUMBER_OF_REQUESTS} requests to ${SERVER_URL}`);
+  console.log('Ensure your server is running with \'npm start\' (or similar).');
+  const salesforce = process.env.CALLBACK_URL ? null : await startFakeSalesforce();
   
   const requestPromises = [];
   for (let i = 1; i <= NUMBER_OF_REQUESTS; i++) {
     requestPromises.push(sendTestRequest(String(i)));
   }
 
+  let passed = false;
   try {
     const results = await Promise.all(requestPromises);
     console.log('\n--- All initial responses received ---');
@@ -59,13 +87,21 @@ async function runMultipleRequestsTest() {
       console.log(`Result ${index + 1}:`, result);
     });
     console.log('\nTest script finished sending requests.');
-    console.log('Observe server logs to see sequential processing by runScraAutomation.');
-    console.log('Ensure your server is running with \'node src/server.js\' (or similar).');
-    console.log('The dummy endpointUrl in this script is http://localhost:9999/fake-salesforce-callback - the server will attempt to POST results there.');
+    if (salesforce) {
+      passed = await waitForCallbacks(salesforce);
+    } else {
+      console.log(`Callbacks go to ${process.env.CALLBACK_URL}; check them there.`);
+      passed = true;
+    }
   } catch (error) {
     console.error('\n--- Test failed due to one or more requests failing ---');
     // Error details already logged by sendTestRequest
   }
+
+  if (salesforce) {
+    await salesforce.close();
+  }
+  process.exit(passed ? 0 : 1);
 }
 
 runMultipleRequestsTest(); 
\ No newline at end of file
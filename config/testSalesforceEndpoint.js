@@ -4,9 +4,9 @@ const path = require('path');
 const testConstants = require('./testConstants');
 
 // Base directory for outputs
-const OUTPUTS_DIR = path.join(__dirname, '..', 'outputs');
+const OUTPUTS_DIR = process.env.OUTPUTS_DIR || path.join(__dirname, '..', 'outputs');
 if (!fs.existsSync(OUTPUTS_DIR)) {
-  fs.mkdirSync(OUTPUTS_DIR);
+  fs.mkdirSync(OUTPUTS_DIR, { recursive: true });
 }
 
 // Create a test folder
@@ -14,8 +14,11 @@ const timestamp = new Date().toISOString().replace(/:/g, '-');
 const testFolder = path.join(OUTPUTS_DIR, `sftest-${timestamp}`);
 fs.mkdirSync(testFolder);
 
+// CALLBACK_URL overrides the sandbox endpoint, e.g. http://localhost:9999/fake-salesforce-callback (npm run fake-salesforce)
+const endpointUrl = process.env.CALLBACK_URL || testConstants.endpointUrl;
+
 async function testSalesforceEndpoint() {
-  console.log(`Testing Salesforce endpoint: ${testConstants.endpointUrl}`);
+  console.log(`Testing Salesforce endpoint: ${endpointUrl}`);
   
   try {
     // Create a small test PDF (just a few bytes to keep the payload small)
@@ -29,7 +32,8 @@ async function testSalesforceEndpoint() {
     const testPayload = {
       matterId: testConstants.matterId,
       proofOfMilitaryServiceFound: 'No',
-      pdfBase64: pdfData.toString('base64')
+      pdfBase64: pdfData.toString('base64'),
+      pdfFileName: 'AFFIRMATION - Affirmation of Non Military.pdf'
     };
     
     // Save the request payload for debugging
@@ -39,7 +43,7 @@ async function testSalesforceEndpoint() {
     );
     
     console.log('Sending test request to Salesforce...');
-    const response = await axios.post(testConstants.endpointUrl, testPayload, {
+    const response = await axios.post(endpointUrl, testPayload, {
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json'
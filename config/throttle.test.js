@@ -0,0 +1,94 @@
+// Per-account lookup throttling (src/throttle.js): spacing, hourly and daily caps, quiet hours and queue planning: npm test
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+// At most one lookup a minute, 3 an hour and 5 a day per account, and none from 22:00 to 06:00 UTC
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scra-throttle-'));
+process.env.THROTTLE_MIN_SPACING_MS = '60000';
+process.env.THROTTLE_MAX_PER_HOUR = '3';
+process.env.THROTTLE_MAX_PER_DAY = '5';
+process.env.THROTTLE_QUIET_HOURS = '22:00-06:00';
+process.env.THROTTLE_TIMEZONE = 'UTC';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const throttle = require('../src/throttle');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+// A weekday noon, well outside the quiet hours
+const NOON = Date.parse('2025-06-04T12:00:00Z');
+
+function job(id, ...keys) {
+  return { id, accounts: keys.map(key => ({ key, label: key })) };
+}
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('lookups for one account are spaced out', () => {
+  throttle.recordLookup('spacing', 'spacing', NOON);
+
+  assert.strictEqual(throttle.canStart('spacing', NOON + 30 * 1000), false);
+  assert.strictEqual(throttle.canStart('spacing', NOON + MINUTE_MS), true);
+  assert.strictEqual(throttle.canStart('another-account', NOON + 30 * 1000), true);
+});
+
+test('a run that has not reached DMDC holds its account without using up the budget', () => {
+  const release = throttle.reserveLookup('reserved');
+  assert.strictEqual(throttle.canStart('reserved', NOON), false);
+  assert.strictEqual(throttle.planQueue([job('1', 'reserved', 'reserved-free')], NOON).get('1').account, 'reserved-free');
+
+  release();
+  release();
+  assert.strictEqual(throttle.canStart('reserved', NOON), true);
+  assert.strictEqual(throttle.getThrottleStatus().accounts.find(account => account.account === 'reserved'), undefined);
+});
+
+test('queued jobs are planned one after the other per account', () => {
+  const now = NOON + 5 * MINUTE_MS;
+  const plan = throttle.planQueue([job('1', 'plan-a'), job('2', 'plan-a'), job('3', 'plan-b')], now);
+
+  assert.deepStrictEqual(plan.get('1'), { expectedStartAt: now, heldBy: null, account: 'plan-a' });
+  assert.deepStrictEqual(plan.get('2'), { expectedStartAt: now + MINUTE_MS, heldBy: 'spacing', account: 'plan-a' });
+  assert.deepStrictEqual(plan.get('3'), { expectedStartAt: now, heldBy: null, account: 'plan-b' });
+});
+
+test('a pool job runs on whichever account is free first', () => {
+  throttle.recordLookup('pool-busy', 'pool-busy', NOON);
+  const plan = throttle.planQueue([job('1', 'pool-busy', 'pool-free')], NOON + 10 * 1000);
+
+  assert.strictEqual(plan.get('1').account, 'pool-free');
+  assert.strictEqual(plan.get('1').heldBy, null);
+});
+
+test('the hourly cap holds the next lookup until the oldest one is an hour old', () => {
+  [0, 5, 10].forEach(minutes => throttle.recordLookup('hourly', 'hourly', NOON + minutes * MINUTE_MS));
+  const plan = throttle.planQueue([job('1', 'hourly')], NOON + 20 * MINUTE_MS);
+
+  assert.deepStrictEqual(plan.get('1'), { expectedStartAt: NOON + HOUR_MS, heldBy: 'hourly_limit', account: 'hourly' });
+});
+
+test('the daily cap holds the next lookup until the oldest one is a day old', () => {
+  const firstLookup = NOON - 20 * HOUR_MS;
+  [0, 1, 2, 3, 4].forEach(hours => throttle.recordLookup('daily', 'daily', firstLookup + hours * HOUR_MS));
+  const plan = throttle.planQueue([job('1', 'daily')], NOON);
+
+  assert.deepStrictEqual(plan.get('1'), { expectedStartAt: firstLookup + 24 * HOUR_MS, heldBy: 'daily_limit', account: 'daily' });
+});
+
+test('nothing starts during the quiet hours', () => {
+  const lateEvening = Date.parse('2025-06-04T23:30:00Z');
+  const plan = throttle.planQueue([job('1', 'quiet'), job('2')], lateEvening);
+
+  assert.deepStrictEqual(plan.get('1'), { expectedStartAt: Date.parse('2025-06-05T06:00:00Z'), heldBy: 'quiet_hours', account: 'quiet' });
+  assert.strictEqual(plan.get('2').heldBy, 'quiet_hours');
+  assert.strictEqual(throttle.canStart('quiet', lateEvening), false);
+  assert.strictEqual(throttle.canStart('quiet', Date.parse('2025-06-05T06:00:00Z')), true);
+});
+
+test('quiet hours must be a time range', () => {
+  assert.deepStrictEqual(throttle.parseQuietHours('22:00-06:30'), { start: 22 * 60, end: 6 * 60 + 30 });
+  assert.throws(() => throttle.parseQuietHours('10pm-6am'), /must look like 22:00-06:00/);
+  assert.throws(() => throttle.parseQuietHours('25:00-06:00'), /invalid time/);
+});
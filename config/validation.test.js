@@ -0,0 +1,76 @@
+// Up-front validation of /scra-request bodies (src/validation.js): normalized values and field errors: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateScraRequest, normalizeCallbackUrl } = require('../src/validation');
+
+const BODY = {
+  ssn: '000-12-3456',
+  dob: '01/02/1990',
+  lastName: 'Testcase',
+  firstName: 'Pat',
+  scraUsername: 'mock-user',
+  scraPassword: 'mock-password',
+  matterId: 'VALIDATION-TEST',
+  callbackUrl: 'https://example.my.salesforce.com/services/apexrest/scra'
+};
+
+function fieldsWithErrors(body) {
+  return validateScraRequest(body).errors.map(error => error.field);
+}
+
+test('a valid body is normalized', () => {
+  const { errors, value } = validateScraRequest({
+    ...BODY,
+    ssn: ' 000 12 3456 ',
+    dob: '1990-01-02T00:00:00.000Z',
+    lastName: '  O\'Brien   Smith ',
+    matterId: ' VALIDATION-TEST '
+  });
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(value.ssn, '000123456');
+  assert.strictEqual(value.dob, '01/02/1990');
+  assert.strictEqual(value.lastName, 'O\'Brien Smith');
+  assert.strictEqual(value.matterId, 'VALIDATION-TEST');
+});
+
+test('the date of birth is optional and accepts MM/DD/YYYY without leading zeros', () => {
+  assert.strictEqual(validateScraRequest({ ...BODY, dob: '1/2/1990' }).value.dob, '01/02/1990');
+  assert.strictEqual(validateScraRequest({ ...BODY, dob: undefined }).value.dob, null);
+});
+
+test('every missing required field is reported at once', () => {
+  assert.deepStrictEqual(fieldsWithErrors({}), ['ssn', 'lastName', 'firstName', 'matterId', 'scraUsername', 'scraPassword']);
+  assert.deepStrictEqual(fieldsWithErrors(null), ['ssn', 'lastName', 'firstName', 'matterId', 'scraUsername', 'scraPassword']);
+});
+
+test('malformed SSNs are rejected with the reason', () => {
+  const errorFor = ssn => validateScraRequest({ ...BODY, ssn }).errors[0].message;
+
+  assert.strictEqual(errorFor('000-12-345'), 'SSN must have 9 digits (got 8)');
+  assert.strictEqual(errorFor('000-12-345X'), 'SSN may only contain digits, dashes and spaces');
+});
+
+test('impossible or out of range dates of birth are rejected', () => {
+  const errorFor = dob => validateScraRequest({ ...BODY, dob }).errors[0].message;
+
+  assert.strictEqual(errorFor('02/30/1990'), '02/30/1990 is not a valid date');
+  assert.strictEqual(errorFor('01/02/1890'), 'Date of birth must be between 1900 and today');
+  assert.strictEqual(errorFor(`01/01/${new Date().getFullYear() + 1}`), 'Date of birth must be between 1900 and today');
+  assert.strictEqual(errorFor('Jan 2 1990'), 'Date of birth must be MM/DD/YYYY or YYYY-MM-DD');
+});
+
+test('names must fit the DMDC form', () => {
+  assert.deepStrictEqual(fieldsWithErrors({ ...BODY, firstName: 'Pat2' }), ['firstName']);
+  assert.deepStrictEqual(fieldsWithErrors({ ...BODY, lastName: 'A'.repeat(27) }), ['lastName']);
+  assert.deepStrictEqual(fieldsWithErrors({ ...BODY, lastName: 'A'.repeat(26) }), []);
+});
+
+test('the callback URL is taken from any of the Salesforce field names and cleaned up', () => {
+  const { value } = validateScraRequest({ ...BODY, callbackUrl: undefined, Callback_URL__c: 'example.my.salesforce.com/\tservices/apexrest/scra' });
+  assert.strictEqual(value.callbackUrl, 'https://example.my.salesforce.com/services/apexrest/scra');
+
+  assert.strictEqual(normalizeCallbackUrl(null), null);
+  assert.deepStrictEqual(fieldsWithErrors({ ...BODY, callbackUrl: 'ftp://example.com/scra' }), ['callbackUrl']);
+  assert.deepStrictEqual(fieldsWithErrors({ ...BODY, callbackUrl: 'not-a-host' }), ['callbackUrl']);
+});
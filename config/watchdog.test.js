@@ -0,0 +1,30 @@
+// Per-stage watchdog (src/watchdog.js): aborting a job whose stage outlives its budget: npm test
+// Short budgets so the watchdog fires within the test; read each time a stage starts
+process.env.STAGE_TIMEOUT_ANALYSIS_MS = '20';
+process.env.STAGE_TIMEOUT_DOWNLOAD_MS = '60000';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWatchdog } = require('../src/watchdog');
+
+const never = () => new Promise(() => {});
+
+test('a hung stage outside the browser is rejected once the abort has run', async () => {
+  const calls = [];
+  const watchdog = createWatchdog({ label: 'test job', onTimeout: async expired => calls.push(expired.stage) });
+
+  watchdog.stage('analysis');
+  await assert.rejects(watchdog.guard(never()), /Stage "analysis" exceeded its 0.02s budget/);
+  assert.deepStrictEqual(calls, ['analysis']);
+  assert.strictEqual(watchdog.expired.stage, 'analysis');
+});
+
+test('guarded work that finishes in time is unaffected', async () => {
+  const watchdog = createWatchdog({ label: 'test job', onTimeout: async () => {} });
+
+  watchdog.stage('download');
+  assert.strictEqual(await watchdog.guard(Promise.resolve('pdf')), 'pdf');
+  await assert.rejects(watchdog.guard(Promise.reject(new Error('parse failed'))), /parse failed/);
+  watchdog.stop();
+  assert.strictEqual(watchdog.expired, null);
+});
@@ -0,0 +1,250 @@
+const path = require('path');
+const fs = require('fs');
+const credentialStore = require('./credentialStore');
+const { ScraError } = require('./errors');
+const { sendAlert } = require('./alerts');
+const throttle = require('./throttle');
+
+// Root directory is one level up from src
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+const ACCOUNT_POOL_PATH = path.join(DATA_DIR, 'account_pool.json');
+
+// Usage and health of the SCRA accounts behind the credential profiles (see credentialStore.js).
+// A request names either one profile (credentialProfile) or a pool of them (credentialPool); for a pool, each job
+// gets the next usable account. An account whose login shows a lockout, an expired password or a change password
+// screen, or whose credentials are rejected, is quarantined: no job uses it until an operator releases it or
+// stores a new password. Nothing secret is kept here, so the state file is plain JSON.
+
+// least_used: the account with the fewest lookups so far; round_robin: the account used longest ago
+const ACCOUNT_SELECTION = process.env.ACCOUNT_SELECTION === 'round_robin' ? 'round_robin' : 'least_used';
+// DMDC makes account holders change their password every SCRA_PASSWORD_MAX_AGE_DAYS; alert this many days before
+const SCRA_PASSWORD_MAX_AGE_DAYS = parseInt(process.env.SCRA_PASSWORD_MAX_AGE_DAYS) || 60;
+const PASSWORD_EXPIRY_WARNING_DAYS = parseInt(process.env.PASSWORD_EXPIRY_WARNING_DAYS) || 7;
+const PASSWORD_EXPIRY_CHECK_INTERVAL_MS = parseInt(process.env.PASSWORD_EXPIRY_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What DMDC shows after the login form is submitted, when the account cannot be used. Checked in order.
+// "Change Password" alone is also a menu entry on normal pages, so only a forced change counts.
+const LOGIN_PROBLEM_PATTERNS = [
+  {
+    code: 'ACCOUNT_LOCKED',
+    reason: 'account locked',
+    pattern: /account (has been |is )?(locked|disabled|suspended)|locked out|too many (failed|unsuccessful|invalid) (login |log-in |logon )?attempts/i
+  },
+  { code: 'PASSWORD_EXPIRED', reason: 'password expired', pattern: /password (has )?expired|expired password/i },
+  {
+    code: 'PASSWORD_EXPIRED',
+    reason: 'password change required',
+    pattern: /(must|required to) change your password|password (change|reset) (is )?required|confirm new password/i
+  }
+];
+
+const accounts = new Map(); // profile name -> { lookups, lastUsedAt, quarantine, lastExpiryAlertAt }
+let expiryTimer = null;
+
+function saveAccountPool() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  const tmpPath = `${ACCOUNT_POOL_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(accounts), null, 2));
+  fs.renameSync(tmpPath, ACCOUNT_POOL_PATH);
+}
+
+function loadAccountPool() {
+  accounts.clear();
+  if (fs.existsSync(ACCOUNT_POOL_PATH)) {
+    for (const [name, state] of Object.entries(JSON.parse(fs.readFileSync(ACCOUNT_POOL_PATH, 'utf8')))) {
+      accounts.set(name, state);
+    }
+  }
+  const quarantined = Array.from(accounts.values()).filter(state => state.quarantine).length;
+  console.log(`Account pool loaded: ${accounts.size} account(s) with usage, ${quarantined} quarantined (selection ${ACCOUNT_SELECTION})`);
+}
+
+function getState(name) {
+  if (!accounts.has(name)) {
+    accounts.set(name, { lookups: 0, lastUsedAt: null, quarantine: null, lastExpiryAlertAt: null });
+  }
+  return accounts.get(name);
+}
+
+function isQuarantined(name) {
+  return !!(accounts.has(name) && accounts.get(name).quarantine);
+}
+
+function hasPool(pool) {
+  return credentialStore.getPoolMembers(pool).length > 0;
+}
+
+// Whether a pool still has an account that is not quarantined
+function hasAvailableAccount(pool) {
+  return credentialStore.getPoolMembers(pool).some(name => !isQuarantined(name));
+}
+
+function throttleKey(name) {
+  return credentialStore.accountKey(credentialStore.getCredentials(name).username);
+}
+
+// The accounts a job may run on, as { key, label } for throttle.planQueue(): the usable accounts of its pool,
+// its profile, or its raw credentials
+function throttleAccounts({ credentialProfile, credentialPool, scraUsername }) {
+  if (credentialPool) {
+    return credentialStore.getPoolMembers(credentialPool)
+      .filter(name => !isQuarantined(name))
+      .map(name => ({ key: throttleKey(name), label: name }));
+  }
+  if (credentialProfile) {
+    return credentialStore.hasProfile(credentialProfile) ? [{ key: throttleKey(credentialProfile), label: credentialProfile }] : [];
+  }
+  return scraUsername ? [{ key: credentialStore.accountKey(scraUsername), label: credentialStore.maskUsername(scraUsername) }] : [];
+}
+
+function pickFromPool(pool) {
+  const members = credentialStore.getPoolMembers(pool);
+  const available = members.filter(name => !isQuarantined(name));
+  if (available.length === 0) {
+    throw new ScraError('ACCOUNT_UNAVAILABLE', members.length === 0 ?
+      `No usable SCRA account in pool "${pool}": the pool has no credential profiles` :
+      `No usable SCRA account in pool "${pool}": all ${members.length} account(s) are quarantined`);
+  }
+  // Accounts the throttle lets run now come first; never used sorts first in both orders
+  const lastUsed = name => getState(name).lastUsedAt || '';
+  const ready = name => throttle.canStart(throttleKey(name)) ? 0 : 1;
+  available.sort((a, b) => ready(a) - ready(b) || (ACCOUNT_SELECTION === 'least_used' ?
+    getState(a).lookups - getState(b).lookups || lastUsed(a).localeCompare(lastUsed(b)) :
+    lastUsed(a).localeCompare(lastUsed(b))));
+  return available[0];
+}
+
+// The credential profile a job should log in with, counted as used straight away so that concurrent jobs
+// spread over the pool. Throws INVALID_REQUEST for an unknown profile and ACCOUNT_UNAVAILABLE for a
+// quarantined one or an exhausted pool.
+function acquireAccount({ credentialProfile, credentialPool }) {
+  let name;
+  if (credentialPool) {
+    name = pickFromPool(credentialPool);
+  } else {
+    if (!credentialStore.hasProfile(credentialProfile)) {
+      throw new ScraError('INVALID_REQUEST', `Credential profile "${credentialProfile}" does not exist`);
+    }
+    if (isQuarantined(credentialProfile)) {
+      const { reason } = accounts.get(credentialProfile).quarantine;
+      throw new ScraError('ACCOUNT_UNAVAILABLE', `No usable SCRA account: credential profile "${credentialProfile}" is quarantined (${reason})`);
+    }
+    name = credentialProfile;
+  }
+
+  const state = getState(name);
+  state.lookups++;
+  state.lastUsedAt = new Date().toISOString();
+  saveAccountPool();
+  return name;
+}
+
+// The account problem shown by the page text after a login, as { code, reason }, or null
+function detectLoginProblem(text) {
+  const match = LOGIN_PROBLEM_PATTERNS.find(({ pattern }) => pattern.test(text || ''));
+  return match ? { code: match.code, reason: match.reason } : null;
+}
+
+// Take an account out of rotation until it is released
+function quarantineAccount(name, code, reason) {
+  const state = getState(name);
+  if (state.quarantine) return;
+  state.quarantine = { code, reason, at: new Date().toISOString() };
+  saveAccountPool();
+
+  const profile = credentialStore.getProfile(name);
+  const pool = profile && profile.pool;
+  const stillAvailable = pool ? credentialStore.getPoolMembers(pool).filter(member => !isQuarantined(member)).length : 0;
+  sendAlert('account_quarantined',
+    `SCRA account "${name}"${pool ? ` (pool "${pool}", ${stillAvailable} account(s) left)` : ''} was quarantined: ${reason}. ` +
+    'Fix it at DMDC, then store the new password or release the account.',
+    { profile: name, pool: pool || null, code, reason });
+}
+
+// Put a quarantined account back into rotation. Returns false if it was not quarantined.
+function releaseAccount(name) {
+  if (!isQuarantined(name)) return false;
+  accounts.get(name).quarantine = null;
+  saveAccountPool();
+  console.log(`SCRA account "${name}" released from quarantine`);
+  return true;
+}
+
+// Drop the usage of a deleted profile
+function forgetAccount(name) {
+  if (accounts.delete(name)) {
+    saveAccountPool();
+  }
+}
+
+function passwordExpiry(profile, now = Date.now()) {
+  const expiresAt = new Date(profile.passwordChangedAt).getTime() + SCRA_PASSWORD_MAX_AGE_DAYS * DAY_MS;
+  return { passwordExpiresAt: new Date(expiresAt).toISOString(), daysUntilPasswordExpiry: Math.floor((expiresAt - now) / DAY_MS) };
+}
+
+// Every credential profile with its usage, quarantine and password expiry (never the password itself)
+function listAccounts() {
+  const now = Date.now();
+  return credentialStore.listProfiles().map(profile => {
+    const state = accounts.get(profile.name) || {};
+    return {
+      ...profile,
+      status: state.quarantine ? 'quarantined' : 'active',
+      quarantine: state.quarantine || null,
+      lookups: state.lookups || 0,
+      lastUsedAt: state.lastUsedAt || null,
+      ...passwordExpiry(profile, now)
+    };
+  });
+}
+
+// Alert, at most once a day per account, about passwords that expire within PASSWORD_EXPIRY_WARNING_DAYS
+function checkPasswordExpiry(now = Date.now()) {
+  let alerted = 0;
+  for (const profile of credentialStore.listProfiles()) {
+    const { passwordExpiresAt, daysUntilPasswordExpiry } = passwordExpiry(profile, now);
+    if (daysUntilPasswordExpiry > PASSWORD_EXPIRY_WARNING_DAYS) continue;
+
+    const state = getState(profile.name);
+    if (state.lastExpiryAlertAt && now - new Date(state.lastExpiryAlertAt).getTime() < DAY_MS) continue;
+    state.lastExpiryAlertAt = new Date(now).toISOString();
+    alerted++;
+    sendAlert(daysUntilPasswordExpiry < 0 ? 'password_expired' : 'password_expiring',
+      daysUntilPasswordExpiry < 0 ?
+        `The DMDC password of SCRA account "${profile.name}" expired on ${passwordExpiresAt.slice(0, 10)}. Change it at DMDC and store the new one.` :
+        `The DMDC password of SCRA account "${profile.name}" expires in ${daysUntilPasswordExpiry} day(s), on ${passwordExpiresAt.slice(0, 10)}. Change it at DMDC and store the new one.`,
+      { profile: profile.name, pool: profile.pool, passwordExpiresAt });
+  }
+  if (alerted > 0) {
+    saveAccountPool();
+  }
+  return alerted;
+}
+
+function startExpiryChecks() {
+  if (expiryTimer) return;
+  checkPasswordExpiry();
+  expiryTimer = setInterval(checkPasswordExpiry, PASSWORD_EXPIRY_CHECK_INTERVAL_MS);
+  // The checks alone should not keep the process alive
+  expiryTimer.unref();
+}
+
+module.exports = {
+  loadAccountPool,
+  hasPool,
+  hasAvailableAccount,
+  acquireAccount,
+  throttleAccounts,
+  detectLoginProblem,
+  quarantineAccount,
+  releaseAccount,
+  forgetAccount,
+  listAccounts,
+  checkPasswordExpiry,
+  startExpiryChecks
+};
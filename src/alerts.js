@@ -0,0 +1,36 @@
+const axios = require('axios');
+
+// Operator alerts: things someone has to act on (a locked SCRA account, a password about to expire).
+// Always logged; also posted as JSON to ALERT_WEBHOOK_URL (e.g. a Slack or Teams incoming webhook) when it is set.
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || null;
+const ALERT_WEBHOOK_TIMEOUT_MS = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 10000;
+// How many recent alerts GET /alerts keeps
+const RECENT_ALERTS_MAX = 50;
+
+const recentAlerts = [];
+
+// type is a short identifier (e.g. 'account_quarantined'); details must not contain credentials.
+// Never throws: a failing webhook must not break the job that raised the alert.
+async function sendAlert(type, message, details = {}) {
+  const alert = { type, message, details, at: new Date().toISOString() };
+  recentAlerts.push(alert);
+  if (recentAlerts.length > RECENT_ALERTS_MAX) {
+    recentAlerts.shift();
+  }
+  console.warn(`ALERT [${type}] ${message}`);
+
+  if (!ALERT_WEBHOOK_URL) return;
+  try {
+    // "text" is what chat webhooks display; the rest is for anything parsing the alert
+    await axios.post(ALERT_WEBHOOK_URL, { text: `SCRA proxy: ${message}`, ...alert }, { timeout: ALERT_WEBHOOK_TIMEOUT_MS });
+  } catch (error) {
+    console.error(`Failed to post alert to ALERT_WEBHOOK_URL: ${error.message}`);
+  }
+}
+
+// Newest first
+function getRecentAlerts() {
+  return recentAlerts.slice().reverse();
+}
+
+module.exports = { sendAlert, getRecentAlerts };
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Inbound client authentication for the API used by Salesforce.
+//
+// Clients are configured with API_CLIENTS (a JSON array) or API_CLIENTS_FILE (path to a JSON file with the same array):
+//   [{ "id": "salesforce-prod", "apiKeys": ["..."], "hmacSecret": "...", "callbackHosts": ["bblaw.my.salesforce-sites.com"] }]
+//
+// A request authenticates with either
+//   - an API key:   "X-API-Key: <key>" or "Authorization: Bearer <key>", or
+//   - a signature:  "X-Client-Id: <id>", "X-Timestamp: <unix seconds>" and
+//                   "X-Signature: <hex HMAC-SHA256 of `${timestamp}.${rawBody}` with the client's hmacSecret>".
+//
+// The artifact endpoints (screenshots, PDFs, logs) are for operators: they need an admin token from ADMIN_TOKENS
+// (comma-separated, sent as "X-Admin-Token: <token>" or "Authorization: Bearer <token>") or a signed, expiring link
+// made by signUrl(), which carries "?expires=<unix seconds>&signature=<hex HMAC-SHA256 of `${path}:${expires}`>".
+
+// Signed requests older (or newer) than this are rejected, and signatures are remembered this long to stop replays
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.SIGNATURE_TOLERANCE_SECONDS) || 300;
+
+// Lifetime of the signed links printed in the logs and returned by the listings
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 60 * 60;
+
+const ADMIN_TOKENS = (process.env.ADMIN_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean);
+
+// Without a configured secret, links are signed with a per-process key and stop working after a restart
+const URL_SIGNING_SECRET = process.env.URL_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+
+let clients = [];
+const seenSignatures = new Map(); // signature -> expiry (ms)
+
+function loadClients() {
+  let raw = process.env.API_CLIENTS || null;
+  if (!raw && process.env.API_CLIENTS_FILE) {
+    raw = fs.readFileSync(process.env.API_CLIENTS_FILE, 'utf8');
+  }
+
+  clients = raw ? JSON.parse(raw) : [];
+  for (const client of clients) {
+    if (!client.id) {
+      throw new Error('Every API client needs an "id"');
+    }
+    client.apiKeys = client.apiKeys || [];
+    client.callbackHosts = client.callbackHosts || [];
+  }
+
+  if (clients.length === 0) {
+    console.warn('WARNING: No API clients configured (API_CLIENTS / API_CLIENTS_FILE); inbound requests are NOT authenticated');
+  } else {
+    console.log(`Loaded ${clients.length} API client(s): ${clients.map(c => c.id).join(', ')}`);
+  }
+
+  if (ADMIN_TOKENS.length === 0) {
+    console.warn('WARNING: No ADMIN_TOKENS configured; screenshots, PDFs and logs are only reachable through signed links');
+  }
+  if (!process.env.URL_SIGNING_SECRET) {
+    console.warn('WARNING: URL_SIGNING_SECRET is not set; signed links will stop working when the server restarts');
+  }
+  return clients;
+}
+
+function isAuthEnabled() {
+  return clients.length > 0;
+}
+
+// Constant-time comparison of two strings of any length
+function safeEqual(a, b) {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+function findClient(id) {
+  return clients.find(client => client.id === id) || null;
+}
+
+function findClientByApiKey(apiKey) {
+  return clients.find(client => client.apiKeys.some(key => safeEqual(key, apiKey))) || null;
+}
+
+function pruneSeenSignatures() {
+  const now = Date.now();
+  for (const [signature, expiresAt] of seenSignatures) {
+    if (expiresAt < now) seenSignatures.delete(signature);
+  }
+}
+
+// Returns { client } or { error } for a signed request
+function verifySignature(req) {
+  const clientId = req.get('X-Client-Id');
+  const timestamp = req.get('X-Timestamp');
+  const signature = req.get('X-Signature');
+
+  const client = clients.find(c => c.id === clientId && c.hmacSecret);
+  if (!client) {
+    return { error: 'Unknown client' };
+  }
+
+  const timestampSeconds = parseInt(timestamp);
+  if (!timestampSeconds || Math.abs(Date.now() / 1000 - timestampSeconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { error: 'Request timestamp is missing or outside the allowed window' };
+  }
+
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const expected = crypto.createHmac('sha256', client.hmacSecret).update(`${timestamp}.${rawBody}`).digest('hex');
+  if (!safeEqual(expected, signature.replace(/^sha256=/, ''))) {
+    return { error: 'Invalid signature' };
+  }
+
+  pruneSeenSignatures();
+  if (seenSignatures.has(expected)) {
+    return { error: 'Signature has already been used' };
+  }
+  seenSignatures.set(expected, Date.now() + SIGNATURE_TOLERANCE_SECONDS * 1000 * 2);
+
+  return { client };
+}
+
+// Express middleware: sets req.client to the authenticated client, or answers 401.
+// When no clients are configured every request passes with req.client = null.
+function authenticateClient(req, res, next) {
+  if (!isAuthEnabled()) {
+    req.client = null;
+    return next();
+  }
+
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const apiKey = req.get('X-API-Key') || (bearer && bearer[1]);
+
+  if (apiKey) {
+    const client = findClientByApiKey(apiKey);
+    if (!client) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    req.client = { id: client.id, callbackHosts: client.callbackHosts, authMethod: 'api_key' };
+    return next();
+  }
+
+  if (req.get('X-Signature')) {
+    const { client, error } = verifySignature(req);
+    if (error) {
+      return res.status(401).json({ error });
+    }
+    req.client = { id: client.id, callbackHosts: client.callbackHosts, authMethod: 'hmac' };
+    return next();
+  }
+
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({ error: 'Authentication required' });
+}
+
+// Whether a client may receive callbacks at this URL. Hosts may use a leading wildcard ("*.my.salesforce-sites.com").
+function isCallbackHostAllowed(client, callbackUrl) {
+  if (!client) return true; // authentication disabled
+
+  const hostname = new URL(callbackUrl).hostname.toLowerCase();
+  return client.callbackHosts.some(pattern => {
+    const allowed = pattern.toLowerCase();
+    if (allowed.startsWith('*.')) {
+      return hostname.endsWith(allowed.slice(1));
+    }
+    return hostname === allowed;
+  });
+}
+
+function computeUrlSignature(pathname, expires) {
+  return crypto.createHmac('sha256', URL_SIGNING_SECRET).update(`${pathname}:${expires}`).digest('hex');
+}
+
+// Turn an absolute or path-only URL into a signed link that expires after ttlSeconds
+function signUrl(url, ttlSeconds = SIGNED_URL_TTL_SECONDS) {
+  const parsed = new URL(url, 'http://localhost');
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  parsed.searchParams.set('expires', String(expires));
+  parsed.searchParams.set('signature', computeUrlSignature(decodeURIComponent(parsed.pathname), expires));
+  return /^https?:\/\//.test(url) ? parsed.toString() : `${parsed.pathname}${parsed.search}`;
+}
+
+function hasValidUrlSignature(req) {
+  const { expires, signature } = req.query;
+  if (!expires || !signature) return false;
+  if (parseInt(expires) < Date.now() / 1000) return false;
+  return safeEqual(computeUrlSignature(decodeURIComponent(req.path), expires), signature);
+}
+
+function hasAdminToken(req) {
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const token = req.get('X-Admin-Token') || (bearer && bearer[1]);
+  return !!token && ADMIN_TOKENS.some(adminToken => safeEqual(adminToken, token));
+}
+
+// Express middleware for the artifact endpoints: an admin token or a valid signed link, otherwise 401.
+function requireAdminOrSignedUrl(req, res, next) {
+  if (hasAdminToken(req) || hasValidUrlSignature(req)) {
+    return next();
+  }
+  if (req.query.signature) {
+    return res.status(401).json({ error: 'Link has expired or is invalid' });
+  }
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({ error: 'Admin token or signed link required' });
+}
+
+// Express middleware for operator-only actions: an admin token, otherwise 401
+function requireAdmin(req, res, next) {
+  if (hasAdminToken(req)) {
+    return next();
+  }
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({ error: 'Admin token required' });
+}
+
+module.exports = {
+  loadClients,
+  isAuthEnabled,
+  findClient,
+  authenticateClient,
+  isCallbackHostAllowed,
+  signUrl,
+  requireAdminOrSignedUrl,
+  requireAdmin
+};
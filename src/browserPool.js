@@ -0,0 +1,222 @@
+const { firefox } = require('playwright');
+
+// Recycle the shared browser after this many leases to keep Firefox memory in check
+const BROWSER_RECYCLE_AFTER_JOBS = parseInt(process.env.BROWSER_RECYCLE_AFTER_JOBS) || 25;
+const BROWSER_HEALTH_CHECK_INTERVAL_MS = parseInt(process.env.BROWSER_HEALTH_CHECK_INTERVAL_MS) || 60 * 1000;
+const CONTEXT_CREATION_TIMEOUT_MS = 10 * 1000;
+
+// The browser currently handing out contexts, plus older ones still finishing their last jobs
+let current = null;
+let launching = null;
+const retiring = new Set();
+let healthCheckTimer = null;
+let totalLaunches = 0;
+let lastHealthCheck = null;
+
+// Launch Firefox with retry logic
+async function launchBrowser(retryCount = 3) {
+  for (let i = 0; i < retryCount; i++) {
+    try {
+      console.log(`Browser initialization attempt ${i + 1}/${retryCount}`);
+
+      // Simple, minimal browser launch options similar to court_proxy_app
+      const browser = await firefox.launch({
+        args: [
+          '--no-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-gpu',
+          '--no-first-run',
+          '--no-zygote',
+          '--single-process'
+        ],
+        timeout: 30000,
+        handleSIGINT: false,
+        handleSIGTERM: false,
+        handleSIGHUP: false
+      });
+
+      // Verify browser health
+      const testContext = await browser.newContext();
+      await testContext.close();
+
+      console.log('Browser initialization successful');
+      return browser;
+    } catch (error) {
+      console.error(`Browser initialization attempt ${i + 1} failed:`, error);
+      if (i === retryCount - 1) {
+        throw new Error(`Failed to initialize browser after ${retryCount} attempts: ${error.message}`);
+      }
+      // Wait before retry
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+}
+
+// Close a retired browser once its last lease has been released
+async function closeIfIdle(entry) {
+  if (entry.activeLeases > 0 || entry === current) return;
+  retiring.delete(entry);
+  try {
+    console.log(`Closing retired browser #${entry.id} after ${entry.leases} jobs`);
+    await entry.browser.close();
+  } catch (closeError) {
+    console.error('Error closing retired browser:', closeError.message);
+  }
+}
+
+// Stop handing out contexts from the current browser; it closes when its running jobs finish
+function retireCurrent(reason) {
+  if (!current) return;
+  console.log(`Retiring browser #${current.id}: ${reason}`);
+  const entry = current;
+  current = null;
+  retiring.add(entry);
+  closeIfIdle(entry);
+}
+
+// Take a lease on the current browser, launching one if needed. The lease is counted in the same tick the browser
+// is picked, so concurrent callers never push it past BROWSER_RECYCLE_AFTER_JOBS; callers that find it full
+// after waiting for a launch retire it and wait for the next one.
+async function leaseBrowser() {
+  for (;;) {
+    if (current && current.browser.isConnected() && current.leases < BROWSER_RECYCLE_AFTER_JOBS) {
+      current.leases++;
+      current.activeLeases++;
+      return current;
+    }
+
+    if (current) {
+      retireCurrent(current.browser.isConnected() ? 'recycle limit reached' : 'browser disconnected');
+    }
+
+    // Concurrent callers share a single launch
+    if (!launching) {
+      launching = launchBrowser(3)
+        .then(browser => {
+          const entry = { id: ++totalLaunches, browser, leases: 0, activeLeases: 0, launchedAt: new Date().toISOString() };
+          browser.on('disconnected', () => {
+            console.error(`Browser #${entry.id} disconnected`);
+            if (current === entry) {
+              current = null;
+            }
+            retiring.delete(entry);
+          });
+          current = entry;
+          startHealthChecks();
+          return entry;
+        })
+        .finally(() => {
+          launching = null;
+        });
+    }
+    await launching;
+  }
+}
+
+// Create an isolated context on the shared browser.
+// Returns { browser, context, release }; release() must be called when the job is done with it.
+async function acquireContext(contextOptions = {}) {
+  const entry = await leaseBrowser();
+
+  let context;
+  let timer;
+  const creation = entry.browser.newContext(contextOptions);
+  try {
+    context = await Promise.race([
+      creation,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Context creation timed out after ${CONTEXT_CREATION_TIMEOUT_MS / 1000} seconds`)), CONTEXT_CREATION_TIMEOUT_MS);
+      })
+    ]);
+  } catch (error) {
+    // A context that still shows up after the timeout would otherwise stay open on the shared browser
+    creation.then(late => late.close()).catch(() => {});
+    entry.activeLeases--;
+    // A browser that cannot create contexts is not healthy
+    if (entry === current) {
+      retireCurrent(`context creation failed: ${error.message}`);
+    } else {
+      closeIfIdle(entry);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  let released = false;
+  const release = async () => {
+    if (released) return;
+    released = true;
+    try {
+      await context.close();
+    } catch (closeError) {
+      console.error('Error closing browser context:', closeError.message);
+    }
+    entry.activeLeases--;
+    await closeIfIdle(entry);
+  };
+
+  return { browser: entry.browser, context, release };
+}
+
+// Periodically make sure the idle browser can still create a context, and recycle it if not
+function startHealthChecks() {
+  if (healthCheckTimer) return;
+  healthCheckTimer = setInterval(async () => {
+    const entry = current;
+    if (!entry) return;
+    let timer;
+    const creation = entry.browser.newContext();
+    try {
+      const testContext = await Promise.race([
+        creation,
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Health check timed out')), CONTEXT_CREATION_TIMEOUT_MS);
+        })
+      ]);
+      clearTimeout(timer);
+      await testContext.close();
+      lastHealthCheck = { at: new Date().toISOString(), healthy: true };
+    } catch (error) {
+      clearTimeout(timer);
+      creation.then(late => late.close()).catch(() => {});
+      console.error(`Browser #${entry.id} failed health check:`, error.message);
+      lastHealthCheck = { at: new Date().toISOString(), healthy: false, error: error.message };
+      if (current === entry) {
+        retireCurrent('failed health check');
+      }
+    }
+  }, BROWSER_HEALTH_CHECK_INTERVAL_MS);
+  // Health checks alone should not keep the process alive
+  healthCheckTimer.unref();
+}
+
+function getPoolStatus() {
+  return {
+    recycleAfterJobs: BROWSER_RECYCLE_AFTER_JOBS,
+    launches: totalLaunches,
+    current: current ? {
+      id: current.id,
+      connected: current.browser.isConnected(),
+      launchedAt: current.launchedAt,
+      leases: current.leases,
+      activeLeases: current.activeLeases
+    } : null,
+    retiring: Array.from(retiring).map(entry => ({ id: entry.id, activeLeases: entry.activeLeases })),
+    lastHealthCheck
+  };
+}
+
+// Close every browser, e.g. on shutdown
+async function closeAll() {
+  clearInterval(healthCheckTimer);
+  healthCheckTimer = null;
+  const entries = [current, ...retiring].filter(Boolean);
+  current = null;
+  retiring.clear();
+  await Promise.all(entries.map(entry => entry.browser.close().catch(err => {
+    console.error('Error closing browser:', err.message);
+  })));
+}
+
+module.exports = { acquireContext, getPoolStatus, closeAll };
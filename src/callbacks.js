@@ -0,0 +1,89 @@
+const path = require('path');
+const fs = require('fs');
+const axios = require('axios');
+const { getStageBudget } = require('./watchdog');
+const { signUrl } = require('./auth');
+const { readArtifact, readJsonArtifact } = require('./encryption');
+
+// Root directory is one level up from src
+const ROOT_DIR = path.join(__dirname, '..');
+const OUTPUTS_DIR = process.env.OUTPUTS_DIR || path.join(ROOT_DIR, 'outputs');
+
+// The callback stage budget bounds each delivery attempt (STAGE_TIMEOUT_CALLBACK_MS)
+const CALLBACK_TIMEOUT_MS = getStageBudget('callback');
+
+// The run link in failure callbacks must outlive the outbox retries and give staff time to look (default 7 days)
+const RUN_LINK_TTL_SECONDS = parseInt(process.env.RUN_LINK_TTL_SECONDS) || 7 * 24 * 60 * 60;
+
+// Build the result payload from what a successful run left in its folder.
+// Field names match exactly what the Salesforce handler expects.
+function buildResultPayload(runFolder) {
+  const runPath = path.join(OUTPUTS_DIR, runFolder);
+  const resultPath = path.join(runPath, 'result.json');
+  if (!fs.existsSync(resultPath)) {
+    return null;
+  }
+
+  const result = readJsonArtifact(resultPath);
+  const pdfFileData = readArtifact(path.join(runPath, result.pdfFileName));
+
+  return {
+    matterId: result.matterId,
+    proofOfMilitaryServiceFound: result.proofOfMilitaryServiceFound,
+    pdfBase64: pdfFileData.toString('base64'),
+    pdfFileName: result.pdfFileName,
+    // Parsed certificate contents (null for runs from before the parser existed)
+    certificate: result.certificate || null
+  };
+}
+
+// Build the payload telling Salesforce that a search ended without a result
+function buildFailurePayload({ matterId, jobId, runFolder, serverBaseUrl, classification }) {
+  return {
+    matterId,
+    jobId,
+    status: 'failed',
+    errorCode: classification.code,
+    retryable: classification.retryable,
+    errorMessage: classification.message,
+    errorDetail: classification.detail,
+    runFolder: runFolder || null,
+    runFolderUrl: runFolder && serverBaseUrl ? signUrl(`${serverBaseUrl}/runs/${runFolder}`, RUN_LINK_TTL_SECONDS) : null
+  };
+}
+
+// POST a payload to a callback URL. Resolves with the response summary, rejects on network errors and non-2xx.
+async function postCallback(endpointUrl, payload) {
+  console.log(`Sending callback to: ${endpointUrl.substring(0, 30)}...`);
+  console.log(`Payload size: ~${Math.round(JSON.stringify(payload).length / 1024)} KB`);
+
+  const postResp = await axios.post(endpointUrl, payload, {
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    timeout: CALLBACK_TIMEOUT_MS
+  });
+
+  console.log(`POST to endpoint succeeded: ${postResp.status} ${postResp.statusText}`);
+
+  // Check if response contains HTML instead of JSON
+  const isHtmlResponse =
+    typeof postResp.data === 'string' &&
+    (postResp.data.includes('<!DOCTYPE HTML') || postResp.data.includes('<html'));
+
+  if (isHtmlResponse) {
+    console.warn('Warning: Received HTML response from Salesforce endpoint instead of JSON.');
+    console.warn('This usually indicates that the endpoint is not correctly configured to receive API requests.');
+    console.warn('Please check that the Salesforce Site is properly configured with a REST endpoint.');
+  }
+
+  return {
+    status: postResp.status,
+    statusText: postResp.statusText,
+    data: postResp.data,
+    isHtmlResponse
+  };
+}
+
+module.exports = { buildResultPayload, buildFailurePayload, postCallback };
@@ -0,0 +1,140 @@
+// Parser for the DMDC "Status Report Pursuant to Servicemembers Civil Relief Act" certificate,
+// working on the text pdf-parse extracts from the downloaded PDF.
+//
+// The certificate has a header (results date, status date, certificate ID) and three tables with the same
+// columns (start date, end date, status, service component):
+//   1. On Active Duty On Active Duty Status Date
+//   2. Left Active Duty Within 367 Days of Active Duty Status Date
+//   3. The Member or His/Her Unit Was Notified of a Future Call-Up to Active Duty on Active Duty Status Date
+// pdf-parse may put each cell on its own line or run a whole row together ("NANANoNA"), so sections are parsed
+// from their text as a whole rather than line by line.
+
+const PARSER_VERSION = 1;
+
+const SECTIONS = {
+  activeDuty: /On\s*Active\s*Duty\s*On\s*Active\s*Duty\s*Status\s*Date/i,
+  leftActiveDutyWithin367Days: /Left\s*Active\s*Duty\s*Within\s*367\s*Days/i,
+  futureCallUp: /Notified\s*of\s*a\s*Future\s*Call[\s-]*Up/i
+};
+
+// Column headings and the explanatory sentence below each table, removed before looking for values
+const COLUMN_HEADINGS = /(Active\s*Duty|Order\s*Notification)\s*(Start|End)\s*Date|Service\s*Component|\bStatus\b/gi;
+const SECTION_FOOTER = /This\s+response\s+reflects[\s\S]*$/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// Jun-01-2025, 06-01-2025, 06/01/2025 or 2025-06-01
+const DATE_PATTERN = /([A-Z][a-z]{2})-(\d{2})-(\d{4})|(\d{2})[-/](\d{2})[-/](\d{4})|(\d{4})-(\d{2})-(\d{2})/g;
+const STATUS_PATTERN = /(?:^|\s|\d|NA)(Yes|No)(?=\s|$|NA|[A-Z][a-z])/;
+const COMPONENT_PATTERN = /(Army|Navy|Air\s*Force|Marine\s*Corps|Coast\s*Guard|Space\s*Force|NOAA|Public\s*Health\s*Service)(\s*(National\s*Guard|Air\s*National\s*Guard|Reserves?|Active\s*Duty|Commissioned\s*Corps))?/i;
+
+// Convert a matched date to YYYY-MM-DD (or keep the raw text if it is not a real date)
+function toIsoDate(match) {
+  let year;
+  let month;
+  let day;
+  if (match[1]) {
+    month = MONTHS.indexOf(match[1].toLowerCase()) + 1;
+    [day, year] = [Number(match[2]), Number(match[3])];
+  } else if (match[4]) {
+    [month, day, year] = [Number(match[4]), Number(match[5]), Number(match[6])];
+  } else {
+    [year, month, day] = [Number(match[7]), Number(match[8]), Number(match[9])];
+  }
+  if (month < 1 || month > 12 || day < 1 || day > 31) {
+    return match[0];
+  }
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function findDates(text) {
+  return Array.from(text.matchAll(DATE_PATTERN)).map(toIsoDate);
+}
+
+function findLabeledDate(text, label) {
+  const labeled = text.match(new RegExp(`${label}\\s*:?\\s*([^\\n]{0,40})`, 'i'));
+  if (!labeled) return null;
+  const dates = findDates(labeled[1]);
+  return dates[0] || null;
+}
+
+// Split the text into the three tables, each running from its heading to the next heading
+function splitSections(text) {
+  const found = Object.entries(SECTIONS)
+    .map(([name, pattern]) => {
+      const match = text.match(pattern);
+      return match ? { name, start: match.index, headingEnd: match.index + match[0].length } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+  const sections = {};
+  found.forEach((section, i) => {
+    const end = i + 1 < found.length ? found[i + 1].start : text.length;
+    sections[section.name] = text.slice(section.headingEnd, end);
+  });
+  return sections;
+}
+
+function parseSection(sectionText) {
+  const body = sectionText
+    .replace(SECTION_FOOTER, '')
+    .replace(/Active\s*Duty\s*Status\s*Date/gi, ' ') // rest of the longer headings
+    .replace(COLUMN_HEADINGS, ' ');
+
+  const dates = findDates(body);
+  const statusMatch = body.match(STATUS_PATTERN);
+  const componentMatch = body.match(COMPONENT_PATTERN);
+
+  return {
+    status: statusMatch ? statusMatch[1] : null,
+    startDate: dates[0] || null,
+    endDate: dates[1] || null,
+    serviceComponent: componentMatch ? componentMatch[0].replace(/\s+/g, ' ').trim() : null
+  };
+}
+
+// Turn certificate text into { certificateId, resultsAsOf, statusAsOf, activeDuty, leftActiveDutyWithin367Days,
+// futureCallUp, ambiguous, ambiguityReasons }. ambiguous is set whenever the layout was not fully recognized,
+// so the structured fields should not be relied on without looking at the PDF.
+function parseCertificate(text) {
+  const normalized = String(text || '').replace(/\r/g, '');
+  const reasons = [];
+
+  const certificateIdMatch = normalized.match(/Certificate\s*ID\s*:?\s*([A-Z0-9]{8,})/i);
+  if (!certificateIdMatch) {
+    reasons.push('Certificate ID not found');
+  }
+
+  const sections = splitSections(normalized);
+  const certificate = {
+    parserVersion: PARSER_VERSION,
+    certificateId: certificateIdMatch ? certificateIdMatch[1] : null,
+    resultsAsOf: findLabeledDate(normalized, 'Results\\s*as\\s*of'),
+    statusAsOf: findLabeledDate(normalized, 'Status\\s*As\\s*Of') || findLabeledDate(normalized, 'Active\\s*Duty\\s*Status\\s*Date\\s*:'),
+    activeDuty: null,
+    leftActiveDutyWithin367Days: null,
+    futureCallUp: null,
+    ambiguous: false,
+    ambiguityReasons: reasons
+  };
+
+  for (const name of Object.keys(SECTIONS)) {
+    if (sections[name] === undefined) {
+      reasons.push(`Section "${name}" not found`);
+      continue;
+    }
+    const section = parseSection(sections[name]);
+    certificate[name] = section;
+
+    if (!section.status) {
+      reasons.push(`No Yes/No status in section "${name}"`);
+    } else if (section.status === 'Yes' && !section.startDate) {
+      reasons.push(`Section "${name}" is Yes but has no start date`);
+    }
+  }
+
+  certificate.ambiguous = reasons.length > 0;
+  return certificate;
+}
+
+module.exports = { PARSER_VERSION, parseCertificate };
@@ -0,0 +1,200 @@
+const axios = require('axios');
+const { SCRA_URL } = require('./scraAutomation');
+const { sendAlert } = require('./alerts');
+
+// Circuit breaker around the DMDC SCRA site. When it is down or blocking our egress IP, every job would spend
+// minutes in connectivity checks and navigation retries before failing. After CIRCUIT_FAILURE_THRESHOLD consecutive
+// navigation failures the breaker opens: no new jobs start, and jobs that fail on navigation meanwhile go back to
+// the queue instead of failing. The site is probed (the same GET as /scra-probe) every CIRCUIT_PROBE_INTERVAL_MS;
+// once a probe gets through, one trial job runs (half open) and its outcome closes or reopens the breaker.
+const CIRCUIT_BREAKER_ENABLED = process.env.CIRCUIT_BREAKER_ENABLED !== 'false';
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3;
+const CIRCUIT_PROBE_INTERVAL_MS = parseInt(process.env.CIRCUIT_PROBE_INTERVAL_MS) || 60 * 1000;
+const CIRCUIT_PROBE_TIMEOUT_MS = parseInt(process.env.CIRCUIT_PROBE_TIMEOUT_MS) || 30 * 1000;
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Steps of runScraAutomation that come after the DMDC site was reached
+const STEPS_PAST_NAVIGATION = ['login', 'form', 'download', 'analysis', 'completed'];
+
+const breaker = {
+  state: STATES.CLOSED,
+  consecutiveFailures: 0,
+  openedAt: null,
+  trialJobId: null, // the job running as the half-open trial
+  lastFailure: null, // { code, detail, at }
+  lastProbe: null, // { at, ok, status, error, durationMs }
+  nextProbeAt: null
+};
+let probeTimer = null;
+let onResume = () => {};
+
+// Called when jobs may start again (half open or closed), e.g. to restart the queue
+function setResumeHandler(handler) {
+  onResume = handler;
+}
+
+// What a finished run says about the site: 'failure' if it could not be reached, 'success' if the run got past
+// navigation (whatever happened after that), 'neutral' if it never got to the site (e.g. no browser)
+function outcomeOf(code, step) {
+  if (code === 'DMDC_UNREACHABLE' || (code === 'TIMEOUT' && step === 'navigation')) return 'failure';
+  if (!code || STEPS_PAST_NAVIGATION.includes(step)) return 'success';
+  return 'neutral';
+}
+
+function scheduleProbe() {
+  clearTimeout(probeTimer);
+  breaker.nextProbeAt = new Date(Date.now() + CIRCUIT_PROBE_INTERVAL_MS).toISOString();
+  probeTimer = setTimeout(probe, CIRCUIT_PROBE_INTERVAL_MS);
+  // The probes alone should not keep the process alive
+  probeTimer.unref();
+}
+
+function open(reason) {
+  const wasOpen = breaker.state === STATES.OPEN;
+  breaker.state = STATES.OPEN;
+  breaker.trialJobId = null;
+  if (!wasOpen) {
+    breaker.openedAt = new Date().toISOString();
+    sendAlert('circuit_open', `The DMDC SCRA site looks unreachable (${reason}). New lookups are paused and queued jobs are held; ` +
+      `the site is probed every ${CIRCUIT_PROBE_INTERVAL_MS / 1000}s.`, { reason });
+  }
+  scheduleProbe();
+}
+
+function close(reason) {
+  const wasOpen = breaker.state !== STATES.CLOSED;
+  clearTimeout(probeTimer);
+  Object.assign(breaker, { state: STATES.CLOSED, consecutiveFailures: 0, trialJobId: null, nextProbeAt: null });
+  if (wasOpen) {
+    const pausedFor = Math.round((Date.now() - new Date(breaker.openedAt).getTime()) / 1000);
+    breaker.openedAt = null;
+    sendAlert('circuit_closed', `The DMDC SCRA site is back (${reason}) after ${pausedFor}s; lookups resume.`, { reason });
+    onResume();
+  }
+}
+
+// Record how the run of job jobId went (see outcomeOf). Returns the breaker state afterwards.
+// In half open only the trial job decides; runs that started before the breaker opened are ignored.
+function recordOutcome(outcome, { jobId = null, code = null, detail = null } = {}) {
+  if (!CIRCUIT_BREAKER_ENABLED) return breaker.state;
+  const wasTrial = breaker.trialJobId !== null && jobId === breaker.trialJobId;
+  if (breaker.state === STATES.HALF_OPEN && !wasTrial) return breaker.state;
+  if (wasTrial) {
+    breaker.trialJobId = null;
+  }
+
+  if (outcome === 'failure') {
+    breaker.consecutiveFailures++;
+    breaker.lastFailure = { code, detail, at: new Date().toISOString() };
+    if (breaker.state === STATES.HALF_OPEN) {
+      open('the trial lookup failed again');
+    } else if (breaker.state === STATES.CLOSED && breaker.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+      open(`${breaker.consecutiveFailures} lookups in a row failed: ${detail || code}`);
+    }
+  } else if (outcome === 'success') {
+    if (breaker.state === STATES.CLOSED) {
+      breaker.consecutiveFailures = 0;
+    } else if (breaker.state === STATES.HALF_OPEN) {
+      close('a trial lookup reached it');
+    }
+    // A run started before the breaker opened may still get through; the probes decide when to resume
+  } else if (wasTrial && breaker.state === STATES.HALF_OPEN) {
+    // The trial never got to the site; let the next job try
+    onResume();
+  }
+  return breaker.state;
+}
+
+// Whether job jobId may start now. In half open, only one trial job runs at a time.
+function tryStartJob(jobId) {
+  if (!CIRCUIT_BREAKER_ENABLED || breaker.state === STATES.CLOSED) return true;
+  if (breaker.state === STATES.HALF_OPEN && breaker.trialJobId === null) {
+    breaker.trialJobId = jobId;
+    console.log(`Circuit breaker half open: starting job ${jobId} as a trial lookup`);
+    return true;
+  }
+  return false;
+}
+
+function isOpen() {
+  return CIRCUIT_BREAKER_ENABLED && breaker.state !== STATES.CLOSED;
+}
+
+// GET the SCRA site the way /scra-probe does. Any 2xx or 3xx answer counts as reachable;
+// errors and 4xx/5xx (e.g. a firewall's 403 for our IP) do not.
+async function probeScraSite() {
+  const startedAt = Date.now();
+  try {
+    const response = await axios.get(SCRA_URL.split('#')[0], {
+      timeout: CIRCUIT_PROBE_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+    const ok = response.status < 400;
+    return { ok, status: response.status, error: ok ? null : `HTTP ${response.status}`, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, status: null, error: error.message, durationMs: Date.now() - startedAt };
+  }
+}
+
+// Probe now; while open, a successful probe moves the breaker to half open and restarts the queue
+async function probe() {
+  const result = await probeScraSite();
+  breaker.lastProbe = { at: new Date().toISOString(), ...result };
+  if (breaker.state !== STATES.OPEN) {
+    return breaker.lastProbe;
+  }
+  if (result.ok) {
+    console.log(`Circuit breaker probe reached the SCRA site (HTTP ${result.status}), allowing a trial lookup`);
+    breaker.state = STATES.HALF_OPEN;
+    breaker.nextProbeAt = null;
+    onResume();
+  } else {
+    console.log(`Circuit breaker probe failed (${result.error}), staying open`);
+    scheduleProbe();
+  }
+  return breaker.lastProbe;
+}
+
+// Force the breaker closed, e.g. once an operator knows the site is back
+function reset() {
+  if (breaker.state === STATES.CLOSED) {
+    breaker.consecutiveFailures = 0;
+    return;
+  }
+  close('reset by an operator');
+}
+
+function getBreakerStatus() {
+  return {
+    enabled: CIRCUIT_BREAKER_ENABLED,
+    state: breaker.state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    failureThreshold: CIRCUIT_FAILURE_THRESHOLD,
+    openedAt: breaker.openedAt,
+    trialInFlight: breaker.trialJobId !== null,
+    trialJobId: breaker.trialJobId,
+    lastFailure: breaker.lastFailure,
+    lastProbe: breaker.lastProbe,
+    nextProbeAt: breaker.nextProbeAt,
+    probeIntervalMs: CIRCUIT_PROBE_INTERVAL_MS
+  };
+}
+
+module.exports = {
+  STATES,
+  setResumeHandler,
+  outcomeOf,
+  recordOutcome,
+  tryStartJob,
+  isOpen,
+  probeScraSite,
+  probe,
+  reset,
+  getBreakerStatus
+};
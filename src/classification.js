@@ -0,0 +1,62 @@
+const pdfParse = require('pdf-parse');
+const { ScraError } = require('./errors');
+const { parseCertificate } = require('./certificateParser');
+
+// The proofOfMilitaryServiceFound decision for a downloaded DMDC certificate, kept free of browser code
+// so it can be tested offline against fixture PDFs (see config/classification.test.js).
+
+const SECTION_NAMES = ['activeDuty', 'leftActiveDutyWithin367Days', 'futureCallUp'];
+
+// The original line heuristic: any value between "Start Date" and "Service Component" that is not NA/No.
+// Only used when the certificate layout is partly unrecognized; it errs towards "Yes".
+function lineHeuristic(text) {
+  const lines = text.toLowerCase().split(/\r?\n/);
+  let inTable = false;
+
+  for (const line of lines) {
+    if (/Start Date/i.test(line)) inTable = true;
+    if (inTable && /Service Component/i.test(line)) inTable = false;
+    if (inTable) {
+      if (!/\b(NA|No)\b/i.test(line) && /\w/.test(line)) {
+        return 'Yes';
+      }
+    }
+  }
+  return 'No';
+}
+
+// Decide from the certificate text. Returns { proofOfMilitaryServiceFound: 'Yes' | 'No', certificate, basis }
+// where basis says whether the parsed certificate or the fallback heuristic decided.
+// Throws CERTIFICATE_UNRECOGNIZED for text that is not a status report at all, rather than answering "No".
+function classifyCertificateText(text) {
+  const certificate = parseCertificate(text);
+  const sections = SECTION_NAMES.map(name => certificate[name]).filter(Boolean);
+
+  if (sections.length === 0) {
+    throw new ScraError('CERTIFICATE_UNRECOGNIZED', `Downloaded PDF is not a recognizable SCRA status report (${certificate.ambiguityReasons.join('; ')})`);
+  }
+
+  // Any section reporting service (on active duty, left within 367 days, future call-up) counts as proof
+  if (sections.some(section => section.status === 'Yes')) {
+    return { proofOfMilitaryServiceFound: 'Yes', certificate, basis: 'certificate' };
+  }
+  if (!certificate.ambiguous) {
+    return { proofOfMilitaryServiceFound: 'No', certificate, basis: 'certificate' };
+  }
+  return { proofOfMilitaryServiceFound: lineHeuristic(text), certificate, basis: 'heuristic' };
+}
+
+// Extract the text of a certificate PDF and classify it
+async function classifyCertificatePdf(pdfBuffer) {
+  let pdfData;
+  try {
+    // pdf.js reads the whole underlying ArrayBuffer, which for small Node Buffers is a shared pool
+    // slice starting at some offset; hand it a copy that owns its memory
+    pdfData = await pdfParse(new Uint8Array(pdfBuffer));
+  } catch (parseError) {
+    throw new ScraError('CERTIFICATE_UNRECOGNIZED', `Downloaded PDF could not be read: ${parseError.message}`);
+  }
+  return classifyCertificateText(pdfData.text);
+}
+
+module.exports = { classifyCertificateText, classifyCertificatePdf };
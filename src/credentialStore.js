@@ -0,0 +1,166 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { isEncryptionEnabled, writeArtifact, readJsonArtifact } = require('./encryption');
+
+// Root directory is one level up from src
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+const CREDENTIALS_DIR = path.join(DATA_DIR, 'credential_profiles');
+
+// SCRA account credentials kept on the server under a profile name, so /scra-request bodies can say
+// "credentialProfile": "firm-main" instead of carrying the DMDC username and password.
+// Profiles are managed through the admin endpoints and only ever written encrypted (see encryption.js).
+// Profiles sharing a pool name form an account pool that requests can reference instead (see accountPool.js).
+
+// Profile and pool names end up in file names and job parameters
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+const profiles = new Map(); // name -> profile
+
+// e.g. "ST***59", for listings, logs and the status API
+function maskUsername(username) {
+  const value = String(username);
+  return value.length > 4 ? `${value.slice(0, 2)}***${value.slice(-2)}` : '***';
+}
+
+// File-safe key for a DMDC account that does not reveal the username. Sessions and the throttle use it,
+// so a profile and raw credentials for the same account share one session and one budget.
+function accountKey(username) {
+  return crypto.createHash('sha256').update(String(username).toLowerCase()).digest('hex').slice(0, 16);
+}
+
+function profilePath(name) {
+  return path.join(CREDENTIALS_DIR, `${name}.json`);
+}
+
+function isValidProfileName(name) {
+  return typeof name === 'string' && PROFILE_NAME_PATTERN.test(name);
+}
+
+function loadCredentialProfiles() {
+  profiles.clear();
+  const files = fs.existsSync(CREDENTIALS_DIR) ? fs.readdirSync(CREDENTIALS_DIR).filter(name => name.endsWith('.json')) : [];
+  for (const file of files) {
+    try {
+      const profile = readJsonArtifact(path.join(CREDENTIALS_DIR, file));
+      profiles.set(profile.name, profile);
+    } catch (error) {
+      console.error(`Skipping unreadable credential profile ${file}:`, error.message);
+    }
+  }
+  console.log(`Credential profiles loaded: ${profiles.size}`);
+}
+
+// The credentials of a profile, as { username, password }, or null if there is no such profile
+function getCredentials(name) {
+  const profile = profiles.get(name);
+  return profile ? { username: profile.username, password: profile.password } : null;
+}
+
+function hasProfile(name) {
+  return profiles.has(name);
+}
+
+// What the admin endpoints show of a profile: never the password, and the username masked
+function describeProfile(profile) {
+  return {
+    name: profile.name,
+    username: maskUsername(profile.username),
+    description: profile.description || null,
+    pool: profile.pool || null,
+    passwordChangedAt: profile.passwordChangedAt || profile.createdAt,
+    createdAt: profile.createdAt,
+    updatedAt: profile.updatedAt
+  };
+}
+
+// The public view of one profile, or null
+function getProfile(name) {
+  const profile = profiles.get(name);
+  return profile ? describeProfile(profile) : null;
+}
+
+function listProfiles() {
+  return Array.from(profiles.values())
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(describeProfile);
+}
+
+// Create or replace a profile. Throws listing the problems with the input.
+// passwordChangedAt (when the password was last changed at DMDC) defaults to now whenever the password changes.
+function saveProfile(name, { username, password, description, pool, passwordChangedAt } = {}) {
+  const problems = [];
+  if (!isValidProfileName(name)) {
+    problems.push('name may only contain letters, digits, ".", "_" and "-" (at most 64 characters)');
+  }
+  if (typeof username !== 'string' || !username.trim()) {
+    problems.push('username is required');
+  }
+  if (typeof password !== 'string' || !password) {
+    problems.push('password is required');
+  }
+  if (pool !== undefined && pool !== null && !isValidProfileName(pool)) {
+    problems.push('pool may only contain letters, digits, ".", "_" and "-" (at most 64 characters)');
+  }
+  if (passwordChangedAt !== undefined && passwordChangedAt !== null && isNaN(new Date(passwordChangedAt).getTime())) {
+    problems.push('passwordChangedAt must be a date');
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid credential profile: ${problems.join('; ')}`);
+  }
+  // Unlike run artifacts, credentials are never written in plaintext
+  if (!isEncryptionEnabled()) {
+    throw new Error('Credential profiles can only be stored with encryption at rest enabled (ENCRYPTION_KEY_FILE / ENCRYPTION_KEYS)');
+  }
+
+  const previous = profiles.get(name);
+  const now = new Date().toISOString();
+  const passwordChanged = !previous || previous.password !== password;
+  const profile = {
+    name,
+    username: username.trim(),
+    password,
+    description: description ? String(description) : null,
+    pool: pool || null,
+    passwordChangedAt: passwordChangedAt ? new Date(passwordChangedAt).toISOString() :
+      passwordChanged ? now : previous.passwordChangedAt || previous.createdAt,
+    createdAt: previous ? previous.createdAt : now,
+    updatedAt: now
+  };
+  if (!fs.existsSync(CREDENTIALS_DIR)) {
+    fs.mkdirSync(CREDENTIALS_DIR, { recursive: true });
+  }
+  writeArtifact(profilePath(name), JSON.stringify(profile));
+  profiles.set(name, profile);
+  console.log(`Credential profile "${name}" ${previous ? 'updated' : 'created'} for account ${maskUsername(profile.username)}`);
+  return describeProfile(profile);
+}
+
+// Names of the profiles in a pool
+function getPoolMembers(pool) {
+  return Array.from(profiles.values()).filter(profile => profile.pool === pool).map(profile => profile.name);
+}
+
+// Returns false if there was no such profile
+function deleteProfile(name) {
+  if (!profiles.has(name)) return false;
+  fs.rmSync(profilePath(name), { force: true });
+  profiles.delete(name);
+  console.log(`Credential profile "${name}" deleted`);
+  return true;
+}
+
+module.exports = {
+  maskUsername,
+  accountKey,
+  isValidProfileName,
+  loadCredentialProfiles,
+  getCredentials,
+  hasProfile,
+  getProfile,
+  getPoolMembers,
+  listProfiles,
+  saveProfile,
+  deleteProfile
+};
@@ -0,0 +1,240 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Envelope encryption for run artifacts (PDFs, screenshots, result and log files), stored callback payloads and the
+// runtime state under DATA_DIR that holds PII (job journal, run catalog, outbox).
+//
+// Each file gets its own random data key; the file is encrypted with it (AES-256-GCM) and the data key is
+// wrapped with a master key from the key ring. Only the wrapped data key is stored, in the file header.
+//
+// The key ring comes from ENCRYPTION_KEY_FILE (path to a JSON file, e.g. a mounted secret) or ENCRYPTION_KEYS (the same JSON):
+//   { "activeKeyId": "2025-06", "keys": { "2025-01": "<base64 32 bytes>", "2025-06": "<base64 32 bytes>" } }
+// New files use the active key; older keys stay in the ring so existing files can still be read until they are rotated.
+
+// Encrypted files start with this marker, followed by a 4-byte header length, the JSON header and the ciphertext
+const MAGIC = Buffer.from('SCRAENC1');
+const ALGORITHM = 'aes-256-gcm';
+
+let keyRing = null;
+
+function parseKeyRing(raw) {
+  const config = JSON.parse(raw);
+  const keys = new Map();
+  for (const [keyId, encodedKey] of Object.entries(config.keys || {})) {
+    const key = Buffer.from(encodedKey, 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Encryption key "${keyId}" must be 32 bytes (base64-encoded)`);
+    }
+    keys.set(keyId, key);
+  }
+  if (keys.size > 0 && !keys.has(config.activeKeyId)) {
+    throw new Error(`Active encryption key "${config.activeKeyId}" is not in the key ring`);
+  }
+  return { activeKeyId: keys.size > 0 ? config.activeKeyId : null, keys };
+}
+
+function loadKeys() {
+  let raw = null;
+  if (process.env.ENCRYPTION_KEY_FILE) {
+    raw = fs.readFileSync(process.env.ENCRYPTION_KEY_FILE, 'utf8');
+  } else if (process.env.ENCRYPTION_KEYS) {
+    raw = process.env.ENCRYPTION_KEYS;
+  }
+
+  keyRing = raw ? parseKeyRing(raw) : { activeKeyId: null, keys: new Map() };
+  if (keyRing.activeKeyId) {
+    console.log(`Encryption at rest enabled with key "${keyRing.activeKeyId}" (${keyRing.keys.size} key(s) in the ring)`);
+  } else {
+    console.warn('WARNING: No encryption keys configured (ENCRYPTION_KEY_FILE / ENCRYPTION_KEYS); run artifacts are stored in plaintext');
+  }
+  return keyRing;
+}
+
+function getKeyRing() {
+  return keyRing || loadKeys();
+}
+
+function isEncryptionEnabled() {
+  return !!getKeyRing().activeKeyId;
+}
+
+function getActiveKeyId() {
+  return getKeyRing().activeKeyId;
+}
+
+function isEncrypted(buffer) {
+  return buffer.length >= MAGIC.length && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, iv, tag, ciphertext) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function encryptBuffer(plaintext) {
+  const { activeKeyId, keys } = getKeyRing();
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = seal(keys.get(activeKeyId), dataKey);
+  const body = seal(dataKey, plaintext);
+
+  const header = Buffer.from(JSON.stringify({
+    v: 1,
+    kid: activeKeyId,
+    wrappedKey: wrapped.ciphertext.toString('base64'),
+    wrapIv: wrapped.iv.toString('base64'),
+    wrapTag: wrapped.tag.toString('base64'),
+    iv: body.iv.toString('base64'),
+    tag: body.tag.toString('base64')
+  }));
+  const headerLength = Buffer.alloc(4);
+  headerLength.writeUInt32BE(header.length);
+  return Buffer.concat([MAGIC, headerLength, header, body.ciphertext]);
+}
+
+function readHeader(buffer) {
+  const headerLength = buffer.readUInt32BE(MAGIC.length);
+  const headerStart = MAGIC.length + 4;
+  return {
+    header: JSON.parse(buffer.subarray(headerStart, headerStart + headerLength).toString('utf8')),
+    ciphertext: buffer.subarray(headerStart + headerLength)
+  };
+}
+
+// Decrypt a buffer written by encryptBuffer(); plaintext buffers are returned unchanged
+function decryptBuffer(buffer) {
+  if (!isEncrypted(buffer)) {
+    return buffer;
+  }
+  const { header, ciphertext } = readHeader(buffer);
+  const masterKey = getKeyRing().keys.get(header.kid);
+  if (!masterKey) {
+    throw new Error(`Encryption key "${header.kid}" is not in the key ring`);
+  }
+  const dataKey = open(
+    masterKey,
+    Buffer.from(header.wrapIv, 'base64'),
+    Buffer.from(header.wrapTag, 'base64'),
+    Buffer.from(header.wrappedKey, 'base64')
+  );
+  return open(dataKey, Buffer.from(header.iv, 'base64'), Buffer.from(header.tag, 'base64'), ciphertext);
+}
+
+// Write a file, encrypted when a key is configured. Written atomically so readers never see half a file.
+function writeArtifact(filePath, data) {
+  const plaintext = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, isEncryptionEnabled() ? encryptBuffer(plaintext) : plaintext);
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Read a file written by writeArtifact() (or any plaintext file). Returns a Buffer, or a string if encoding is given.
+function readArtifact(filePath, encoding) {
+  const plaintext = decryptBuffer(fs.readFileSync(filePath));
+  return encoding ? plaintext.toString(encoding) : plaintext;
+}
+
+function readJsonArtifact(filePath) {
+  return JSON.parse(readArtifact(filePath, 'utf8'));
+}
+
+// One line of an append-only JSONL store (job journal, run catalog): the base64 of an encrypted record when a key
+// is configured, the JSON itself otherwise. Each line is encrypted on its own so the file can still be appended to.
+function encryptLine(text) {
+  return isEncryptionEnabled() ? encryptBuffer(Buffer.from(text)).toString('base64') : text;
+}
+
+// Read a line written by encryptLine(); plaintext JSON lines (written before encryption was enabled) are returned unchanged
+function decryptLine(line) {
+  return line.startsWith('{') ? line : decryptBuffer(Buffer.from(line, 'base64')).toString('utf8');
+}
+
+// Read every record of a JSONL store written with encryptLine(). A line that cannot be decrypted or parsed throws
+// (e.g. its key is not in the key ring), so a bad key ring stops the server instead of the store being compacted
+// without it. The one exception is a final line without its newline: an append cut short, which is dropped.
+function readLines(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  const lastLine = lines.pop(); // '' when the file ends with a newline
+  const records = lines.map((line, index) => {
+    if (!line.trim()) return null;
+    try {
+      return JSON.parse(decryptLine(line));
+    } catch (error) {
+      throw new Error(`${path.basename(filePath)} line ${index + 1} cannot be read: ${error.message}`);
+    }
+  }).filter(Boolean);
+
+  if (lastLine.trim()) {
+    try {
+      records.push(JSON.parse(decryptLine(lastLine)));
+    } catch (error) {
+      console.error(`Dropping the torn final line of ${path.basename(filePath)}:`, error.message);
+    }
+  }
+  return records;
+}
+
+function isLineOnActiveKey(line) {
+  if (line.startsWith('{')) return false;
+  try {
+    const buffer = Buffer.from(line, 'base64');
+    return isEncrypted(buffer) && readHeader(buffer).header.kid === getActiveKeyId();
+  } catch (e) {
+    return false; // torn line
+  }
+}
+
+// Re-encrypt every line of a JSONL store with the active key, like rotateFile(). The store must not be appended to
+// meanwhile (i.e. the server must be stopped). A torn final line is dropped, as the store's own loader would.
+function rotateLines(filePath, { dryRun = false } = {}) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+  if (lines.every(isLineOnActiveKey)) {
+    return 'current';
+  }
+  const wasEncrypted = lines.some(line => !line.startsWith('{'));
+  const rewritten = readLines(filePath).map(record => encryptLine(JSON.stringify(record)) + '\n');
+  if (!dryRun) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, rewritten.join(''));
+    fs.renameSync(tmpPath, filePath);
+  }
+  return wasEncrypted ? 'rotated' : 'encrypted';
+}
+
+// Re-encrypt one file with the active key (plaintext files get encrypted).
+// Returns 'rotated', 'encrypted' or 'current' (already on the active key). A dry run only checks the file can be read.
+function rotateFile(filePath, { dryRun = false } = {}) {
+  const buffer = fs.readFileSync(filePath);
+  if (isEncrypted(buffer) && readHeader(buffer).header.kid === getActiveKeyId()) {
+    return 'current';
+  }
+  const plaintext = decryptBuffer(buffer);
+  if (!dryRun) {
+    writeArtifact(filePath, plaintext);
+  }
+  return isEncrypted(buffer) ? 'rotated' : 'encrypted';
+}
+
+module.exports = {
+  loadKeys,
+  isEncryptionEnabled,
+  getActiveKeyId,
+  encryptBuffer,
+  decryptBuffer,
+  writeArtifact,
+  readArtifact,
+  readJsonArtifact,
+  encryptLine,
+  decryptLine,
+  readLines,
+  rotateFile,
+  rotateLines
+};
@@ -0,0 +1,158 @@
+const path = require('path');
+const fs = require('fs');
+const { redact, redactText } = require('./redaction');
+
+// Root directory is one level up from src
+const ROOT_DIR = path.join(__dirname, '..');
+const LOGS_DIR = path.join(ROOT_DIR, 'logs');
+const ERROR_LOG_PATH = path.join(LOGS_DIR, 'error_log.json');
+const ERROR_LOG_MAX_ENTRIES = 100;
+
+// Stable error taxonomy shared by the error log, job status and failure callbacks.
+// Codes are part of the callback contract with Salesforce, so never rename one.
+const ERROR_CODES = {
+  DMDC_UNREACHABLE: {
+    retryable: true,
+    message: 'The DMDC SCRA website could not be reached or blocked the request.'
+  },
+  LOGIN_FAILED: {
+    retryable: false,
+    message: 'Logging in to the DMDC SCRA website failed. Check the SCRA account credentials.'
+  },
+  ACCOUNT_LOCKED: {
+    retryable: false,
+    message: 'The SCRA account is locked at DMDC. It has been quarantined until it is unlocked and released.'
+  },
+  PASSWORD_EXPIRED: {
+    retryable: false,
+    message: 'The SCRA account password has expired or must be changed at DMDC. The account has been quarantined.'
+  },
+  ACCOUNT_UNAVAILABLE: {
+    retryable: true,
+    message: 'No usable SCRA account was available; every account for the request is quarantined.'
+  },
+  FORM_CHANGED: {
+    retryable: false,
+    message: 'The DMDC single record form did not look as expected. The site may have changed.'
+  },
+  DOWNLOAD_TIMEOUT: {
+    retryable: true,
+    message: 'The DMDC certificate PDF was not downloaded in time.'
+  },
+  CERTIFICATE_UNRECOGNIZED: {
+    retryable: false,
+    message: 'The downloaded certificate could not be read as an SCRA status report. Review the PDF manually.'
+  },
+  CALLBACK_REJECTED: {
+    retryable: true,
+    message: 'The lookup completed but the results could not be delivered to the callback URL.'
+  },
+  TIMEOUT: {
+    retryable: true,
+    message: 'A stage of the search took longer than its time budget and the search was stopped.'
+  },
+  BROWSER_UNAVAILABLE: {
+    retryable: true,
+    message: 'The automation browser could not be started.'
+  },
+  INTERRUPTED: {
+    retryable: true,
+    message: 'The search was interrupted by server restarts too many times and was abandoned.'
+  },
+  INVALID_REQUEST: {
+    retryable: false,
+    message: 'The request was missing data needed to run the search.'
+  },
+  UNKNOWN: {
+    retryable: true,
+    message: 'An unexpected error occurred while running the search.'
+  }
+};
+
+// Error carrying a taxonomy code, for failures whose cause is known where they are thrown
+class ScraError extends Error {
+  constructor(code, message) {
+    super(message || ERROR_CODES[code].message);
+    this.name = 'ScraError';
+    this.code = code;
+  }
+}
+
+// Patterns matching the messages thrown by runScraAutomation and Playwright, checked in order.
+// The automation wraps errors as they bubble up (e.g. "Form submission failed: Failed to send results: ..."),
+// so the most specific cause has to be listed first.
+const MESSAGE_PATTERNS = [
+  { code: 'CALLBACK_REJECTED', pattern: /Failed to send results/i },
+  { code: 'CERTIFICATE_UNRECOGNIZED', pattern: /not a recognizable SCRA status report|Downloaded PDF could not be read/i },
+  { code: 'DOWNLOAD_TIMEOUT', pattern: /waiting for event "download"|download.*tim(ed out|eout)/i },
+  { code: 'ACCOUNT_LOCKED', pattern: /Login failed: account locked/i },
+  { code: 'PASSWORD_EXPIRED', pattern: /Login failed: password (expired|change required)/i },
+  { code: 'ACCOUNT_UNAVAILABLE', pattern: /No usable SCRA account/i },
+  { code: 'LOGIN_FAILED', pattern: /Login failed/i },
+  { code: 'DMDC_UNREACHABLE', pattern: /Failed to navigate to SCRA site|NS_ERROR_|net::ERR_|ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT/i },
+  { code: 'BROWSER_UNAVAILABLE', pattern: /Failed to initialize browser|Could not get browser lock|(Context|Page) creation timed out/i },
+  { code: 'FORM_CHANGED', pattern: /No selector matched|checkbox not found|Submit button|waiting for locator|waiting for selector|page\.(fill|check|click)/i },
+  { code: 'INVALID_REQUEST', pattern: /Cannot read properties of (undefined|null)/i }
+];
+
+// Map any error thrown during a run into { code, retryable, message, detail }
+function classifyError(err) {
+  let code = err && ERROR_CODES[err.code] ? err.code : null;
+
+  if (!code) {
+    const text = (err && err.message) || String(err);
+    const match = MESSAGE_PATTERNS.find(({ pattern }) => pattern.test(text));
+    code = match ? match.code : 'UNKNOWN';
+  }
+
+  // Playwright messages can span many lines (call logs, install banners); keep the first one
+  const detail = redactText(((err && err.message) || String(err)).split('\n')[0]);
+
+  return {
+    code,
+    retryable: ERROR_CODES[code].retryable,
+    message: ERROR_CODES[code].message,
+    detail
+  };
+}
+
+// Append a report to the central error log, keeping only the most recent entries
+function appendErrorLog(errorReport) {
+  if (!fs.existsSync(LOGS_DIR)) {
+    fs.mkdirSync(LOGS_DIR);
+  }
+
+  let errorLog = [];
+  if (fs.existsSync(ERROR_LOG_PATH)) {
+    try {
+      errorLog = JSON.parse(fs.readFileSync(ERROR_LOG_PATH, 'utf8'));
+    } catch (e) {
+      console.error('Failed to parse existing error log:', e);
+    }
+  }
+
+  errorLog.push(redact(errorReport));
+
+  if (errorLog.length > ERROR_LOG_MAX_ENTRIES) {
+    errorLog = errorLog.slice(-ERROR_LOG_MAX_ENTRIES);
+  }
+
+  fs.writeFileSync(ERROR_LOG_PATH, JSON.stringify(errorLog, null, 2));
+}
+
+// Drop error log entries older than the cutoff date (entries whose matter is on hold are kept).
+// Returns the number of entries removed.
+function pruneErrorLog(cutoff, isHeld = () => false) {
+  if (!fs.existsSync(ERROR_LOG_PATH)) return 0;
+
+  const errorLog = JSON.parse(fs.readFileSync(ERROR_LOG_PATH, 'utf8'));
+  const kept = errorLog.filter(entry =>
+    new Date(entry.timestamp) >= cutoff || isHeld((entry.context && entry.context.matterId) || null)
+  );
+  if (kept.length !== errorLog.length) {
+    fs.writeFileSync(ERROR_LOG_PATH, JSON.stringify(kept, null, 2));
+  }
+  return errorLog.length - kept.length;
+}
+
+module.exports = { ERROR_CODES, ScraError, classifyError, appendErrorLog, pruneErrorLog };
@@ -0,0 +1,347 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { ScraError, classifyError } = require('./errors');
+const { encryptLine, readLines } = require('./encryption');
+
+// Root directory is one level up from src
+const ROOT_DIR = path.join(__dirname, '..');
+// Mount a persistent volume here in production so jobs survive machine restarts
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+const JOURNAL_PATH = path.join(DATA_DIR, 'jobs_journal.jsonl');
+
+// A job that keeps getting interrupted (e.g. it crashes the process) is failed after this many attempts
+const MAX_JOB_ATTEMPTS = parseInt(process.env.MAX_JOB_ATTEMPTS) || 3;
+// Finished jobs older than this are dropped when the journal is loaded, unless their matter is on legal hold
+const JOB_HISTORY_DAYS = parseInt(process.env.JOB_HISTORY_DAYS) || 30;
+// A request identical to one that finished within this window gets the stored job instead of a new search
+const DEDUPE_WINDOW_MS = process.env.DEDUPE_WINDOW_MS !== undefined ? parseInt(process.env.DEDUPE_WINDOW_MS) : 15 * 60 * 1000;
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// In-memory view of the journal, keyed by job ID
+const jobs = new Map();
+let journalFd = null;
+
+// What the journal keeps of a job: everything but a raw SCRA password, which only lives in memory
+function journalRecord(job) {
+  if (!job.params || job.params.scraPassword === undefined) return job;
+  const { scraPassword, ...params } = job.params;
+  return { ...job, params };
+}
+
+// Append a snapshot of the job to the journal (one encrypted line when a key is configured) and flush it to disk
+function writeJournalEntry(job) {
+  if (journalFd === null) {
+    journalFd = fs.openSync(JOURNAL_PATH, 'a');
+  }
+  fs.writeSync(journalFd, encryptLine(JSON.stringify(journalRecord(job))) + '\n');
+  fs.fsyncSync(journalFd);
+}
+
+// A finished job no longer needs its request parameters (SSN, DOB, credentials); the callback settings stay on the job
+function dropParams(job) {
+  if (!job.params) return;
+  if (job.endpointUrl === undefined) {
+    // Journals written before the callback settings moved out of params
+    job.endpointUrl = job.params.endpointUrl || null;
+    job.serverBaseUrl = job.params.serverBaseUrl || null;
+  }
+  delete job.params;
+}
+
+function isFinished(job) {
+  return job.state === JOB_STATES.SUCCEEDED || job.state === JOB_STATES.FAILED;
+}
+
+function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  jobs.set(job.id, job);
+  writeJournalEntry(job);
+  return job;
+}
+
+// Rewrite the journal with one line per retained job
+function compactJournal() {
+  const tmpPath = `${JOURNAL_PATH}.tmp`;
+  const lines = Array.from(jobs.values()).map(job => encryptLine(JSON.stringify(journalRecord(job))) + '\n');
+  fs.writeFileSync(tmpPath, lines.join(''));
+  fs.renameSync(tmpPath, JOURNAL_PATH);
+}
+
+// Replay the journal and put interrupted jobs back in the queue.
+// isHeld(matterId) exempts the finished jobs of a matter on legal hold from the JOB_HISTORY_DAYS cutoff.
+function loadJobs({ isHeld = () => false } = {}) {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+
+  // Throws on an entry that cannot be read (e.g. a key missing from the key ring) rather than compact it away
+  if (fs.existsSync(JOURNAL_PATH)) {
+    for (const job of readLines(JOURNAL_PATH)) {
+      jobs.set(job.id, job);
+    }
+  }
+
+  const cutoff = Date.now() - JOB_HISTORY_DAYS * 24 * 60 * 60 * 1000;
+  for (const [id, job] of jobs) {
+    if (isFinished(job) && new Date(job.finishedAt).getTime() < cutoff && !isHeld(job.matterId)) {
+      jobs.delete(id);
+    }
+  }
+
+  let resumed = 0;
+  const abandonedJobs = [];
+  const abandon = (job, message) => {
+    job.state = JOB_STATES.FAILED;
+    job.finishedAt = new Date().toISOString();
+    job.error = classifyError(new ScraError('INTERRUPTED', message));
+    dropParams(job);
+    abandonedJobs.push(job);
+  };
+  for (const job of jobs.values()) {
+    if (isFinished(job)) {
+      // Older journals kept the parameters of finished jobs
+      dropParams(job);
+      continue;
+    }
+    if (job.params.scraUsername && !job.params.scraPassword) {
+      abandon(job, 'Raw SCRA credentials are not kept across restarts; resend the request or use a credential profile');
+      continue;
+    }
+    if (job.state !== JOB_STATES.RUNNING) continue;
+
+    if (job.attempts >= MAX_JOB_ATTEMPTS) {
+      abandon(job, `Job was interrupted ${job.attempts} times and will not be retried`);
+    } else {
+      job.state = JOB_STATES.QUEUED;
+      job.interruptedAt = new Date().toISOString();
+      resumed++;
+    }
+  }
+
+  compactJournal();
+
+  const queued = getQueuedJobs().length;
+  console.log(`Job store loaded: ${jobs.size} jobs, ${queued} queued (${resumed} resumed after interruption, ${abandonedJobs.length} abandoned)`);
+  return { total: jobs.size, queued, resumed, abandonedJobs };
+}
+
+// Identify "the same search" by the same client without keeping the SSN itself in the key
+function buildDedupeKey(matterId, ssn, clientId = null) {
+  const ssnDigits = String(ssn || '').replace(/\D/g, '');
+  return crypto.createHash('sha256').update(`${clientId || ''}|${matterId}|${ssnDigits}`).digest('hex');
+}
+
+function enqueueJob(params, { idempotencyKey = null, dedupeKey = null, clientId = null } = {}) {
+  const now = new Date().toISOString();
+  return saveJob({
+    id: crypto.randomUUID(),
+    state: JOB_STATES.QUEUED,
+    matterId: params.matterId,
+    clientId, // API client that submitted the request (null when authentication is disabled)
+    idempotencyKey,
+    dedupeKey,
+    // Where the result goes; kept when params are dropped at the end of the job
+    endpointUrl: params.endpointUrl || null,
+    serverBaseUrl: params.serverBaseUrl || null,
+    // What a queued or resumed job needs to run; a raw password is never written to the journal
+    params,
+    attempts: 0,
+    step: null,
+    steps: [], // { step, at } for each step reached in runScraAutomation
+    runFolder: null,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null
+  });
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Jobs for a matter, newest first
+function findJobsByMatterId(matterId) {
+  return Array.from(jobs.values())
+    .filter(job => job.matterId === matterId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function findJobByRunFolder(runFolder) {
+  return Array.from(jobs.values()).find(job => job.runFolder === runFolder) || null;
+}
+
+// Find the job an incoming request duplicates, if any:
+// - same Idempotency-Key: the job is returned while active, or if it finished (either way) within the window
+// - same matter and SSN: the job is returned while active, or if it succeeded within the window
+function findDuplicateJob({ idempotencyKey, dedupeKey }) {
+  const cutoff = Date.now() - DEDUPE_WINDOW_MS;
+  const isActive = job => job.state === JOB_STATES.QUEUED || job.state === JOB_STATES.RUNNING;
+  const finishedRecently = job => job.finishedAt && new Date(job.finishedAt).getTime() >= cutoff;
+
+  const candidates = Array.from(jobs.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  if (idempotencyKey) {
+    const match = candidates.find(job => job.idempotencyKey === idempotencyKey);
+    if (match && (isActive(match) || finishedRecently(match))) {
+      return match;
+    }
+  }
+
+  if (dedupeKey) {
+    const match = candidates.find(job => job.dedupeKey === dedupeKey &&
+      (isActive(job) || (job.state === JOB_STATES.SUCCEEDED && finishedRecently(job))));
+    if (match) {
+      return match;
+    }
+  }
+
+  return null;
+}
+
+// Queued jobs, oldest first
+function getQueuedJobs() {
+  return Array.from(jobs.values())
+    .filter(job => job.state === JOB_STATES.QUEUED)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// 1-based position in the queue, or null if the job is not queued
+function getQueuePosition(id) {
+  const index = getQueuedJobs().findIndex(job => job.id === id);
+  return index === -1 ? null : index + 1;
+}
+
+function markJobRunning(id) {
+  const job = jobs.get(id);
+  job.state = JOB_STATES.RUNNING;
+  job.attempts++;
+  job.startedAt = new Date().toISOString();
+  // A resumed job starts its run over, so forget where the previous attempt got to
+  job.step = null;
+  job.steps = [];
+  job.runFolder = null;
+  return saveJob(job);
+}
+
+// Record a progress update ({ step }, { runFolder } and/or { account }) reported by runScraAutomation
+function updateJobProgress(id, { step, runFolder, account }) {
+  const job = jobs.get(id);
+  if (step) {
+    job.step = step;
+    job.steps.push({ step, at: new Date().toISOString() });
+  }
+  if (runFolder) {
+    job.runFolder = runFolder;
+  }
+  if (account) {
+    job.account = account; // credential profile the run logs in with
+  }
+  return saveJob(job);
+}
+
+// Put a running job back in the queue because the server is shutting down, not because it crashed
+function checkpointJob(id) {
+  const job = jobs.get(id);
+  job.state = JOB_STATES.QUEUED;
+  job.attempts = Math.max(0, job.attempts - 1);
+  job.checkpointedAt = new Date().toISOString();
+  return saveJob(job);
+}
+
+// Put a run that failed because DMDC could not be reached back in the queue while the circuit breaker is open.
+// The outage is not the job's fault, so the attempt does not count.
+function holdJob(id, reason) {
+  const job = jobs.get(id);
+  job.state = JOB_STATES.QUEUED;
+  job.attempts = Math.max(0, job.attempts - 1);
+  job.requeuedAt = new Date().toISOString();
+  job.requeueReason = reason;
+  return saveJob(job);
+}
+
+// Put a failed run back in the queue to try again (e.g. with another pool account), unless the job is out of attempts.
+// Returns the job, or null if it was not requeued.
+function requeueJob(id, reason) {
+  const job = jobs.get(id);
+  if (job.attempts >= MAX_JOB_ATTEMPTS) {
+    return null;
+  }
+  job.state = JOB_STATES.QUEUED;
+  job.requeuedAt = new Date().toISOString();
+  job.requeueReason = reason;
+  return saveJob(job);
+}
+
+function markJobSucceeded(id, result) {
+  const job = jobs.get(id);
+  job.state = JOB_STATES.SUCCEEDED;
+  job.finishedAt = new Date().toISOString();
+  job.result = result || null;
+  dropParams(job);
+  return saveJob(job);
+}
+
+function markJobFailed(id, error) {
+  const job = jobs.get(id);
+  job.state = JOB_STATES.FAILED;
+  job.finishedAt = new Date().toISOString();
+  job.error = classifyError(error); // { code, retryable, message, detail }
+  if (error.runFolder) {
+    job.runFolder = error.runFolder;
+  }
+  dropParams(job);
+  return saveJob(job);
+}
+
+// Drop the finished jobs shouldDrop(job) selects (retention) and compact the journal without them.
+// Returns the jobs dropped, or that would be with dryRun.
+function pruneJobs(shouldDrop, { dryRun = false } = {}) {
+  const dropped = Array.from(jobs.values()).filter(job => isFinished(job) && shouldDrop(job));
+  if (dryRun || dropped.length === 0) return dropped;
+
+  dropped.forEach(job => jobs.delete(job.id));
+  // The append handle would keep writing to the replaced file; the next entry reopens it
+  closeJobStore();
+  compactJournal();
+  return dropped;
+}
+
+// Flush and close the journal, e.g. before the process exits
+function closeJobStore() {
+  if (journalFd !== null) {
+    fs.fsyncSync(journalFd);
+    fs.closeSync(journalFd);
+    journalFd = null;
+  }
+}
+
+module.exports = {
+  JOB_STATES,
+  loadJobs,
+  buildDedupeKey,
+  enqueueJob,
+  getJob,
+  findJobsByMatterId,
+  findJobByRunFolder,
+  findDuplicateJob,
+  getQueuedJobs,
+  getQueuePosition,
+  markJobRunning,
+  updateJobProgress,
+  checkpointJob,
+  requeueJob,
+  holdJob,
+  markJobSucceeded,
+  markJobFailed,
+  pruneJobs,
+  closeJobStore
+};
@@ -0,0 +1,359 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { postCallback, buildResultPayload } = require('./callbacks');
+const { classifyError, appendErrorLog } = require('./errors');
+const { redact } = require('./redaction');
+const { writeArtifact, readJsonArtifact } = require('./encryption');
+
+// Root directory is one level up from src
+const ROOT_DIR = path.join(__dirname, '..');
+const OUTPUTS_DIR = process.env.OUTPUTS_DIR || path.join(ROOT_DIR, 'outputs');
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+const OUTBOX_PATH = path.join(DATA_DIR, 'outbox.json');
+// Full payloads (the result one embeds the PDF) live here, out of reach of the artifact endpoints
+const PAYLOADS_DIR = path.join(DATA_DIR, 'outbox_payloads');
+
+// Retry schedule for callback deliveries, mirroring retry() in scraAutomation.js
+const CALLBACK_MAX_ATTEMPTS = parseInt(process.env.CALLBACK_MAX_ATTEMPTS) || 8;
+const CALLBACK_INITIAL_DELAY_MS = parseInt(process.env.CALLBACK_INITIAL_DELAY_MS) || 5000;
+const CALLBACK_MAX_DELAY_MS = parseInt(process.env.CALLBACK_MAX_DELAY_MS) || 15 * 60 * 1000;
+// Finished deliveries older than this are dropped when the outbox is loaded, unless their matter is on legal hold
+const OUTBOX_HISTORY_DAYS = parseInt(process.env.JOB_HISTORY_DAYS) || 30;
+
+const DELIVERY_STATES = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+// Artifact name prefix per kind of delivery, e.g. callback_request.json / failure_callback_request.json
+const ARTIFACT_PREFIXES = {
+  result: 'callback',
+  failure: 'failure_callback'
+};
+
+const deliveries = new Map();
+const timers = new Map();
+const inFlight = new Map(); // delivery ID -> promise of the attempt in progress
+
+function saveOutbox() {
+  writeArtifact(OUTBOX_PATH, JSON.stringify(Array.from(deliveries.values()), null, 2));
+}
+
+// Write a redacted JSON artifact into the delivery's run folder, if it has one
+function writeRunArtifact(delivery, suffix, data) {
+  if (!delivery.runFolder) return;
+  const runPath = path.join(OUTPUTS_DIR, delivery.runFolder);
+  if (fs.existsSync(runPath)) {
+    writeArtifact(
+      path.join(runPath, `${ARTIFACT_PREFIXES[delivery.kind]}_${suffix}.json`),
+      JSON.stringify(redact(data), null, 2)
+    );
+  }
+}
+
+// Payloads are kept in PAYLOADS_DIR, except small folderless ones which live in the outbox itself.
+// Deliveries created before that kept theirs in the run folder (payloadFile).
+function readPayload(delivery) {
+  if (delivery.payload) {
+    return delivery.payload;
+  }
+  const payloadPath = delivery.storedPayload ?
+    path.join(PAYLOADS_DIR, delivery.storedPayload) :
+    path.join(OUTPUTS_DIR, delivery.runFolder, delivery.payloadFile);
+  return readJsonArtifact(payloadPath);
+}
+
+// Exponential backoff with jitter, the same curve retry() uses
+function backoffDelay(failedAttempts) {
+  const jitter = Math.random() * 1000;
+  return Math.min(CALLBACK_INITIAL_DELAY_MS * Math.pow(1.5, failedAttempts - 1) + jitter, CALLBACK_MAX_DELAY_MS);
+}
+
+// 4xx responses (other than timeouts and throttling) will not succeed by retrying the same payload
+function isPermanentFailure(err) {
+  const status = err.response && err.response.status;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function scheduleAttempt(delivery) {
+  clearTimeout(timers.get(delivery.id));
+  const delayMs = Math.max(0, new Date(delivery.nextAttemptAt) - Date.now());
+  timers.set(delivery.id, setTimeout(() => attemptDelivery(delivery.id), delayMs));
+}
+
+// Make one delivery attempt, unless one is already running for this delivery
+function attemptDelivery(id) {
+  timers.delete(id);
+  if (inFlight.has(id)) {
+    return inFlight.get(id);
+  }
+
+  const attemptPromise = runAttempt(id).finally(() => inFlight.delete(id));
+  inFlight.set(id, attemptPromise);
+  return attemptPromise;
+}
+
+async function runAttempt(id) {
+  const delivery = deliveries.get(id);
+  if (!delivery || delivery.state !== DELIVERY_STATES.PENDING) {
+    return delivery || null;
+  }
+
+  const attempt = { number: delivery.attempts.length + 1, at: new Date().toISOString() };
+  console.log(`Delivering ${delivery.kind} callback ${id} for Matter ID ${delivery.matterId} (attempt ${attempt.number}/${CALLBACK_MAX_ATTEMPTS})`);
+
+  try {
+    const response = await postCallback(delivery.endpointUrl, readPayload(delivery));
+    attempt.status = response.status;
+    attempt.isHtmlResponse = response.isHtmlResponse;
+    delivery.state = DELIVERY_STATES.DELIVERED;
+    delivery.deliveredAt = new Date().toISOString();
+    delivery.nextAttemptAt = null;
+    writeRunArtifact(delivery, 'response', response);
+  } catch (err) {
+    console.error('POST to endpoint failed:', err.response ? err.response.data : err.message);
+    attempt.status = err.response ? err.response.status : null;
+    attempt.error = err.message;
+    writeRunArtifact(delivery, 'error', {
+      message: err.message,
+      response: err.response ? {
+        status: err.response.status,
+        data: err.response.data
+      } : null,
+      endpoint: delivery.endpointUrl
+    });
+
+    const attemptsMade = delivery.attempts.length + 1;
+    if (isPermanentFailure(err) || attemptsMade >= CALLBACK_MAX_ATTEMPTS) {
+      delivery.state = DELIVERY_STATES.FAILED;
+      delivery.nextAttemptAt = null;
+      console.error(`Giving up on ${delivery.kind} callback ${id} for Matter ID ${delivery.matterId} after ${attemptsMade} attempts`);
+
+      const classification = classifyError(new Error(`Failed to send results: ${err.message}`));
+      appendErrorLog({
+        timestamp: new Date().toISOString(),
+        runFolder: delivery.runFolder,
+        code: classification.code,
+        retryable: classification.retryable,
+        error: { message: err.message, name: err.name },
+        context: { matterId: delivery.matterId, jobId: delivery.jobId, deliveryId: id }
+      });
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + backoffDelay(attemptsMade)).toISOString();
+      console.log(`Callback ${id} will be retried at ${delivery.nextAttemptAt}`);
+      scheduleAttempt(delivery);
+    }
+  }
+
+  delivery.attempts.push(attempt);
+  saveOutbox();
+  writeRunArtifact(delivery, 'delivery', delivery);
+  return delivery;
+}
+
+// Persist a payload as a new pending delivery
+function createDelivery({ kind, jobId, matterId, runFolder, endpointUrl, payload, redeliveryOf = null }) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    kind,
+    jobId,
+    matterId,
+    runFolder: runFolder || null,
+    endpointUrl,
+    storedPayload: null,
+    payload: null,
+    redeliveryOf,
+    state: DELIVERY_STATES.PENDING,
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: new Date().toISOString(),
+    deliveredAt: null
+  };
+
+  if (kind === 'result') {
+    fs.mkdirSync(PAYLOADS_DIR, { recursive: true });
+    delivery.storedPayload = `${delivery.id}.json`;
+    writeArtifact(path.join(PAYLOADS_DIR, delivery.storedPayload), JSON.stringify(payload));
+  } else {
+    delivery.payload = payload;
+  }
+  // The run folder gets a redacted copy for troubleshooting
+  writeRunArtifact(delivery, 'request', payload);
+
+  deliveries.set(delivery.id, delivery);
+  saveOutbox();
+  return delivery;
+}
+
+// Persist a payload and start delivering it. Returns the delivery record; the first attempt runs in the background.
+function enqueueDelivery(options) {
+  const delivery = createDelivery(options);
+  scheduleAttempt(delivery);
+  return delivery;
+}
+
+// Deliveries for a run folder or job, newest first
+function findDeliveries(predicate) {
+  return Array.from(deliveries.values())
+    .filter(predicate)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getDeliveriesForRun(runFolder) {
+  return findDeliveries(delivery => delivery.runFolder === runFolder);
+}
+
+function getDeliveriesForJob(jobId) {
+  return findDeliveries(delivery => delivery.jobId === jobId);
+}
+
+// Resend the stored payload of a run without re-querying DMDC, optionally to a different URL.
+// Runs that predate the outbox are rebuilt from result.json and the PDF, using the given job details.
+// Resolves with the new delivery once its first attempt has finished, or null if the run has nothing to send.
+async function redeliverRun(runFolder, { endpointUrl, jobId = null, matterId = null, defaultEndpointUrl = null } = {}) {
+  // A payload removed by retention cannot be resent
+  const previous = getDeliveriesForRun(runFolder).find(delivery => !delivery.payloadExpiredAt);
+  let options;
+
+  if (previous) {
+    options = {
+      kind: previous.kind,
+      jobId: previous.jobId,
+      matterId: previous.matterId,
+      endpointUrl: endpointUrl || previous.endpointUrl,
+      payload: readPayload(previous),
+      redeliveryOf: previous.id
+    };
+  } else {
+    const payload = buildResultPayload(runFolder);
+    if (!payload) {
+      return null;
+    }
+    options = {
+      kind: 'result',
+      jobId,
+      matterId: matterId || payload.matterId,
+      endpointUrl: endpointUrl || defaultEndpointUrl,
+      payload
+    };
+  }
+
+  if (!options.endpointUrl) {
+    throw new Error('No callback URL is known for this run; provide endpointUrl');
+  }
+
+  const delivery = createDelivery({ ...options, runFolder });
+  return attemptDelivery(delivery.id);
+}
+
+// Summary of a delivery for status endpoints (never includes the payload)
+function describeDelivery(delivery) {
+  const lastAttempt = delivery.attempts[delivery.attempts.length - 1] || null;
+  return {
+    deliveryId: delivery.id,
+    kind: delivery.kind,
+    state: delivery.state,
+    attempts: delivery.attempts.length,
+    lastAttempt,
+    nextAttemptAt: delivery.nextAttemptAt,
+    deliveredAt: delivery.deliveredAt,
+    redeliveryOf: delivery.redeliveryOf
+  };
+}
+
+// Attempt every delivery that is due now and wait (up to timeoutMs) for all attempts in progress, e.g. before shutdown.
+// Deliveries still pending afterwards stay in the outbox and resume on the next boot.
+async function flush(timeoutMs) {
+  const now = Date.now();
+  for (const delivery of deliveries.values()) {
+    if (delivery.state === DELIVERY_STATES.PENDING && new Date(delivery.nextAttemptAt).getTime() <= now) {
+      clearTimeout(timers.get(delivery.id));
+      attemptDelivery(delivery.id);
+    }
+  }
+
+  if (inFlight.size === 0) return;
+  console.log(`Waiting for ${inFlight.size} callback deliveries to finish...`);
+  let timer;
+  await Promise.race([
+    Promise.all(inFlight.values()),
+    new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })
+  ]);
+  clearTimeout(timer);
+}
+
+function payloadBytes(delivery) {
+  if (delivery.payload) {
+    return Buffer.byteLength(JSON.stringify(delivery.payload));
+  }
+  const payloadPath = path.join(PAYLOADS_DIR, delivery.storedPayload);
+  return fs.existsSync(payloadPath) ? fs.statSync(payloadPath).size : 0;
+}
+
+// Remove the stored payloads of the finished deliveries shouldExpire(delivery) selects (retention).
+// dispose(filePath) takes over a payload file instead of deleting it, e.g. to archive it. The delivery record stays,
+// marked with payloadExpiredAt. Returns [{ deliveryId, matterId, bytes }], or what would be removed with dryRun.
+function expirePayloads(shouldExpire, { dryRun = false, dispose = filePath => fs.rmSync(filePath, { force: true }) } = {}) {
+  const expired = Array.from(deliveries.values()).filter(delivery => delivery.state !== DELIVERY_STATES.PENDING &&
+    (delivery.payload || delivery.storedPayload) && shouldExpire(delivery));
+  const removed = expired.map(delivery => ({ deliveryId: delivery.id, matterId: delivery.matterId, bytes: payloadBytes(delivery) }));
+  if (dryRun || expired.length === 0) return removed;
+
+  for (const delivery of expired) {
+    if (delivery.storedPayload) {
+      const payloadPath = path.join(PAYLOADS_DIR, delivery.storedPayload);
+      if (fs.existsSync(payloadPath)) {
+        dispose(payloadPath);
+      }
+    }
+    delivery.payload = null;
+    delivery.storedPayload = null;
+    delivery.payloadExpiredAt = new Date().toISOString();
+  }
+  saveOutbox();
+  return removed;
+}
+
+// Load persisted deliveries and resume the pending ones.
+// isHeld(matterId) exempts the finished deliveries of a matter on legal hold from the history cutoff.
+function loadOutbox({ isHeld = () => false } = {}) {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+
+  // An outbox that cannot be read (e.g. its key is missing from the key ring) stops the server instead of being
+  // saved over with an empty one. It is written atomically, so it is never torn.
+  if (fs.existsSync(OUTBOX_PATH)) {
+    const cutoff = Date.now() - OUTBOX_HISTORY_DAYS * 24 * 60 * 60 * 1000;
+    for (const delivery of readJsonArtifact(OUTBOX_PATH)) {
+      const finished = delivery.state !== DELIVERY_STATES.PENDING;
+      if (finished && new Date(delivery.createdAt).getTime() < cutoff && !isHeld(delivery.matterId)) {
+        if (delivery.storedPayload) {
+          fs.rmSync(path.join(PAYLOADS_DIR, delivery.storedPayload), { force: true });
+        }
+        continue;
+      }
+      deliveries.set(delivery.id, delivery);
+    }
+  }
+
+  const pending = Array.from(deliveries.values()).filter(d => d.state === DELIVERY_STATES.PENDING);
+  pending.forEach(scheduleAttempt);
+  saveOutbox();
+
+  console.log(`Outbox loaded: ${deliveries.size} deliveries, ${pending.length} pending`);
+}
+
+module.exports = {
+  DELIVERY_STATES,
+  loadOutbox,
+  enqueueDelivery,
+  getDeliveriesForRun,
+  getDeliveriesForJob,
+  redeliverRun,
+  expirePayloads,
+  flush,
+  describeDelivery
+};
@@ -0,0 +1,116 @@
+const util = require('util');
+
+// Central PII redaction for logs and run folder artifacts.
+// SSNs are reduced to their last four digits; passwords, usernames and dates of birth are removed.
+// DEBUG_UNREDACTED_PII=true turns all of this off for local debugging; never set it in production.
+const DEBUG_UNREDACTED_PII = process.env.DEBUG_UNREDACTED_PII === 'true';
+
+const REDACTED = '[REDACTED]';
+
+// Object keys (compared case-insensitively) whose values are never written out as-is
+const SECRET_KEYS = new Set([
+  'scrapassword',
+  'password',
+  'scrausername',
+  'username',
+  'dob',
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'x-admin-token',
+  'x-signature'
+]);
+const SSN_KEYS = new Set(['ssn', 'cleanedssn']);
+
+// 123-45-6789, 123 45 6789 or 123456789 not embedded in a longer number
+const SSN_PATTERN = /(?<![\d-])(\d{3})[- ]?(\d{2})[- ]?(\d{4})(?![\d-])/g;
+
+// Exact values of the jobs in flight (passwords, DOBs, ...), masked wherever they show up in text
+const registeredSecrets = new Map(); // value -> number of registrations
+
+function maskSsn(ssn) {
+  if (!ssn) return ssn;
+  return `***-**-${String(ssn).replace(/\D/g, '').slice(-4)}`;
+}
+
+function redactText(text) {
+  if (DEBUG_UNREDACTED_PII || typeof text !== 'string') return text;
+  let result = text.replace(SSN_PATTERN, (match, area, group, serial) => `***-**-${serial}`);
+  for (const secret of registeredSecrets.keys()) {
+    result = result.split(secret).join(REDACTED);
+  }
+  return result;
+}
+
+function redactEntry(key, value) {
+  const normalizedKey = key.toLowerCase();
+  if (value === null || value === undefined || value === '') return value;
+  if (SSN_KEYS.has(normalizedKey)) return maskSsn(value);
+  if (SECRET_KEYS.has(normalizedKey)) return REDACTED;
+  // The certificate itself shows the SSN
+  if (normalizedKey === 'pdfbase64') return `[PDF, ${String(value).length} base64 characters]`;
+  return redact(value);
+}
+
+// Deep copy of a value with every sensitive field masked
+function redact(value) {
+  if (DEBUG_UNREDACTED_PII) return value;
+  if (typeof value === 'string') return redactText(value);
+  if (Array.isArray(value)) return value.map(redact);
+  if (value instanceof Error) {
+    return { name: value.name, message: redactText(value.message), stack: redactText(value.stack) };
+  }
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value) && !(value instanceof Date)) {
+    const copy = {};
+    for (const [key, entry] of Object.entries(value)) {
+      copy[key] = redactEntry(key, entry);
+    }
+    return copy;
+  }
+  return value;
+}
+
+// Mask these exact values in all logs until the returned function is called (e.g. for the duration of a job).
+// Very short values are skipped, they would mask unrelated text.
+function registerSecrets(values) {
+  const added = values.filter(value => typeof value === 'string' && value.length >= 4);
+  added.forEach(value => registeredSecrets.set(value, (registeredSecrets.get(value) || 0) + 1));
+  return () => {
+    added.forEach(value => {
+      const count = registeredSecrets.get(value) - 1;
+      if (count > 0) {
+        registeredSecrets.set(value, count);
+      } else {
+        registeredSecrets.delete(value);
+      }
+    });
+  };
+}
+
+// Route console output through the redaction layer, so every existing console.log call is covered
+function installConsoleRedaction() {
+  if (DEBUG_UNREDACTED_PII) {
+    console.warn('WARNING: DEBUG_UNREDACTED_PII is enabled; SSNs, passwords and dates of birth will appear in logs and artifacts');
+    return;
+  }
+  if (console.__redacted) return;
+
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const safeArgs = args.map(arg => (arg && typeof arg === 'object' && !(arg instanceof Error) ? redact(arg) : arg));
+      original(redactText(util.format(...safeArgs)));
+    };
+  }
+  console.__redacted = true;
+}
+
+module.exports = {
+  DEBUG_UNREDACTED_PII,
+  maskSsn,
+  redact,
+  redactText,
+  registerSecrets,
+  installConsoleRedaction
+};
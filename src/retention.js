@@ -0,0 +1,326 @@
+const path = require('path');
+const fs = require('fs');
+const jobStore = require('./jobStore');
+const { pruneErrorLog } = require('./errors');
+const { readJsonArtifact } = require('./encryption');
+const runCatalog = require('./runCatalog');
+const outbox = require('./outbox');
+
+// Root directory is one level up from src
+const ROOT_DIR = path.join(__dirname, '..');
+const OUTPUTS_DIR = process.env.OUTPUTS_DIR || path.join(ROOT_DIR, 'outputs');
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+const LEGAL_HOLDS_PATH = path.join(DATA_DIR, 'legal_holds.json');
+
+// How long run artifacts are kept, in days since the run started:
+// - successful runs keep their PDF (and result files) RETENTION_PDF_DAYS, screenshots and network logs RETENTION_SCREENSHOT_DAYS
+// - failed runs keep everything RETENTION_FAILED_RUN_DAYS, for troubleshooting
+// The job journal and the stored callback payloads follow the same periods: succeeded jobs and result payloads
+// RETENTION_PDF_DAYS, failed jobs and failure payloads RETENTION_FAILED_RUN_DAYS.
+const RETENTION_PDF_DAYS = parseInt(process.env.RETENTION_PDF_DAYS) || 90;
+const RETENTION_SCREENSHOT_DAYS = parseInt(process.env.RETENTION_SCREENSHOT_DAYS) || 14;
+const RETENTION_FAILED_RUN_DAYS = parseInt(process.env.RETENTION_FAILED_RUN_DAYS) || 30;
+// Expired files are deleted, or moved under RETENTION_ARCHIVE_DIR (e.g. a cheaper volume) when it is set
+const RETENTION_ARCHIVE_DIR = process.env.RETENTION_ARCHIVE_DIR || null;
+const RETENTION_SWEEP_INTERVAL_MS = parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+const RETENTION_SWEEP_ENABLED = process.env.RETENTION_SWEEP_ENABLED !== 'false';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const legalHolds = new Map(); // matterId -> { matterId, reason, createdAt }
+let sweepTimer = null;
+let lastSweep = null;
+
+function saveLegalHolds() {
+  const tmpPath = `${LEGAL_HOLDS_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(Array.from(legalHolds.values()), null, 2));
+  fs.renameSync(tmpPath, LEGAL_HOLDS_PATH);
+}
+
+function loadLegalHolds() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  legalHolds.clear();
+  if (fs.existsSync(LEGAL_HOLDS_PATH)) {
+    for (const hold of JSON.parse(fs.readFileSync(LEGAL_HOLDS_PATH, 'utf8'))) {
+      legalHolds.set(hold.matterId, hold);
+    }
+  }
+  console.log(`Legal holds loaded: ${legalHolds.size}`);
+}
+
+function getLegalHolds() {
+  return Array.from(legalHolds.values());
+}
+
+function isOnLegalHold(matterId) {
+  return !!matterId && legalHolds.has(matterId);
+}
+
+function placeLegalHold(matterId, reason) {
+  const hold = legalHolds.get(matterId) || { matterId, createdAt: new Date().toISOString() };
+  hold.reason = reason || hold.reason || null;
+  hold.updatedAt = new Date().toISOString();
+  legalHolds.set(matterId, hold);
+  saveLegalHolds();
+  console.log(`Legal hold placed on Matter ID ${matterId}`);
+  return hold;
+}
+
+// Returns the released hold, or null if the matter had none
+function releaseLegalHold(matterId) {
+  const hold = legalHolds.get(matterId) || null;
+  if (hold) {
+    legalHolds.delete(matterId);
+    saveLegalHolds();
+    console.log(`Legal hold released on Matter ID ${matterId}`);
+  }
+  return hold;
+}
+
+// Run folders are named after their start time: run-2025-05-20T14-00-01-123Z
+function getRunStartedAt(runFolder) {
+  const match = runFolder.match(/^run-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+  if (match) {
+    return new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`);
+  }
+  return fs.statSync(path.join(OUTPUTS_DIR, runFolder)).mtime;
+}
+
+function readRunRecord(runPath, name) {
+  const filePath = path.join(runPath, name);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return readJsonArtifact(filePath);
+  } catch (e) {
+    return null;
+  }
+}
+
+function classifyFile(name) {
+  if (name.endsWith('.pdf')) return 'pdf';
+  if (/\.png(\.txt)?$/.test(name)) return 'screenshot';
+  if (name.startsWith('network_')) return 'network_log';
+  return 'record';
+}
+
+// Work out what the policy would do with one run folder right now
+function planRun(runFolder, now) {
+  const runPath = path.join(OUTPUTS_DIR, runFolder);
+  const job = jobStore.findJobByRunFolder(runFolder);
+  const entry = runCatalog.getRun(runFolder);
+  // The catalog knows the matter and outcome; the run's own files are the fallback
+  const result = entry ? null : readRunRecord(runPath, 'result.json');
+  const errorReport = entry || result ? null : readRunRecord(runPath, 'error_report.json');
+  const succeeded = entry ? entry.status === runCatalog.RUN_STATUSES.SUCCEEDED : !!result;
+  const matterId = (job && job.matterId) || (entry && entry.matterId) || (result && result.matterId) ||
+    (errorReport && errorReport.context && errorReport.context.matterId) || null;
+  const ageDays = (now - getRunStartedAt(runFolder)) / DAY_MS;
+
+  const files = fs.readdirSync(runPath).map(name => ({
+    name,
+    category: classifyFile(name),
+    bytes: fs.statSync(path.join(runPath, name)).size
+  }));
+
+  const plan = {
+    runFolder,
+    matterId,
+    status: succeeded ? 'succeeded' : 'failed',
+    ageDays: Math.floor(ageDays),
+    onLegalHold: isOnLegalHold(matterId),
+    action: 'keep',
+    expiredFiles: []
+  };
+
+  // A run still in progress has neither result nor error report yet
+  if ((job && job.state === jobStore.JOB_STATES.RUNNING) || (entry && entry.status === runCatalog.RUN_STATUSES.RUNNING)) {
+    return plan;
+  }
+
+  if (succeeded ? ageDays >= RETENTION_PDF_DAYS : ageDays >= RETENTION_FAILED_RUN_DAYS) {
+    plan.action = 'remove_run';
+    plan.expiredFiles = files;
+  } else if (succeeded && ageDays >= RETENTION_SCREENSHOT_DAYS) {
+    plan.expiredFiles = files.filter(file => file.category === 'screenshot' || file.category === 'network_log');
+    if (plan.expiredFiles.length > 0) {
+      plan.action = 'remove_files';
+    }
+  }
+
+  // Held runs are reported with what would have expired, but never touched
+  if (plan.onLegalHold && plan.action !== 'keep') {
+    plan.action = 'held';
+  }
+  return plan;
+}
+
+function isOlderThan(timestamp, days, now) {
+  return (now - new Date(timestamp)) / DAY_MS >= days;
+}
+
+// Finished jobs dropped from the journal, counted from the start of their last run
+function isJobExpired(job, now) {
+  const days = job.state === jobStore.JOB_STATES.SUCCEEDED ? RETENTION_PDF_DAYS : RETENTION_FAILED_RUN_DAYS;
+  return !isOnLegalHold(job.matterId) && isOlderThan(job.startedAt || job.createdAt, days, now);
+}
+
+// Stored callback payloads (the result one embeds the PDF) of finished deliveries
+function isPayloadExpired(delivery, now) {
+  const days = delivery.kind === 'result' ? RETENTION_PDF_DAYS : RETENTION_FAILED_RUN_DAYS;
+  return !isOnLegalHold(delivery.matterId) && isOlderThan(delivery.createdAt, days, now);
+}
+
+function listRunFolders() {
+  if (!fs.existsSync(OUTPUTS_DIR)) return [];
+  return fs.readdirSync(OUTPUTS_DIR).filter(folder => folder.startsWith('run-')).sort();
+}
+
+function getPolicy() {
+  return {
+    pdfDays: RETENTION_PDF_DAYS,
+    screenshotDays: RETENTION_SCREENSHOT_DAYS,
+    failedRunDays: RETENTION_FAILED_RUN_DAYS,
+    mode: RETENTION_ARCHIVE_DIR ? 'archive' : 'delete',
+    sweepEnabled: RETENTION_SWEEP_ENABLED,
+    sweepIntervalMs: RETENTION_SWEEP_INTERVAL_MS
+  };
+}
+
+// Dry run: what a sweep would remove now, without touching anything
+function buildRetentionReport(now = new Date()) {
+  const plans = listRunFolders().map(runFolder => planRun(runFolder, now));
+  const affected = plans.filter(plan => plan.action !== 'keep');
+  const sum = (list, field) => list.reduce((total, plan) =>
+    total + plan.expiredFiles.reduce((subtotal, file) => subtotal + file[field], 0), 0);
+  const toRemove = affected.filter(plan => plan.action !== 'held');
+  const jobs = jobStore.pruneJobs(job => isJobExpired(job, now), { dryRun: true });
+  const payloads = outbox.expirePayloads(delivery => isPayloadExpired(delivery, now), { dryRun: true });
+
+  return {
+    generatedAt: now.toISOString(),
+    policy: getPolicy(),
+    totals: {
+      runs: plans.length,
+      runsToRemove: toRemove.filter(plan => plan.action === 'remove_run').length,
+      runsToTrim: toRemove.filter(plan => plan.action === 'remove_files').length,
+      runsHeld: affected.length - toRemove.length,
+      files: toRemove.reduce((total, plan) => total + plan.expiredFiles.length, 0),
+      bytes: sum(toRemove, 'bytes') + payloads.reduce((total, payload) => total + payload.bytes, 0),
+      jobsToRemove: jobs.length,
+      outboxPayloadsToRemove: payloads.length
+    },
+    runs: affected.map(plan => ({
+      ...plan,
+      expiredFiles: plan.expiredFiles.map(file => file.name)
+    })),
+    lastSweep
+  };
+}
+
+// Delete an expired file, or move it to archivePath (relative to RETENTION_ARCHIVE_DIR) in archive mode
+function disposeFile(filePath, archivePath) {
+  if (RETENTION_ARCHIVE_DIR) {
+    const target = path.join(RETENTION_ARCHIVE_DIR, archivePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    // copy + delete rather than rename, the archive is usually on another volume
+    fs.copyFileSync(filePath, target);
+  }
+  fs.rmSync(filePath, { force: true });
+}
+
+// Apply the policy: remove (or archive) every expired file not covered by a legal hold
+function sweep(now = new Date()) {
+  const summary = {
+    startedAt: now.toISOString(),
+    runsRemoved: 0,
+    runsTrimmed: 0,
+    files: 0,
+    bytes: 0,
+    jobsRemoved: 0,
+    outboxPayloadsRemoved: 0,
+    errors: 0
+  };
+
+  for (const runFolder of listRunFolders()) {
+    try {
+      const plan = planRun(runFolder, now);
+      if (plan.action !== 'remove_run' && plan.action !== 'remove_files') continue;
+
+      for (const file of plan.expiredFiles) {
+        disposeFile(path.join(OUTPUTS_DIR, runFolder, file.name), path.join(runFolder, file.name));
+        summary.files++;
+        summary.bytes += file.bytes;
+      }
+      if (plan.action === 'remove_run') {
+        fs.rmSync(path.join(OUTPUTS_DIR, runFolder), { recursive: true, force: true });
+        runCatalog.removeRun(runFolder);
+        summary.runsRemoved++;
+      } else {
+        runCatalog.removeScreenshots(runFolder, plan.expiredFiles.map(file => file.name));
+        summary.runsTrimmed++;
+      }
+    } catch (error) {
+      summary.errors++;
+      console.error(`Retention sweep failed for ${runFolder}:`, error.message);
+    }
+  }
+
+  try {
+    const payloads = outbox.expirePayloads(delivery => isPayloadExpired(delivery, now), {
+      dispose: filePath => disposeFile(filePath, path.join('outbox_payloads', path.basename(filePath)))
+    });
+    summary.outboxPayloadsRemoved = payloads.length;
+    summary.bytes += payloads.reduce((total, payload) => total + payload.bytes, 0);
+  } catch (error) {
+    summary.errors++;
+    console.error('Retention sweep failed to expire callback payloads:', error.message);
+  }
+
+  try {
+    summary.jobsRemoved = jobStore.pruneJobs(job => isJobExpired(job, now)).length;
+  } catch (error) {
+    summary.errors++;
+    console.error('Retention sweep failed to prune the job journal:', error.message);
+  }
+
+  try {
+    summary.errorLogEntries = pruneErrorLog(new Date(now - RETENTION_FAILED_RUN_DAYS * DAY_MS), isOnLegalHold);
+  } catch (error) {
+    summary.errors++;
+    console.error('Retention sweep failed to prune the error log:', error.message);
+  }
+
+  summary.finishedAt = new Date().toISOString();
+  lastSweep = summary;
+  console.log(`Retention sweep ${RETENTION_ARCHIVE_DIR ? 'archived' : 'deleted'} ${summary.files} file(s): ` +
+    `${summary.runsRemoved} run(s) removed, ${summary.runsTrimmed} trimmed, ${summary.outboxPayloadsRemoved} callback payload(s) and ` +
+    `${summary.jobsRemoved} job(s) expired, ${summary.errors} error(s)`);
+  return summary;
+}
+
+// Sweep shortly after boot, then every RETENTION_SWEEP_INTERVAL_MS
+function startSweeper() {
+  if (!RETENTION_SWEEP_ENABLED) {
+    console.log('Retention sweeper disabled (RETENTION_SWEEP_ENABLED=false)');
+    return;
+  }
+  if (sweepTimer) return;
+  const initialTimer = setTimeout(sweep, 60 * 1000);
+  initialTimer.unref();
+  sweepTimer = setInterval(sweep, RETENTION_SWEEP_INTERVAL_MS);
+  // The sweeper alone should not keep the process alive
+  sweepTimer.unref();
+}
+
+module.exports = {
+  loadLegalHolds,
+  getLegalHolds,
+  isOnLegalHold,
+  placeLegalHold,
+  releaseLegalHold,
+  buildRetentionReport,
+  sweep,
+  startSweeper
+};
@@ -0,0 +1,304 @@
+const path = require('path');
+const fs = require('fs');
+const { readJsonArtifact, encryptLine, readLines } = require('./encryption');
+const { ERROR_CODES } = require('./errors');
+
+// Root directory is one level up from src
+const ROOT_DIR = path.join(__dirname, '..');
+const OUTPUTS_DIR = process.env.OUTPUTS_DIR || path.join(ROOT_DIR, 'outputs');
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+const CATALOG_PATH = path.join(DATA_DIR, 'run_catalog.jsonl');
+
+// Index of every run folder, so listings and searches never have to walk outputs/.
+// Kept like the job journal: an append-only file of entry snapshots (or removal markers), compacted on boot.
+
+const RUN_STATUSES = {
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+const SORT_FIELDS = ['startedAt', 'finishedAt', 'matterId'];
+const MAX_PAGE_SIZE = 100;
+
+const runs = new Map(); // run folder -> entry
+let catalogFd = null;
+
+function writeCatalogLine(record) {
+  if (catalogFd === null) {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    catalogFd = fs.openSync(CATALOG_PATH, 'a');
+  }
+  fs.writeSync(catalogFd, encryptLine(JSON.stringify(record)) + '\n');
+}
+
+function saveEntry(entry) {
+  entry.updatedAt = new Date().toISOString();
+  runs.set(entry.runFolder, entry);
+  writeCatalogLine(entry);
+  return entry;
+}
+
+// Run folders are named after their start time: run-2025-05-20T14-00-01-123Z
+function parseRunFolderTime(runFolder) {
+  const match = runFolder.match(/^run-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+  return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+}
+
+function readRecord(runPath, name) {
+  const filePath = path.join(runPath, name);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return readJsonArtifact(filePath);
+  } catch (e) {
+    console.error(`Error parsing ${name} in ${path.basename(runPath)}:`, e.message);
+    return null;
+  }
+}
+
+// Build an entry from what a run left on disk (folders from before the catalog existed)
+function indexRunFromDisk(runFolder) {
+  const runPath = path.join(OUTPUTS_DIR, runFolder);
+  const files = fs.readdirSync(runPath);
+  const result = readRecord(runPath, 'result.json');
+  const errorReport = result ? null : readRecord(runPath, 'error_report.json');
+  const errorCode = errorReport && ERROR_CODES[errorReport.code] ? errorReport.code : 'UNKNOWN';
+  const startedAt = parseRunFolderTime(runFolder) || fs.statSync(runPath).mtime.toISOString();
+
+  return {
+    runFolder,
+    jobId: null,
+    matterId: (result && result.matterId) || (errorReport && errorReport.context && errorReport.context.matterId) || null,
+    status: result ? RUN_STATUSES.SUCCEEDED : RUN_STATUSES.FAILED,
+    outcome: result ? result.proofOfMilitaryServiceFound : null,
+    pdfFileName: result ? result.pdfFileName : null,
+    error: result ? null : {
+      code: errorCode,
+      retryable: ERROR_CODES[errorCode].retryable,
+      message: ERROR_CODES[errorCode].message
+    },
+    startedAt,
+    finishedAt: (result && result.timestamp) || (errorReport && errorReport.timestamp) || null,
+    screenshots: files
+      .filter(file => file.endsWith('.png'))
+      .map(file => ({ name: file, at: fs.statSync(path.join(runPath, file)).mtime.toISOString() }))
+  };
+}
+
+function compactCatalog() {
+  const tmpPath = `${CATALOG_PATH}.tmp`;
+  const lines = Array.from(runs.values()).map(entry => encryptLine(JSON.stringify(entry)) + '\n');
+  fs.writeFileSync(tmpPath, lines.join(''));
+  fs.renameSync(tmpPath, CATALOG_PATH);
+}
+
+// Replay the catalog, then reconcile it with outputs/: folders that are gone are dropped,
+// folders it does not know yet are indexed from their files
+function loadCatalog() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+
+  // Throws on an entry that cannot be read (e.g. a key missing from the key ring) rather than compact it away
+  if (fs.existsSync(CATALOG_PATH)) {
+    for (const record of readLines(CATALOG_PATH)) {
+      if (record.removed) {
+        runs.delete(record.runFolder);
+      } else {
+        runs.set(record.runFolder, record);
+      }
+    }
+  }
+
+  const folders = fs.existsSync(OUTPUTS_DIR) ? fs.readdirSync(OUTPUTS_DIR).filter(folder => folder.startsWith('run-')) : [];
+  const onDisk = new Set(folders);
+  let dropped = 0;
+  for (const runFolder of runs.keys()) {
+    if (!onDisk.has(runFolder)) {
+      runs.delete(runFolder);
+      dropped++;
+    }
+  }
+
+  let indexed = 0;
+  for (const runFolder of folders) {
+    if (runs.has(runFolder)) continue;
+    try {
+      runs.set(runFolder, indexRunFromDisk(runFolder));
+      indexed++;
+    } catch (e) {
+      console.error(`Failed to index ${runFolder}:`, e.message);
+    }
+  }
+
+  // Runs still marked running were cut short by a restart
+  for (const entry of runs.values()) {
+    if (entry.status === RUN_STATUSES.RUNNING) {
+      entry.status = RUN_STATUSES.FAILED;
+      entry.error = { code: 'INTERRUPTED', retryable: true, message: 'The run was cut short by a server restart.' };
+    }
+  }
+
+  compactCatalog();
+  console.log(`Run catalog loaded: ${runs.size} runs (${indexed} newly indexed, ${dropped} no longer on disk)`);
+}
+
+function recordRunStarted({ runFolder, jobId = null, matterId = null }) {
+  return saveEntry({
+    runFolder,
+    jobId,
+    matterId,
+    status: RUN_STATUSES.RUNNING,
+    outcome: null,
+    pdfFileName: null,
+    error: null,
+    startedAt: parseRunFolderTime(runFolder) || new Date().toISOString(),
+    finishedAt: null,
+    screenshots: []
+  });
+}
+
+function updateEntry(runFolder, changes) {
+  const entry = runs.get(runFolder);
+  if (!entry) return null;
+  return saveEntry({ ...entry, ...changes });
+}
+
+function recordScreenshot(runFolder, name) {
+  const entry = runs.get(runFolder);
+  if (!entry) return null;
+  return updateEntry(runFolder, { screenshots: [...entry.screenshots, { name, at: new Date().toISOString() }] });
+}
+
+function recordRunSucceeded(runFolder, { proofOfMilitaryServiceFound, pdfFileName }) {
+  return updateEntry(runFolder, {
+    status: RUN_STATUSES.SUCCEEDED,
+    outcome: proofOfMilitaryServiceFound,
+    pdfFileName,
+    finishedAt: new Date().toISOString()
+  });
+}
+
+// classification is the { code, retryable, message } from classifyError()
+function recordRunFailed(runFolder, classification) {
+  return updateEntry(runFolder, {
+    status: RUN_STATUSES.FAILED,
+    error: { code: classification.code, retryable: classification.retryable, message: classification.message },
+    finishedAt: new Date().toISOString()
+  });
+}
+
+// Keep the index in step with the retention sweeper
+function removeScreenshots(runFolder, names) {
+  const entry = runs.get(runFolder);
+  if (!entry) return null;
+  return updateEntry(runFolder, { screenshots: entry.screenshots.filter(screenshot => !names.includes(screenshot.name)) });
+}
+
+function removeRun(runFolder) {
+  if (!runs.delete(runFolder)) return;
+  writeCatalogLine({ runFolder, removed: true });
+}
+
+function getRun(runFolder) {
+  return runs.get(runFolder) || null;
+}
+
+// Accepts YYYY-MM-DD or a full ISO timestamp; a bare date used as an upper bound covers that whole day
+function parseDateFilter(value, endOfDay) {
+  if (!value) return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date.toISOString();
+}
+
+// Filter, sort and paginate the catalog.
+// outcome is 'Yes', 'No' or 'error'; from/to bound startedAt; sort is one of SORT_FIELDS, order 'asc' or 'desc'.
+// Throws on invalid filters.
+function queryRuns({ matterId, jobId, from, to, outcome, errorCode, sort = 'startedAt', order = 'desc', page = 1, limit = 20 } = {}) {
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new Error(`sort must be one of ${SORT_FIELDS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    throw new Error('order must be asc or desc');
+  }
+  if (outcome && !['Yes', 'No', 'error'].includes(outcome)) {
+    throw new Error('outcome must be Yes, No or error');
+  }
+  const fromDate = parseDateFilter(from, false);
+  const toDate = parseDateFilter(to, true);
+
+  const matches = Array.from(runs.values()).filter(entry => {
+    if (matterId && entry.matterId !== matterId) return false;
+    if (jobId && entry.jobId !== jobId) return false;
+    if (fromDate && entry.startedAt < fromDate) return false;
+    if (toDate && entry.startedAt > toDate) return false;
+    if (outcome === 'error' && entry.status !== RUN_STATUSES.FAILED) return false;
+    if ((outcome === 'Yes' || outcome === 'No') && entry.outcome !== outcome) return false;
+    if (errorCode && (!entry.error || entry.error.code !== errorCode)) return false;
+    return true;
+  });
+
+  const direction = order === 'asc' ? 1 : -1;
+  matches.sort((a, b) => {
+    const valueA = a[sort] || '';
+    const valueB = b[sort] || '';
+    if (valueA === valueB) return direction * a.runFolder.localeCompare(b.runFolder);
+    return direction * (valueA < valueB ? -1 : 1);
+  });
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  return {
+    runs: matches.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+    pagination: {
+      total: matches.length,
+      page: pageNumber,
+      limit: pageSize,
+      pages: Math.ceil(matches.length / pageSize)
+    }
+  };
+}
+
+// All runs, newest first
+function listRuns() {
+  return Array.from(runs.values()).sort((a, b) => b.runFolder.localeCompare(a.runFolder));
+}
+
+// Most recent screenshot of a given kind, e.g. "screenshot_after_nav.png" also matches "03_screenshot_after_nav.png"
+function findLatestScreenshot(type) {
+  for (const entry of listRuns()) {
+    const screenshot = entry.screenshots.find(({ name }) => name === type || name.endsWith(`_${type}`));
+    if (screenshot) {
+      return { runFolder: entry.runFolder, name: screenshot.name };
+    }
+  }
+  return null;
+}
+
+function closeCatalog() {
+  if (catalogFd !== null) {
+    fs.closeSync(catalogFd);
+    catalogFd = null;
+  }
+}
+
+module.exports = {
+  RUN_STATUSES,
+  loadCatalog,
+  recordRunStarted,
+  recordScreenshot,
+  recordRunSucceeded,
+  recordRunFailed,
+  removeScreenshots,
+  removeRun,
+  getRun,
+  queryRuns,
+  listRuns,
+  findLatestScreenshot,
+  closeCatalog
+};
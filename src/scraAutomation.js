@@ -1,97 +1,34 @@
-const { firefox } = require('playwright');
 const path = require('path');
 const fs = require('fs');
-const pdfParse = require('pdf-parse');
 const axios = require('axios');
+const { ScraError, classifyError, appendErrorLog } = require('./errors');
+const browserPool = require('./browserPool');
+const { createWatchdog } = require('./watchdog');
+const { signUrl } = require('./auth');
+const { DEBUG_UNREDACTED_PII, maskSsn, redact, redactText, registerSecrets } = require('./redaction');
+const { writeArtifact } = require('./encryption');
+const runCatalog = require('./runCatalog');
+const { classifyCertificatePdf } = require('./classification');
+const { getSelectorMap, findElement, allLocators } = require('./selectors');
+const sessionManager = require('./sessionManager');
+const credentialStore = require('./credentialStore');
+const accountPool = require('./accountPool');
+const throttle = require('./throttle');
 
 // Root directory is one level up from src
 const ROOT_DIR = path.join(__dirname, '..');
-const OUTPUTS_DIR = path.join(ROOT_DIR, 'outputs');
+const OUTPUTS_DIR = process.env.OUTPUTS_DIR || path.join(ROOT_DIR, 'outputs');
 const LOGS_DIR = path.join(ROOT_DIR, 'logs');
 
-// Global browser instance
-let globalBrowser = null;
-let browserOperationInProgress = false;
-let browserOperationStartTime = null;
-const BROWSER_OPERATION_TIMEOUT_MS = 30 * 1000; // 30 seconds timeout for browser operations
+// The single-record page of the DMDC SCRA website; point it at a stand-in (see config/mockDmdc.js) for testing
+const SCRA_URL = process.env.SCRA_URL || 'https://scra.dmdc.osd.mil/scra/#/single-record';
+// Skips the Google and raw GET connectivity checks before navigating, for environments without Internet access
+const SKIP_CONNECTIVITY_CHECK = process.env.SKIP_CONNECTIVITY_CHECK === 'true';
+// How long to wait for the certificate download after clicking Submit
+const DOWNLOAD_TIMEOUT_MS = parseInt(process.env.DOWNLOAD_TIMEOUT_MS) || 60000;
 
-// Initialize browser with retry logic
-async function initBrowser(retryCount = 3) {
-  for (let i = 0; i < retryCount; i++) {
-    try {
-      console.log(`Browser initialization attempt ${i + 1}/${retryCount}`);
-      
-      if (globalBrowser) {
-        console.log('Closing existing browser instance');
-        await globalBrowser.close().catch(console.error);
-        globalBrowser = null;
-      }
-      
-      // Simple, minimal browser launch options similar to court_proxy_app
-      globalBrowser = await firefox.launch({
-        args: [
-          '--no-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--no-first-run',
-          '--no-zygote',
-          '--single-process'
-        ],
-        timeout: 30000,
-        handleSIGINT: false,
-        handleSIGTERM: false,
-        handleSIGHUP: false
-      });
-      
-      // Verify browser health
-      const testContext = await globalBrowser.newContext();
-      await testContext.close();
-      
-      console.log('Browser initialization successful');
-      return globalBrowser;
-    } catch (error) {
-      console.error(`Browser initialization attempt ${i + 1} failed:`, error);
-      if (i === retryCount - 1) {
-        throw new Error(`Failed to initialize browser after ${retryCount} attempts: ${error.message}`);
-      }
-      // Wait before retry
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-  }
-}
-
-// Add browser operation lock function
-async function withBrowserLock(operation) {
-  if (browserOperationInProgress) {
-    // Check if the current operation has timed out
-    const operationTimeMs = Date.now() - browserOperationStartTime;
-    if (operationTimeMs > BROWSER_OPERATION_TIMEOUT_MS) {
-      console.log(`Browser operation timed out after ${Math.round(operationTimeMs/1000)} seconds, forcing reset`);
-      browserOperationInProgress = false;
-      // Force garbage collection if available
-      if (global.gc) {
-        console.log('Forcing garbage collection after operation timeout');
-        global.gc();
-      }
-    } else {
-      console.log(`Browser operation already in progress for ${Math.round(operationTimeMs/1000)} seconds, waiting...`);
-      return null; // Return null to indicate operation was skipped
-    }
-  }
-  
-  try {
-    browserOperationInProgress = true;
-    browserOperationStartTime = Date.now();
-    return await operation();
-  } finally {
-    browserOperationInProgress = false;
-    // Force garbage collection if available
-    if (global.gc) {
-      console.log('Forcing garbage collection after browser operation');
-      global.gc();
-    }
-  }
-}
+// Fields (see config/selectors.json) blacked out in every screenshot, since they show the SSN, date of birth or password
+const SCREENSHOT_MASK_FIELDS = ['singleRecord.ssn', 'singleRecord.ssnConfirmation', 'singleRecord.dob', 'login.password'];
 
 // Enhanced helper function to implement retry logic with exponential backoff
 async function retry(fn, maxRetries = 3, initialDelay = 5000, maxDelay = 60000, finalError = null) {
@@ -118,22 +55,13 @@ async function retry(fn, maxRetries = 3, initialDelay = 5000, maxDelay = 60000,
   }
 }
 
-// Safety timeout to detect hanging processes
-function setupSafetyTimeout(timeoutMs = 30000) {
-  console.log(`Setting up safety timeout for ${timeoutMs/1000} seconds`);
-  return setTimeout(() => {
-    console.error(`SAFETY TIMEOUT TRIGGERED after ${timeoutMs/1000} seconds - process appears to be hanging`);
-    process.exit(1); // Force exit if we detect a hang
-  }, timeoutMs);
-}
-
 // Create a unique run folder for all outputs
 function createRunFolder() {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   
   // Create base outputs directory if it doesn't exist
   if (!fs.existsSync(OUTPUTS_DIR)) {
-    fs.mkdirSync(OUTPUTS_DIR);
+    fs.mkdirSync(OUTPUTS_DIR, { recursive: true });
   }
   
   // Create a unique folder for this run
@@ -159,15 +87,15 @@ function setupNetworkLogging(page, runFolder) {
   
   // Helper function to log network events
   const logNetworkEvent = (type, data) => {
-    const event = {
+    const event = redact({
       timestamp: new Date().toISOString(),
       type,
       ...data
-    };
+    });
     networkEvents.push(event);
     
     // Write to log file periodically
-    fs.writeFileSync(networkLogPath, JSON.stringify(networkEvents, null, 2));
+    writeArtifact(networkLogPath, JSON.stringify(networkEvents, null, 2));
     
     // Log to console for critical events
     if (['request_failed', 'response_error'].includes(type)) {
@@ -230,9 +158,17 @@ function setupNetworkLogging(page, runFolder) {
   };
 }
 
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
 // Helper to log screenshot URLs
 function logScreenshotUrl(runFolder, filename, baseUrl) {
-  const url = `${baseUrl}/screenshots/${runFolder}/${filename}`;
+  const url = signUrl(`${baseUrl}/screenshots/${runFolder}/${filename}`);
   console.log(`Screenshot available at: ${url}`);
 }
 
@@ -241,60 +177,115 @@ async function runScraAutomation({
   dob,
   lastName,
   firstName,
+  credentialProfile, // name of a stored credential profile, used instead of scraUsername / scraPassword
+  credentialPool, // or the name of a pool of them, see accountPool.js
   scraUsername,
   scraPassword,
   matterId,
   endpointUrl,
-  serverBaseUrl
+  serverBaseUrl,
+  jobId = null,
+  onProgress // optional callback receiving { step } and { runFolder } updates
 }) {
-  // Set a safety timeout to catch hangs
-  let safetyTimeout = setupSafetyTimeout(30000); // 30 seconds
-  
+  // Credentials are looked up when the job runs, so a profile updated while the job was queued is picked up
+  let account = null; // the credential profile logged in with, if any
+  if (credentialProfile || credentialPool) {
+    account = accountPool.acquireAccount({ credentialProfile, credentialPool });
+    ({ username: scraUsername, password: scraPassword } = credentialStore.getCredentials(account));
+  }
+  // The page flow selectors for this whole run, even if they are hot-fixed meanwhile
+  const selectors = getSelectorMap();
+
   // Create a unique folder for this run's outputs
   const runFolder = createRunFolder();
+  runCatalog.recordRunStarted({ runFolder: path.basename(runFolder), jobId, matterId });
+  reportProgress({ runFolder: path.basename(runFolder), account });
   let screenshotIndex = 1;
   function nextScreenshotName(base) {
     return `${String(screenshotIndex++).padStart(2, '0')}_${base}`;
   }
 
+  // Report progress to the caller without letting a reporting failure break the run
+  function reportProgress(update) {
+    if (!onProgress) return;
+    try {
+      onProgress(update);
+    } catch (progressError) {
+      console.error('Failed to report progress:', progressError.message);
+    }
+  }
+
+  function reportStep(step) {
+    console.log(`Automation step: ${step}`);
+    watchdog.stage(step);
+    reportProgress({ step });
+  }
+
+  // Abort only this job if a stage hangs: capture what the page shows, then close the context,
+  // which makes every pending Playwright call in this run reject
+  const watchdog = createWatchdog({
+    label: `Matter ID ${matterId} (${path.basename(runFolder)})`,
+    onTimeout: async () => {
+      await snap('screenshot_watchdog_timeout.png');
+      if (lease) {
+        await lease.release();
+      }
+    }
+  });
+
   // Define snap here, in the broader runScraAutomation scope
   async function snap(base) {
     const name = nextScreenshotName(base);
     const filePath = path.join(runFolder, name);
     // Ensure page is available - might not be if error happened early
-    const currentPage = browser?.contexts()[0]?.pages()[0]; 
-    if (currentPage) {
+    if (page) {
       try {
-        await currentPage.screenshot({ path: filePath });
+        // Taken into memory so the image only reaches the disk encrypted
+        const image = await page.screenshot({
+          timeout: 10000,
+          mask: DEBUG_UNREDACTED_PII ? [] : allLocators(page, selectors, SCREENSHOT_MASK_FIELDS)
+        });
+        writeArtifact(filePath, image);
+        runCatalog.recordScreenshot(path.basename(runFolder), name);
         logScreenshotUrl(path.basename(runFolder), name, serverBaseUrl);
       } catch (snapError) {
         console.error(`Snap: Failed to take screenshot ${name}:`, snapError.message);
         // Optionally, write a text file indicating screenshot failure for this snap
-        fs.writeFileSync(filePath + ".txt", `Screenshot failed: ${snapError.message}`);
+        writeArtifact(filePath + ".txt", `Screenshot failed: ${snapError.message}`);
         logScreenshotUrl(path.basename(runFolder), name + ".txt", serverBaseUrl);
       }
     } else {
       console.log(`Snap: Page not available for screenshot ${name}`);
       // Optionally, write a text file indicating no visual for this snap
-      fs.writeFileSync(filePath + ".txt", `Page not available for screenshot at this stage.`);
+      writeArtifact(filePath + ".txt", `Page not available for screenshot at this stage.`);
       logScreenshotUrl(path.basename(runFolder), name + ".txt", serverBaseUrl);
     }
   }
 
   console.log('Running SCRA automation with:', {
-    ssn: ssn ? `***-**-${ssn.replace(/\D/g, '').slice(-4)}` : 'MISSING',
+    ssn: ssn ? maskSsn(ssn) : 'MISSING',
     dob: dob ? 'PROVIDED' : 'NOT PROVIDED',
     lastName,
     firstName,
     matterId,
-    endpointUrl: endpointUrl ? `${endpointUrl.substring(0, 15)}...` : 'NONE'
+    account: account ? `credential profile ${account}${credentialPool ? ` from pool ${credentialPool}` : ''}` : 'credentials sent with the request',
+    endpointUrl: endpointUrl ? `${endpointUrl.substring(0, 15)}...` : 'NONE',
+    selectorMapVersion: selectors.version
   });
 
-  const SCRA_URL = 'https://scra.dmdc.osd.mil/scra/#/single-record';
-  let browser = null;
+  let lease = null; // isolated context on the shared browser, see browserPool.js
+  let storedSession = null;
+  let page = null;
   let networkLogger;
-  
+  // Hold the account's throttle slot until the run reaches DMDC and is charged, or ends without getting there
+  const throttleKey = scraUsername ? credentialStore.accountKey(scraUsername) : null;
+  const releaseThrottle = throttleKey ? throttle.reserveLookup(throttleKey) : () => {};
+  let forgetSecrets = () => {};
+
   try {
+    // Keep this job's identifiers out of every log line while it runs; the finally below forgets them again
+    forgetSecrets = registerSecrets([ssn, ssn && ssn.replace(/\D/g, ''), dob, scraUsername, scraPassword]);
+    reportStep('browser_init');
     console.log('Initializing browser...');
     
     // Create logs directory if it doesn't exist
@@ -302,17 +293,6 @@ async function runScraAutomation({
       fs.mkdirSync(LOGS_DIR);
     }
     
-    // Initialize browser using the locked operation and retry logic
-    browser = await withBrowserLock(() => initBrowser(3));
-    if (!browser) {
-      throw new Error('Could not get browser lock - another browser operation is in progress');
-    }
-    
-    console.log('Browser initialized successfully. Creating browser context...');
-    // Take screenshot of system state after browser initialization
-    await snap('screenshot_after_browser_init.png');
-    logDetailedMemoryUsage();
-    
     // Use common user agents that are less likely to be blocked
     const userAgents = [
       'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.110 Safari/537.36',
@@ -320,23 +300,24 @@ async function runScraAutomation({
       'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.5 Safari/605.1.15'
     ];
     
-    // Select a random user agent
-    const userAgent = userAgents[Math.floor(Math.random() * userAgents.length)];
+    // Start from the account's stored DMDC session if there is one (see sessionManager.js),
+    // keeping the user agent it was created with
+    storedSession = sessionManager.getSession(scraUsername);
+    const userAgent = storedSession ? storedSession.userAgent : userAgents[Math.floor(Math.random() * userAgents.length)];
     console.log(`Using user agent: ${userAgent}`);
+    console.log(storedSession ? 'Reusing the stored DMDC session for this account' : 'No stored DMDC session for this account, logging in');
     
-    // Create context with timeout
-    const contextPromise = browser.newContext({ 
+    // Get an isolated context on the shared browser (launched on first use, with retry logic)
+    const leasePromise = browserPool.acquireContext({ 
       viewport: { width: 1920, height: 1080 },
-      userAgent
+      userAgent,
+      ...(storedSession ? { storageState: storedSession.storageState } : {})
     });
-    
-    // Add timeout to context creation
-    const context = await Promise.race([
-      contextPromise,
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Context creation timed out after 10 seconds')), 10000)
-      )
-    ]);
+    // A context that only arrives after the watchdog gave up on it is handed straight back
+    leasePromise.then(lateLease => watchdog.expired && lateLease.release(), () => {});
+    lease = await watchdog.guard(leasePromise);
+    const { context } = lease;
+    logDetailedMemoryUsage();
     
     console.log('Browser context created. Creating new page...');
     // Take screenshot of system state after context creation
@@ -344,7 +325,7 @@ async function runScraAutomation({
     
     // Create page with timeout
     const pagePromise = context.newPage();
-    const page = await Promise.race([
+    page = await Promise.race([
       pagePromise,
       new Promise((_, reject) => 
         setTimeout(() => reject(new Error('Page creation timed out after 10 seconds')), 10000)
@@ -355,44 +336,49 @@ async function runScraAutomation({
     // Take screenshot of system state after page creation
     await snap('screenshot_after_page_creation.png');
     
-    // Reset the safety timeout now that we've gotten past the critical initialization stage
-    if (safetyTimeout) {
-      clearTimeout(safetyTimeout);
-      console.log('Initial safety timeout cleared, setting new longer timeout');
-      
-      // Set a longer safety timeout for the rest of the process
-      const extendedTimeout = setupSafetyTimeout(120000); // 2 minutes
-      
-      // Remember to clear this before returning
-      safetyTimeout = extendedTimeout;
-    }
-    
     // Set up network logger
     networkLogger = setupNetworkLogging(page, runFolder);
     
     // Simplified navigation with direct error handling
+    reportStep('navigation');
     try {
-      // Connectivity check: navigate to Google to confirm Internet access
-      console.log('Connectivity check: navigating to Google');
-      await page.goto('https://www.google.com', { timeout: 60000, waitUntil: 'domcontentloaded' });
-      await snap('screenshot_google_connectivity.png');
-      console.log('Connectivity test completed successfully');
-      // Raw HTTP GET test to the SCRA site (without fragment) to distinguish network-level blocking
-      const rawScrUrl = SCRA_URL.split('#')[0];
-      console.log(`Testing raw HTTP connectivity to ${rawScrUrl}`);
-      try {
-        const resp = await axios.get(rawScrUrl, { timeout: 60000 });
-        console.log(`Raw GET succeeded: ${resp.status} ${resp.statusText}`);
-      } catch (error) {
-        console.error(`Raw GET failed: ${error.message}`);
+      if (SKIP_CONNECTIVITY_CHECK) {
+        console.log('Connectivity check skipped (SKIP_CONNECTIVITY_CHECK=true)');
+      } else {
+        // Connectivity check: navigate to Google to confirm Internet access
+        console.log('Connectivity check: navigating to Google');
+        await page.goto('https://www.google.com', { timeout: 60000, waitUntil: 'domcontentloaded' });
+        await snap('screenshot_google_connectivity.png');
+        console.log('Connectivity test completed successfully');
+        // Raw HTTP GET test to the SCRA site (without fragment) to distinguish network-level blocking
+        const rawScrUrl = SCRA_URL.split('#')[0];
+        console.log(`Testing raw HTTP connectivity to ${rawScrUrl}`);
+        try {
+          const resp = await watchdog.guard(axios.get(rawScrUrl, { timeout: 60000 }));
+          console.log(`Raw GET succeeded: ${resp.status} ${resp.statusText}`);
+        } catch (error) {
+          console.error(`Raw GET failed: ${error.message}`);
+        }
       }
       
       console.log(`Navigating to SCRA URL: ${SCRA_URL}`);
       await snap('screenshot_before_navigation.png');
       
       // Retry navigation up to 3 times in case of transient issues
-      await retry(() => page.goto(SCRA_URL, { timeout: 60000, waitUntil: 'domcontentloaded' }), 3, 1000, 60000, new Error('Failed to navigate to SCRA site after 3 attempts'));
+      // An error page (maintenance, or a block of our IP) counts as not reaching the site
+      await watchdog.guard(retry(async () => {
+        const response = await page.goto(SCRA_URL, { timeout: 60000, waitUntil: 'domcontentloaded' });
+        if (response && response.status() >= 400) {
+          throw new Error(`SCRA site answered HTTP ${response.status()}`);
+        }
+      }, 3, 1000, 60000, new Error('Failed to navigate to SCRA site after 3 attempts')));
       console.log(`Successfully loaded page: ${await page.title()}`);
+      // The lookup counts against the account's throttle budget once DMDC has been reached, whatever happens next;
+      // runs stopped before this (browser failures, DMDC outages) do not
+      if (throttleKey) {
+        throttle.recordLookup(throttleKey, account || credentialStore.maskUsername(scraUsername));
+        releaseThrottle();
+      }
       // Take screenshot for verification
       await snap('screenshot_after_nav.png');
       console.log('Screenshot taken after navigation.');
@@ -404,8 +390,13 @@ async function runScraAutomation({
 
     // Handle Privacy Act confirmation modal if present
     try {
-      const privacyAcceptBtn = await page.$('button[title="I Accept"]');
+      const privacyAcceptBtn = await findElement(page, selectors, 'privacyModal.accept', { timeout: 0, optional: true });
       if (privacyAcceptBtn) {
+        if (storedSession) {
+          // DMDC only asks again once the session is over
+          sessionManager.markExpired(scraUsername, 'privacy modal shown again');
+          storedSession = null;
+        }
         console.log('Privacy confirmation modal detected. Clicking Accept...');
         await privacyAcceptBtn.click();
         await page.waitForTimeout(500); // Small delay to allow modal to close
@@ -420,23 +411,50 @@ async function runScraAutomation({
     }
 
     // Check for login form
-    if (await page.$('input#username')) {
+    reportStep('login');
+    const usernameInput = await findElement(page, selectors, 'login.username', { timeout: 0, optional: true });
+    if (usernameInput) {
+      if (storedSession) {
+        sessionManager.markExpired(scraUsername, 'login form shown again');
+        storedSession = null;
+      }
       console.log('Login form detected, logging in...');
       await snap('screenshot_login_form_found.png');
       try {
-        await page.fill('input#username', scraUsername);
-        await page.fill('input#password', scraPassword);
+        await usernameInput.fill(scraUsername);
+        await (await findElement(page, selectors, 'login.password')).fill(scraPassword);
+        const loginButton = await findElement(page, selectors, 'login.submit');
 
         console.log('Submitting login credentials...');
         await Promise.all([
-          page.click("button[type='submit']"),
+          loginButton.click(),
           page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 45000 })
         ]);
+        // A locked account or an expired password gets a message page or a change password form instead
+        const loginProblem = accountPool.detectLoginProblem(await page.locator('body').innerText().catch(() => ''));
+        if (loginProblem) {
+          if (account) accountPool.quarantineAccount(account, loginProblem.code, loginProblem.reason);
+          throw new ScraError(loginProblem.code, `Login failed: ${loginProblem.reason}`);
+        }
+        // Rejected credentials bring the login form back; trying them again would get the account locked
+        if (await findElement(page, selectors, 'login.username', { timeout: 0, optional: true })) {
+          if (account) accountPool.quarantineAccount(account, 'LOGIN_FAILED', 'credentials rejected');
+          throw new Error('credentials were rejected, the login form is still shown');
+        }
         console.log('Logged in successfully');
         await snap('screenshot_after_login.png');
+        try {
+          sessionManager.recordLogin(scraUsername, { storageState: await lease.context.storageState(), userAgent });
+        } catch (sessionError) {
+          console.error('Failed to store the session:', sessionError.message);
+        }
       } catch (loginError) {
         console.error('Error during login:', loginError.message);
         await snap('screenshot_login_error.png');
+        // Already classified: a login form that no longer matches the selector map, or an account problem
+        if (loginError instanceof ScraError) {
+          throw loginError;
+        }
         throw new Error(`Login failed: ${loginError.message}`);
       }
     } else {
@@ -447,41 +465,39 @@ async function runScraAutomation({
     await page.waitForTimeout(2000);
 
     // Fill out the form fields
+    reportStep('form');
     const cleanedSsn = ssn.replace(/\D/g, '');
     console.log('Filling out SSN...');
-    await page.fill('#ssnInput', cleanedSsn);
-    await page.fill('#ssnConfirmationInput', cleanedSsn);
+    await (await findElement(page, selectors, 'singleRecord.ssn')).fill(cleanedSsn);
+    await (await findElement(page, selectors, 'singleRecord.ssnConfirmation')).fill(cleanedSsn);
     console.log('Filling out Last Name...');
-    await page.fill('#lastNameInput', lastName);
+    await (await findElement(page, selectors, 'singleRecord.lastName')).fill(lastName);
     console.log('Filling out First Name...');
-    await page.fill('#firstNameInput', firstName);
+    await (await findElement(page, selectors, 'singleRecord.firstName')).fill(firstName);
     if (dob) {
       console.log('Filling out Date of Birth...');
-      await page.fill('#mat-input-2', dob); // Format: MM/DD/YYYY
+      await (await findElement(page, selectors, 'singleRecord.dob')).fill(dob); // Format: MM/DD/YYYY
     }
     await snap('screenshot_after_form_completed.png');
 
     // Accept terms
     console.log('Waiting for I Accept checkbox to be attached...');
-    const checkboxSelector = 'input[name="termsAgree"]';
-    const labelSelector = 'label[for="mat-mdc-checkbox-7-input"]';
     let checkboxFound = false;
     
     try {
       // Wait longer for the checkbox to appear
-      await page.waitForSelector(checkboxSelector, { state: 'attached', timeout: 20000 });
-      console.log('Screenshot taken before attempting to check I Accept checkbox.');
+      const termsCheckbox = await findElement(page, selectors, 'singleRecord.termsCheckbox', { timeout: 20000 });
       
       try {
-        await page.check(checkboxSelector);
+        await termsCheckbox.check();
         checkboxFound = true;
-        console.log('Checked the checkbox using input[name="termsAgree"]');
+        console.log('Checked the I Accept checkbox');
         await snap('screenshot_after_checkbox.png');
       } catch (e) {
         console.log('Primary check failed, trying to click the label as fallback...', e.message);
         await snap('screenshot_checkbox_primary_failed.png');
         try {
-          await page.click(labelSelector);
+          await (await findElement(page, selectors, 'singleRecord.termsLabel', { timeout: 5000 })).click();
           checkboxFound = true;
           console.log('Checked the checkbox by clicking the label.');
           await snap('screenshot_after_checkbox_label_click.png');
@@ -511,13 +527,12 @@ async function runScraAutomation({
       
       if (checkboxFound) {
         console.log('Checkbox interaction successful.');
-        const submitButtonSelector = 'button[name="SubmitButton"]:has-text("Submit")';
+        let submitButton;
         try {
-            console.log(`Waiting for submit button to be visible: ${submitButtonSelector}`);
-            await page.waitForSelector(submitButtonSelector, { state: 'visible', timeout: 10000 }); 
+            console.log('Waiting for submit button to be visible...');
+            submitButton = await findElement(page, selectors, 'singleRecord.submit', { state: 'visible', timeout: 10000 });
             console.log('Submit button is visible. Checking if enabled...');
             // After ensuring visibility, explicitly check if the button is enabled
-            const submitButton = page.locator(submitButtonSelector);
             if (!await submitButton.isEnabled({ timeout: 5000 })) { // Wait up to 5s for it to be enabled
                 throw new Error('Submit button is visible but not enabled.');
             }
@@ -529,60 +544,51 @@ async function runScraAutomation({
         }
 
         // Submit the form
+        reportStep('download');
         console.log('Clicking Submit button...');
         
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const pdfPath = path.join(runFolder, `scra-result.pdf`);
-        
         try {
           // Use a longer timeout for the download
-          const downloadPromise = page.waitForEvent('download', { timeout: 60000 });
-          
-          const submitButtonSelector = 'button[name="SubmitButton"]:has-text("Submit")';
+          const downloadPromise = page.waitForEvent('download', { timeout: DOWNLOAD_TIMEOUT_MS });
 
           try {
             console.log('Attempting to click Submit button (1st try)...');
-            await page.click(submitButtonSelector, { timeout: 15000 }); // Shorter timeout for first attempt
+            await submitButton.click({ timeout: 15000 }); // Shorter timeout for first attempt
           } catch (clickError) {
             console.warn(`First submit click failed: ${clickError.message}. Retrying in 2 seconds...`);
             await snap('screenshot_submit_click_failed_1st_try.png');
             await page.waitForTimeout(2000);
             console.log('Attempting to click Submit button (2nd try)...');
-            await page.click(submitButtonSelector, { timeout: 30000 }); // Longer timeout for second attempt
+            await submitButton.click({ timeout: 30000 }); // Longer timeout for second attempt
           }
 
           console.log('Download started, waiting for completion...');
           await snap('screenshot_download_started.png');
 
+          // Read the download into memory; the certificate is only written once, under its final name
           const download = await downloadPromise;
-          await download.saveAs(pdfPath);
-          console.log(`PDF downloaded and saved to: ${pdfPath}`);
+          const fileData = await watchdog.guard(streamToBuffer(await download.createReadStream()));
+          console.log(`PDF downloaded (${fileData.length} bytes)`);
           await snap('screenshot_after_download.png');
 
-          // Parse the PDF to determine proofOfMilitaryServiceFound
-          const fileData = fs.readFileSync(pdfPath);
-          const pdfData = await pdfParse(fileData);
-          const pdfText = pdfData.text.toLowerCase();
+          // Parse the PDF to determine proofOfMilitaryServiceFound (see classification.js)
+          reportStep('analysis');
+          let classification;
+          try {
+            classification = await watchdog.guard(classifyCertificatePdf(fileData));
+          } catch (analysisError) {
+            // Keep the document for manual review
+            writeArtifact(path.join(runFolder, 'scra-result.pdf'), fileData);
+            throw analysisError;
+          }
+          const { proofOfMilitaryServiceFound, certificate } = classification;
           
-          console.log('PDF parsed, analyzing content');
+          console.log(`PDF parsed, analyzed from the ${classification.basis}`);
           await snap('screenshot_pdf_parsing.png');
-          
-          // Simple heuristic: look for any value in the relevant sections that is not 'NA' or 'No'
-          let proofOfMilitaryServiceFound = 'No';
-          const lines = pdfText.split(/\r?\n/);
-          let inTable = false;
-          
-          for (const line of lines) {
-            if (/Start Date/i.test(line)) inTable = true;
-            if (inTable && /Service Component/i.test(line)) inTable = false;
-            if (inTable) {
-              if (!/\b(NA|No)\b/i.test(line) && /\w/.test(line)) {
-                proofOfMilitaryServiceFound = 'Yes';
-                break;
-              }
-            }
-          }
           console.log(`proofOfMilitaryServiceFound: ${proofOfMilitaryServiceFound}`);
+          if (certificate.ambiguous) {
+            console.warn(`Certificate layout not fully recognized: ${certificate.ambiguityReasons.join('; ')}`);
+          }
           
           // Rename the file according to the specified naming conventions
           let finalPdfName;
@@ -592,105 +598,37 @@ async function runScraAutomation({
             finalPdfName = `${firstName} ${lastName} - Proof of Military Service.pdf`;
           }
           
-          // Create the renamed file path
-          const finalPdfPath = path.join(runFolder, finalPdfName);
-          
-          // Rename the file
-          fs.renameSync(pdfPath, finalPdfPath);
-          console.log(`PDF renamed to: ${finalPdfName}`);
+          writeArtifact(path.join(runFolder, finalPdfName), fileData);
+          console.log(`PDF saved as: ${finalPdfName}`);
           
           // Save the result to a JSON file for reference
-          fs.writeFileSync(
+          writeArtifact(
             path.join(runFolder, 'result.json'), 
             JSON.stringify({ 
               matterId,
               proofOfMilitaryServiceFound,
               pdfFileName: finalPdfName,
+              certificate,
               timestamp: new Date().toISOString()
             }, null, 2)
           );
-          await snap('screenshot_before_callback.png');
-
-          // POST to endpoint if provided
-          if (endpointUrl) {
+          runCatalog.recordRunSucceeded(path.basename(runFolder), { proofOfMilitaryServiceFound, pdfFileName: finalPdfName });
+          if (storedSession) {
             try {
-              console.log(`Sending results to callback URL: ${endpointUrl.substring(0, 30)}...`);
-              
-              // Read the renamed PDF file
-              const pdfFileData = fs.readFileSync(finalPdfPath);
-              
-              // Create payload with field names matching exactly what the Salesforce handler expects
-              const sfPayload = {
-                matterId: matterId,
-                proofOfMilitaryServiceFound: proofOfMilitaryServiceFound,
-                pdfBase64: pdfFileData.toString('base64'),
-                pdfFileName: finalPdfName
-              };
-              
-              // Debug the payload size
-              console.log(`Payload size: ~${Math.round(JSON.stringify(sfPayload).length / 1024)} KB`);
-              
-              console.log('Sending request with field names matching Salesforce handler...');
-              const postResp = await axios.post(endpointUrl, sfPayload, {
-                headers: { 
-                  'Content-Type': 'application/json',
-                  'Accept': 'application/json'
-                },
-                timeout: 60000 // 60 second timeout for the callback
-              });
-              
-              console.log(`POST to endpoint succeeded: ${postResp.status} ${postResp.statusText}`);
-              await snap('screenshot_after_callback.png');
-              
-              // Check if response contains HTML instead of JSON
-              const isHtmlResponse = 
-                typeof postResp.data === 'string' && 
-                (postResp.data.includes('<!DOCTYPE HTML') || postResp.data.includes('<html'));
-              
-              if (isHtmlResponse) {
-                console.warn('Warning: Received HTML response from Salesforce endpoint instead of JSON.');
-                console.warn('This usually indicates that the endpoint is not correctly configured to receive API requests.');
-                console.warn('Please check that the Salesforce Site is properly configured with a REST endpoint.');
-              }
-              
-              // Save the response for debugging
-              fs.writeFileSync(
-                path.join(runFolder, 'callback_response.json'),
-                JSON.stringify({
-                  status: postResp.status,
-                  statusText: postResp.statusText,
-                  data: postResp.data,
-                  isHtmlResponse
-                }, null, 2)
-              );
-              
-              // Save the exact request payload for debugging
-              fs.writeFileSync(
-                path.join(runFolder, 'callback_request.json'),
-                JSON.stringify(sfPayload, null, 2)
-              );
-            } catch (err) {
-              console.error('POST to endpoint failed:', err.response ? err.response.data : err.message);
-              await snap('screenshot_callback_error.png');
-              
-              // Save error information
-              fs.writeFileSync(
-                path.join(runFolder, 'callback_error.json'),
-                JSON.stringify({
-                  message: err.message,
-                  response: err.response ? {
-                    status: err.response.status,
-                    data: err.response.data
-                  } : null,
-                  endpoint: endpointUrl
-                }, null, 2)
-              );
-              
-              throw new Error(`Failed to send results: ${err.message}`);
+              sessionManager.recordReuse(scraUsername, { storageState: await lease.context.storageState() });
+            } catch (sessionError) {
+              console.error('Failed to refresh the stored session:', sessionError.message);
             }
-          } else {
-            console.log('No endpoint URL provided, skipping results submission');
           }
+          // Delivering the result to the callback URL is left to the outbox (see outbox.js)
+          reportStep('completed');
+          watchdog.stop();
+          return {
+            runFolder: path.basename(runFolder),
+            proofOfMilitaryServiceFound,
+            pdfFileName: finalPdfName,
+            certificate
+          };
         } catch (downloadError) {
           console.error('Error during form submission or download:', downloadError.message);
           await snap('screenshot_download_error.png');
@@ -706,18 +644,22 @@ async function runScraAutomation({
       throw checkboxError;
     }
   } catch (err) {
+    // Whatever a watchdog abort surfaced as (usually "Target page, context or browser has been closed"), report it as a timeout
+    if (watchdog.expired) {
+      const { stage, budgetMs } = watchdog.expired;
+      err = new ScraError('TIMEOUT', `Stage "${stage}" exceeded its ${budgetMs / 1000}s budget (${err.message})`);
+    }
     console.error('Error during SCRA automation:', err);
-    if (browser) {
+    if (lease) {
       try {
-        // page variable might not be defined here if error was early
-        // but snap will now try to get current page from browser context
+        // page might not be defined here if error was early; snap handles that
         await snap('screenshot_final_error.png'); 
         console.log('Screenshot taken on error.');
         
         // Save network log summary if available
         if (networkLogger) {
           const summary = networkLogger.logNetworkSummary();
-          fs.writeFileSync(
+          writeArtifact(
             path.join(runFolder, 'network_summary.json'),
             JSON.stringify(summary, null, 2)
           );
@@ -729,70 +671,55 @@ async function runScraAutomation({
     
     // Create an error report with all details
     try {
+      const classification = classifyError(err);
+      runCatalog.recordRunFailed(path.basename(runFolder), classification);
       const errorReport = {
         timestamp: new Date().toISOString(),
+        runFolder: path.basename(runFolder),
+        code: classification.code,
+        retryable: classification.retryable,
         error: {
-          message: err.message,
-          stack: err.stack,
+          message: redactText(err.message),
+          stack: redactText(err.stack),
           name: err.name
         },
         context: {
-          ssn: ssn ? '***-**-' + ssn.replace(/\D/g, '').slice(-4) : 'MISSING',
+          ssn: ssn ? maskSsn(ssn) : 'MISSING',
           dob: dob ? 'PROVIDED' : 'NOT PROVIDED',
           matterId,
-          hasEndpointUrl: !!endpointUrl
+          account,
+          hasEndpointUrl: !!endpointUrl,
+          selectorMapVersion: selectors.version
         }
       };
       
-      fs.writeFileSync(
+      writeArtifact(
         path.join(runFolder, 'error_report.json'),
         JSON.stringify(errorReport, null, 2)
       );
       
       // Also write to central error log
-      const errorLogPath = path.join(LOGS_DIR, 'error_log.json');
-      let errorLog = [];
-      
-      if (fs.existsSync(errorLogPath)) {
-        try {
-          errorLog = JSON.parse(fs.readFileSync(errorLogPath, 'utf8'));
-        } catch (e) {
-          console.error('Failed to parse existing error log:', e);
-        }
-      }
-      
-      errorLog.push(errorReport);
-      
-      // Keep only the last 100 errors
-      if (errorLog.length > 100) {
-        errorLog = errorLog.slice(-100);
-      }
-      
-      fs.writeFileSync(errorLogPath, JSON.stringify(errorLog, null, 2));
+      appendErrorLog(errorReport);
       console.log('Error report saved');
       
     } catch (reportErr) {
       console.error('Failed to create error report:', reportErr);
     }
     
+    // Let the caller know where this run's artifacts are
+    err.runFolder = path.basename(runFolder);
     throw err; // Re-throw the error for proper handling
   } finally {
-    // Clear safety timeout to prevent unnecessary process termination
-    if (safetyTimeout) {
-      clearTimeout(safetyTimeout);
-      console.log('Safety timeout cleared');
-    }
-    
-    if (browser) {
-      try {
-        console.log('Closing browser...');
-        await browser.close();
-        console.log('Browser closed successfully');
-      } catch (closeBrowserErr) {
-        console.error('Error closing browser:', closeBrowserErr);
-      }
+    watchdog.stop();
+    forgetSecrets();
+    releaseThrottle();
+
+    // Close this job's context; the shared browser stays up for the next job
+    if (lease) {
+      console.log('Releasing browser context...');
+      await lease.release();
     }
   }
 }
 
-module.exports = { runScraAutomation }; 
\ No newline at end of file
+module.exports = { SCRA_URL, runScraAutomation }; 
\ No newline at end of file
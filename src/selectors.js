@@ -0,0 +1,233 @@
+const path = require('path');
+const fs = require('fs');
+const { ScraError } = require('./errors');
+
+// Root directory is one level up from src
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+// The selector map shipped with the code, and the operator's hot-fix copy (PUT /selectors) that takes precedence over it
+// while its version is the higher one
+const SHIPPED_SELECTORS_PATH = process.env.SELECTORS_FILE || path.join(ROOT_DIR, 'config', 'selectors.json');
+const OVERRIDE_SELECTORS_PATH = path.join(DATA_DIR, 'selectors.json');
+
+// How often findElement() retries the strategies of a field that has not appeared yet
+const POLL_INTERVAL_MS = 250;
+
+// Every field the automation looks up, by page
+const REQUIRED_FIELDS = {
+  privacyModal: ['accept'],
+  login: ['username', 'password', 'submit'],
+  singleRecord: ['ssn', 'ssnConfirmation', 'lastName', 'firstName', 'dob', 'termsCheckbox', 'termsLabel', 'submit']
+};
+
+// Ways of finding an element; see buildLocator()
+const STRATEGY_KINDS = ['css', 'role', 'label', 'name', 'placeholder', 'text'];
+
+let active = null; // { map, source, loadedAt }
+
+// Throws listing everything wrong with a selector map
+function validateSelectorMap(map) {
+  const problems = [];
+  if (!map || typeof map !== 'object') {
+    throw new Error('Selector map must be a JSON object');
+  }
+  if (!Number.isInteger(map.version) || map.version < 1) {
+    problems.push('version must be a positive integer');
+  }
+  for (const [pageName, fields] of Object.entries(REQUIRED_FIELDS)) {
+    const page = map.pages && map.pages[pageName];
+    if (!page) {
+      problems.push(`pages.${pageName} is missing`);
+      continue;
+    }
+    for (const field of fields) {
+      const strategies = page[field];
+      if (!Array.isArray(strategies) || strategies.length === 0) {
+        problems.push(`pages.${pageName}.${field} must be a non-empty list of strategies`);
+        continue;
+      }
+      strategies.forEach((strategy, i) => {
+        if (!strategy || !STRATEGY_KINDS.includes(strategy.by)) {
+          problems.push(`pages.${pageName}.${field}[${i}].by must be one of ${STRATEGY_KINDS.join(', ')}`);
+        } else if (typeof strategy.value !== 'string' || !strategy.value) {
+          problems.push(`pages.${pageName}.${field}[${i}].value must be a non-empty string`);
+        }
+      });
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid selector map: ${problems.join('; ')}`);
+  }
+}
+
+function readSelectorFile(filePath) {
+  const map = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  validateSelectorMap(map);
+  return map;
+}
+
+function activate(map, source) {
+  active = { map, source, loadedAt: new Date().toISOString() };
+  console.log(`Selector map version ${map.version} loaded from ${source}`);
+  return active;
+}
+
+// The shipped map, or the hot-fix copy when its version is higher. A hot-fix that is not newer was folded into a
+// release (or predates one) and is skipped with a warning, so a deploy is never shadowed by a stale copy.
+// onBrokenOverride decides what an unreadable hot-fix copy does: skip it at startup, reject it on reload.
+function pickSelectorMap(onBrokenOverride) {
+  const shipped = readSelectorFile(SHIPPED_SELECTORS_PATH);
+  if (!fs.existsSync(OVERRIDE_SELECTORS_PATH)) {
+    return { map: shipped, source: 'shipped' };
+  }
+  let override;
+  try {
+    override = readSelectorFile(OVERRIDE_SELECTORS_PATH);
+  } catch (error) {
+    onBrokenOverride(error);
+    return { map: shipped, source: 'shipped' };
+  }
+  if (override.version <= shipped.version) {
+    console.warn(`Ignoring ${OVERRIDE_SELECTORS_PATH}: version ${override.version} is not newer than the shipped version ${shipped.version}, remove it with DELETE /selectors/override`);
+    return { map: shipped, source: 'shipped' };
+  }
+  return { map: override, source: 'override' };
+}
+
+// A broken hot-fix copy is skipped, not fatal
+function loadSelectors() {
+  const { map, source } = pickSelectorMap(error => console.error(`Ignoring ${OVERRIDE_SELECTORS_PATH}: ${error.message}`));
+  return activate(map, source);
+}
+
+// Re-read the selector files without a restart (e.g. after editing them on the volume).
+// Throws, keeping the current map, if a file is invalid.
+function reloadSelectors() {
+  const { map, source } = pickSelectorMap(error => { throw error; });
+  return activate(map, source);
+}
+
+// Runs take the map once at start, so a reload never changes selectors half way through a run
+function getSelectorMap() {
+  if (!active) {
+    loadSelectors();
+  }
+  return active.map;
+}
+
+function describeSelectors() {
+  const map = getSelectorMap();
+  return { version: map.version, source: active.source, loadedAt: active.loadedAt, map };
+}
+
+// Save a hot-fix map and switch to it. Its version must be higher than the active one.
+function saveSelectorOverride(map) {
+  validateSelectorMap(map);
+  const current = getSelectorMap();
+  if (map.version <= current.version) {
+    throw new Error(`version must be higher than the active version ${current.version}`);
+  }
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  const tmpPath = `${OVERRIDE_SELECTORS_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(map, null, 2));
+  fs.renameSync(tmpPath, OVERRIDE_SELECTORS_PATH);
+  return activate(map, 'override');
+}
+
+// Drop the hot-fix map and go back to the shipped one
+function removeSelectorOverride() {
+  fs.rmSync(OVERRIDE_SELECTORS_PATH, { force: true });
+  return activate(readSelectorFile(SHIPPED_SELECTORS_PATH), 'shipped');
+}
+
+function getStrategies(map, field) {
+  const [pageName, fieldName] = field.split('.');
+  return (map.pages[pageName] && map.pages[pageName][fieldName]) || [];
+}
+
+function describeStrategy(strategy) {
+  return `${strategy.by}=${strategy.value}${strategy.name ? ` "${strategy.name}"` : ''}`;
+}
+
+// Playwright locator for one strategy:
+//   css         { by: 'css', value: '#ssnInput' }
+//   role        { by: 'role', value: 'button', name: 'Submit', exact: true }
+//   label       { by: 'label', value: 'Last Name', exact: true }
+//   name        { by: 'name', value: 'lastName' } (the element's name attribute)
+//   placeholder { by: 'placeholder', value: 'MM/DD/YYYY' }
+//   text        { by: 'text', value: 'I Accept' }
+function buildLocator(page, strategy) {
+  const exact = !!strategy.exact;
+  switch (strategy.by) {
+    case 'css':
+      return page.locator(strategy.value);
+    case 'role':
+      return page.getByRole(strategy.value, strategy.name ? { name: strategy.name, exact } : {});
+    case 'label':
+      return page.getByLabel(strategy.value, { exact });
+    case 'name':
+      return page.locator(`[name="${strategy.value.replace(/"/g, '\\"')}"]`);
+    case 'placeholder':
+      return page.getByPlaceholder(strategy.value, { exact });
+    case 'text':
+      return page.getByText(strategy.value, { exact });
+    default:
+      throw new Error(`Unknown selector strategy "${strategy.by}"`);
+  }
+}
+
+async function matches(locator, state) {
+  try {
+    return state === 'visible' ? await locator.isVisible() : (await locator.count()) > 0;
+  } catch (error) {
+    // e.g. a CSS selector Playwright cannot parse; the next strategy may still work
+    return false;
+  }
+}
+
+// Find a field ('login.username', 'singleRecord.ssn', ...) by trying its strategies in order until one matches,
+// for up to timeout ms (0 checks once). state is 'attached' or 'visible'.
+// Returns the locator, or null when optional is set and nothing matched; otherwise throws FORM_CHANGED.
+async function findElement(page, map, field, { timeout = 30000, state = 'attached', optional = false } = {}) {
+  const strategies = getStrategies(map, field);
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    for (const [i, strategy] of strategies.entries()) {
+      const locator = buildLocator(page, strategy).first();
+      if (await matches(locator, state)) {
+        if (i > 0) {
+          // The primary selector no longer works; worth a hot-fix before the fallbacks break too
+          console.warn(`Selector fallback: ${field} found by strategy ${i + 1} (${describeStrategy(strategy)}), ` +
+            `not by ${describeStrategy(strategies[0])} (selector map version ${map.version})`);
+        }
+        return locator;
+      }
+    }
+    if (Date.now() >= deadline) {
+      if (optional) return null;
+      throw new ScraError('FORM_CHANGED',
+        `No selector matched "${field}" (tried ${strategies.map(describeStrategy).join(', ')}; selector map version ${map.version})`);
+    }
+    await page.waitForTimeout(POLL_INTERVAL_MS);
+  }
+}
+
+// Every locator a field might be found by, e.g. to mask it in screenshots whichever strategy matches
+function allLocators(page, map, fields) {
+  return fields.flatMap(field => getStrategies(map, field).map(strategy => buildLocator(page, strategy)));
+}
+
+module.exports = {
+  validateSelectorMap,
+  loadSelectors,
+  reloadSelectors,
+  getSelectorMap,
+  describeSelectors,
+  saveSelectorOverride,
+  removeSelectorOverride,
+  findElement,
+  allLocators
+};
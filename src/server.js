@@ -1,5 +1,27 @@
+const { installConsoleRedaction, maskSsn } = require('./redaction');
+// Mask SSNs, passwords and dates of birth in everything logged from here on
+installConsoleRedaction();
+
 const express = require('express');
-const { runScraAutomation } = require('./scraAutomation');
+const { SCRA_URL, runScraAutomation } = require('./scraAutomation');
+const jobStore = require('./jobStore');
+const { classifyError } = require('./errors');
+const { buildResultPayload, buildFailurePayload } = require('./callbacks');
+const outbox = require('./outbox');
+const { validateScraRequest, normalizeCallbackUrl, validateCallbackUrl } = require('./validation');
+const { loadClients, isAuthEnabled, findClient, authenticateClient, isCallbackHostAllowed, signUrl, requireAdminOrSignedUrl, requireAdmin } = require('./auth');
+const browserPool = require('./browserPool');
+const { getStageBudgets } = require('./watchdog');
+const encryption = require('./encryption');
+const retention = require('./retention');
+const runCatalog = require('./runCatalog');
+const selectors = require('./selectors');
+const sessionManager = require('./sessionManager');
+const credentialStore = require('./credentialStore');
+const accountPool = require('./accountPool');
+const throttle = require('./throttle');
+const circuitBreaker = require('./circuitBreaker');
+const { getRecentAlerts } = require('./alerts');
 const path = require('path');
 const fs = require('fs');
 const axios = require('axios');
@@ -8,16 +30,26 @@ const PORT = process.env.PORT || 8080; // Match the actual port being used
 
 // Root directory is one level up from the src folder
 const ROOT_DIR = path.join(__dirname, '..');
-const OUTPUTS_DIR = path.join(ROOT_DIR, 'outputs');
+const OUTPUTS_DIR = process.env.OUTPUTS_DIR || path.join(ROOT_DIR, 'outputs');
 const LOGS_DIR = path.join(ROOT_DIR, 'logs');
 
-// Queue for SCRA requests
-const scraRequestQueue = [];
-let isAutomationRunning = false;
+// SCRA requests are queued in the persistent job store so they survive restarts.
+// Up to WORKER_CONCURRENCY jobs run at once, each in its own browser context.
+const WORKER_CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY) || 1;
+const runningJobIds = new Set();
+
+// How long a shutdown waits for running lookups and their callbacks before checkpointing them
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS) || 90 * 1000;
+// Retry-After (seconds) sent to callers while the server is draining
+const SHUTDOWN_RETRY_AFTER_SECONDS = parseInt(process.env.SHUTDOWN_RETRY_AFTER_SECONDS) || 30;
+let isShuttingDown = false;
+
+// Set to false once every caller references a stored credential profile, so SCRA passwords in request bodies are refused
+const ALLOW_RAW_CREDENTIALS = process.env.ALLOW_RAW_CREDENTIALS !== 'false';
 
 // Ensure outputs directory exists
 if (!fs.existsSync(OUTPUTS_DIR)) {
-  fs.mkdirSync(OUTPUTS_DIR);
+  fs.mkdirSync(OUTPUTS_DIR, { recursive: true });
 }
 
 // Ensure logs directory exists
@@ -25,41 +57,233 @@ if (!fs.existsSync(LOGS_DIR)) {
   fs.mkdirSync(LOGS_DIR);
 }
 
-app.use(express.json());
+// Keep the raw body around for HMAC signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
-// Function to process the SCRA request queue
-async function processScraQueue() {
-  if (isAutomationRunning || scraRequestQueue.length === 0) {
-    return; // Automation is busy or queue is empty
+// Answer a body that is not JSON like any other invalid request, instead of with Express's HTML error page
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid request', fields: [{ field: 'body', message: 'Malformed JSON' }] });
   }
+  next(error);
+});
 
-  isAutomationRunning = true;
-  const requestData = scraRequestQueue.shift(); // Get the oldest request
+// While draining, refuse new work but keep the read-only endpoints available
+app.use((req, res, next) => {
+  if (isShuttingDown && req.method !== 'GET') {
+    res.set('Retry-After', String(SHUTDOWN_RETRY_AFTER_SECONDS));
+    return res.status(503).json({ error: 'Server is shutting down. Please retry shortly.' });
+  }
+  next();
+});
 
-  console.log(`Processing next SCRA request from queue for Matter ID: ${requestData.matterId}`);
+// Wakes the queue up when the next job held by the throttle may start
+let throttleTimer = null;
+
+// When each queued job may start under the per-account throttle (see throttle.js)
+function planQueuedJobs() {
+  return throttle.planQueue(jobStore.getQueuedJobs().map(job => ({ id: job.id, accounts: accountPool.throttleAccounts(job.params) })));
+}
+
+// Function to process the SCRA request queue: start queued jobs, oldest first, until every worker is busy.
+// Jobs the throttle holds stay queued; a later job for another account may start before them.
+// Nothing starts while the circuit breaker is open; it calls us again once DMDC answers.
+function processScraQueue() {
+  clearTimeout(throttleTimer);
+  throttleTimer = null;
+  if (isShuttingDown) return;
+
+  const plan = planQueuedJobs();
+  let nextStartAt = null;
+  for (const job of jobStore.getQueuedJobs()) {
+    if (runningJobIds.size >= WORKER_CONCURRENCY) {
+      return; // The next finished job calls us again
+    }
+    const { expectedStartAt } = plan.get(job.id);
+    if (expectedStartAt > Date.now()) {
+      nextStartAt = Math.min(nextStartAt || Infinity, expectedStartAt);
+      continue;
+    }
+    if (!circuitBreaker.tryStartJob(job.id)) {
+      return;
+    }
+    runJob(job);
+  }
+  if (nextStartAt) {
+    throttleTimer = setTimeout(processScraQueue, nextStartAt - Date.now());
+  }
+}
+
+async function runJob(job) {
+  runningJobIds.add(job.id);
+  jobStore.markJobRunning(job.id);
+  const requestData = job.params;
+
+  console.log(`Processing job ${job.id} (attempt ${job.attempts}) from queue for Matter ID: ${requestData.matterId} [${runningJobIds.size}/${WORKER_CONCURRENCY} workers busy]`);
 
   try {
-    await runScraAutomation(requestData);
+    const result = await runScraAutomation({
+      ...requestData,
+      jobId: job.id,
+      onProgress: update => jobStore.updateJobProgress(job.id, update)
+    });
+    circuitBreaker.recordOutcome('success', { jobId: job.id });
+    jobStore.markJobSucceeded(job.id, result);
     console.log(`Successfully completed automation for Matter ID: ${requestData.matterId}`);
+    queueResultDelivery(job, result);
   } catch (error) {
-    console.error(`Error processing SCRA request for Matter ID ${requestData.matterId} from queue:`, error.message);
+    const { code, detail } = classifyError(error);
+    // A job that could not reach DMDC waits out the outage in the queue once the circuit breaker is open
+    const outcome = circuitBreaker.outcomeOf(code, jobStore.getJob(job.id).step);
+    circuitBreaker.recordOutcome(outcome, { jobId: job.id, code, detail });
+    if (outcome === 'failure' && circuitBreaker.isOpen()) {
+      jobStore.holdJob(job.id, `${code} while DMDC is unreachable`);
+      console.log(`Job ${job.id} held in the queue until DMDC is reachable again (${code})`);
+      return;
+    }
+    // A pool job whose account turned out to be unusable (and was quarantined) goes again with the next account
+    if (requestData.credentialPool && ACCOUNT_PROBLEM_CODES.includes(code) && accountPool.hasAvailableAccount(requestData.credentialPool) &&
+        jobStore.requeueJob(job.id, `${code} with credential profile ${job.account}`)) {
+      console.log(`Job ${job.id} requeued to run with another account from pool ${requestData.credentialPool} (${code})`);
+      return;
+    }
+    const failedJob = jobStore.markJobFailed(job.id, error);
+    console.error(`Error processing SCRA request for Matter ID ${requestData.matterId} from queue (${failedJob.error.code}):`, failedJob.error.detail);
     // Error is already logged within runScraAutomation, including saving reports
+    notifyJobFailed(failedJob);
   } finally {
-    isAutomationRunning = false;
+    runningJobIds.delete(job.id);
     // Check if there are more items in the queue
     processScraQueue(); 
   }
 }
 
+// Failures caused by the account rather than the lookup
+const ACCOUNT_PROBLEM_CODES = ['LOGIN_FAILED', 'ACCOUNT_LOCKED', 'PASSWORD_EXPIRED'];
+
+// Hand a successful job's result to the outbox for delivery to its callback URL
+function queueResultDelivery(job, result) {
+  if (!job.endpointUrl) {
+    console.log('No endpoint URL provided, skipping results submission');
+    return;
+  }
+  outbox.enqueueDelivery({
+    kind: 'result',
+    jobId: job.id,
+    matterId: job.matterId,
+    runFolder: result.runFolder,
+    endpointUrl: job.endpointUrl,
+    payload: buildResultPayload(result.runFolder)
+  });
+}
+
+// Tell the matter's callback URL that its job ended in a terminal failure
+function notifyJobFailed(job) {
+  if (!job.endpointUrl) {
+    console.log(`No endpoint URL for Matter ID ${job.matterId}, skipping failure callback`);
+    return;
+  }
+  outbox.enqueueDelivery({
+    kind: 'failure',
+    jobId: job.id,
+    matterId: job.matterId,
+    runFolder: job.runFolder,
+    endpointUrl: job.endpointUrl,
+    payload: buildFailurePayload({
+      matterId: job.matterId,
+      jobId: job.id,
+      runFolder: job.runFolder,
+      serverBaseUrl: job.serverBaseUrl,
+      classification: job.error
+    })
+  });
+}
+
+// Build the public view of a job (never includes the request parameters, which hold the SSN and credentials).
+// plan is the result of planQueuedJobs(), when describing several jobs at once.
+function describeJob(job, plan = null) {
+  const elapsedMs = (from, to) => (from && to ? new Date(to) - new Date(from) : null);
+
+  return {
+    jobId: job.id,
+    matterId: job.matterId,
+    clientId: job.clientId || null,
+    account: job.account || null,
+    state: job.state,
+    queuePosition: jobStore.getQueuePosition(job.id),
+    throttle: describeThrottle(job, plan),
+    attempts: job.attempts,
+    step: job.step,
+    steps: job.steps,
+    timings: {
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      queuedMs: elapsedMs(job.createdAt, job.startedAt),
+      runMs: elapsedMs(job.startedAt, job.finishedAt)
+    },
+    runFolder: job.runFolder,
+    result: job.result ? {
+      proofOfMilitaryServiceFound: job.result.proofOfMilitaryServiceFound,
+      pdfFileName: job.result.pdfFileName,
+      certificate: job.result.certificate || null
+    } : null,
+    error: job.error,
+    deliveries: outbox.getDeliveriesForJob(job.id).map(outbox.describeDelivery)
+  };
+}
+
+// When a queued job is expected to start and what holds it back, or null once it has started.
+// While the circuit breaker is open, nothing starts before its next probe.
+function describeThrottle(job, plan) {
+  if (job.state !== jobStore.JOB_STATES.QUEUED) return null;
+  const planned = (plan || planQueuedJobs()).get(job.id);
+  if (circuitBreaker.isOpen()) {
+    const { nextProbeAt } = circuitBreaker.getBreakerStatus();
+    return {
+      expectedStartAt: new Date(Math.max(planned.expectedStartAt, nextProbeAt ? new Date(nextProbeAt).getTime() : Date.now())).toISOString(),
+      heldBy: 'circuit_breaker'
+    };
+  }
+  return {
+    expectedStartAt: new Date(planned.expectedStartAt).toISOString(),
+    heldBy: planned.heldBy
+  };
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
+  if (isShuttingDown) {
+    res.set('Retry-After', String(SHUTDOWN_RETRY_AFTER_SECONDS));
+    return res.status(503).json({ status: 'shutting_down' });
+  }
   res.status(200).json({ status: 'ok' });
 });
 
+// Endpoint reporting queue and browser pool status
+app.get('/status', (req, res) => {
+  res.json({
+    queue: {
+      queued: jobStore.getQueuedJobs().length,
+      running: runningJobIds.size,
+      workers: WORKER_CONCURRENCY
+    },
+    browserPool: browserPool.getPoolStatus(),
+    sessions: sessionManager.getSessionStatus(),
+    throttle: throttle.getThrottleStatus(),
+    circuitBreaker: circuitBreaker.getBreakerStatus(),
+    stageBudgetsMs: getStageBudgets()
+  });
+});
+
 // New endpoint to probe the DMDC SCRA URL
 app.get('/scra-probe', async (req, res) => {
   try {
-    const response = await axios.get('https://scra.dmdc.osd.mil/scra/');
+    const response = await axios.get(SCRA_URL.split('#')[0]);
     res.status(response.status).send(response.data);
   } catch (error) {
     console.error('Error probing DMDC SCRA:', error);
@@ -71,8 +295,56 @@ app.get('/scra-probe', async (req, res) => {
   }
 });
 
+// Circuit breaker around the DMDC site (see circuitBreaker.js)
+app.get('/circuit-breaker', (req, res) => {
+  res.json(circuitBreaker.getBreakerStatus());
+});
+
+// Probe DMDC now instead of waiting for the next scheduled probe
+app.post('/circuit-breaker/probe', requireAdmin, async (req, res) => {
+  const probe = await circuitBreaker.probe();
+  res.json({ probe, ...circuitBreaker.getBreakerStatus() });
+});
+
+// Close the breaker and resume the queue without waiting for a probe
+app.post('/circuit-breaker/reset', requireAdmin, (req, res) => {
+  circuitBreaker.reset();
+  processScraQueue();
+  res.json(circuitBreaker.getBreakerStatus());
+});
+
+// Serve a run artifact, decrypting it on the way out
+function sendArtifact(res, filePath, contentType) {
+  res.type(contentType);
+  res.set('Cache-Control', 'no-store');
+  res.send(encryption.readArtifact(filePath));
+}
+
+// Endpoint to serve the latest screenshot by type (declared first so "latest" is not taken for a run folder)
+app.get('/screenshots/latest/:type', requireAdminOrSignedUrl, (req, res) => {
+  const { type } = req.params;
+  
+  // Validate screenshot type
+  if (!type.match(/^screenshot_[a-zA-Z0-9_-]+\.png$/)) {
+    return res.status(400).send('Invalid screenshot type');
+  }
+  
+  try {
+    const latest = runCatalog.findLatestScreenshot(type);
+    const filePath = latest && path.join(OUTPUTS_DIR, latest.runFolder, latest.name);
+    if (filePath && fs.existsSync(filePath)) {
+      return sendArtifact(res, filePath, 'png');
+    }
+    
+    res.status(404).send('No matching screenshot found');
+  } catch (error) {
+    console.error('Error finding latest screenshot:', error);
+    res.status(500).send('Error finding latest screenshot');
+  }
+});
+
 // Endpoint to serve screenshots from run folders
-app.get('/screenshots/:runFolder/:filename', (req, res) => {
+app.get('/screenshots/:runFolder/:filename', requireAdminOrSignedUrl, (req, res) => {
   const { runFolder, filename } = req.params;
   
   // Only allow PNG files for security
@@ -89,91 +361,125 @@ app.get('/screenshots/:runFolder/:filename', (req, res) => {
   
   // Check if file exists
   if (fs.existsSync(filePath)) {
-    res.sendFile(filePath);
+    sendArtifact(res, filePath, 'png');
   } else {
     res.status(404).send('Screenshot not found');
   }
 });
 
-// Endpoint to serve the latest screenshot by type
-app.get('/screenshots/latest/:type', (req, res) => {
-  const { type } = req.params;
-  
-  // Validate screenshot type
-  if (!type.match(/^screenshot_[a-zA-Z0-9_-]+\.png$/)) {
-    return res.status(400).send('Invalid screenshot type');
+// Build the listing entry for an indexed run: its screenshots, result and PDF link (as signed, expiring links)
+function describeRun(entry, req) {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  return {
+    name: entry.runFolder,
+    timestamp: entry.runFolder.replace('run-', ''),
+    jobId: entry.jobId,
+    matterId: entry.matterId,
+    status: entry.status,
+    startedAt: entry.startedAt,
+    finishedAt: entry.finishedAt,
+    screenshots: entry.screenshots.map(screenshot => ({
+      name: screenshot.name,
+      url: signUrl(`${baseUrl}/screenshots/${entry.runFolder}/${screenshot.name}`),
+      timestamp: screenshot.at
+    })),
+    result: entry.status === runCatalog.RUN_STATUSES.SUCCEEDED ? {
+      matterId: entry.matterId,
+      proofOfMilitaryServiceFound: entry.outcome,
+      pdfFileName: entry.pdfFileName,
+      timestamp: entry.finishedAt
+    } : null,
+    error: entry.error,
+    pdfUrl: entry.pdfFileName ?
+      signUrl(`${baseUrl}/pdfs/${entry.runFolder}/${encodeURIComponent(entry.pdfFileName)}`) : null
+  };
+}
+
+// Endpoint to search the run catalog, e.g. /runs?matterId=a0X123&outcome=error&from=2025-05-01&page=2
+app.get('/runs', requireAdminOrSignedUrl, (req, res) => {
+  const { matterId, jobId, from, to, outcome, errorCode, sort, order, page, limit } = req.query;
+  let found;
+  try {
+    found = runCatalog.queryRuns({ matterId, jobId, from, to, outcome, errorCode, sort, order, page, limit });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
-  
+  res.json({
+    runs: found.runs.map(entry => describeRun(entry, req)),
+    pagination: found.pagination
+  });
+});
+
+// Endpoint to describe a single run folder
+app.get('/runs/:runFolder', requireAdminOrSignedUrl, (req, res) => {
+  const { runFolder } = req.params;
+
+  // Only allow valid run folder names for security
+  if (!runFolder.match(/^run-[0-9T\-:\.Z]+$/)) {
+    return res.status(400).send('Invalid run folder');
+  }
+
+  const entry = runCatalog.getRun(runFolder);
+  if (!entry) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+
+  res.json(describeRun(entry, req));
+});
+
+// Endpoint to resend a run's stored result (or failure notice) to Salesforce without re-querying DMDC.
+// Operators only: the payload carries the certificate PDF and the SSN.
+app.post('/runs/:runFolder/redeliver', requireAdmin, async (req, res) => {
+  const { runFolder } = req.params;
+
+  // Only allow valid run folder names for security
+  if (!runFolder.match(/^run-[0-9T\-:\.Z]+$/)) {
+    return res.status(400).send('Invalid run folder');
+  }
+
+  if (!fs.existsSync(path.join(OUTPUTS_DIR, runFolder))) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+
   try {
-    // Get all run folders, sorted by date (newest first)
-    const runFolders = fs.readdirSync(OUTPUTS_DIR)
-      .filter(folder => folder.startsWith('run-'))
-      .sort()
-      .reverse();
-    
-    // Look for the requested screenshot type in each folder
-    for (const folder of runFolders) {
-      const filePath = path.join(OUTPUTS_DIR, folder, type);
-      if (fs.existsSync(filePath)) {
-        return res.sendFile(filePath);
+    const job = jobStore.findJobByRunFolder(runFolder);
+    const endpointUrl = normalizeCallbackUrl(req.body && req.body.endpointUrl);
+    if (endpointUrl) {
+      const fields = [];
+      validateCallbackUrl(endpointUrl, fields);
+      if (fields.length > 0) {
+        return res.status(400).json({ error: 'Invalid request', fields: fields.map(field => ({ ...field, field: 'endpointUrl' })) });
+      }
+      // Another URL must still be on a host registered for the client that submitted the job
+      const client = job && job.clientId ? findClient(job.clientId) : null;
+      if (isAuthEnabled() && (!client || !isCallbackHostAllowed(client, endpointUrl))) {
+        return res.status(403).json({ error: 'Callback host is not registered for the client of this run' });
       }
     }
-    
-    res.status(404).send('No matching screenshot found');
+    const delivery = await outbox.redeliverRun(runFolder, {
+      endpointUrl,
+      jobId: job ? job.id : null,
+      matterId: job ? job.matterId : null,
+      defaultEndpointUrl: job ? job.endpointUrl : null
+    });
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'No stored result to deliver for this run' });
+    }
+
+    const summary = outbox.describeDelivery(delivery);
+    res.status(delivery.state === outbox.DELIVERY_STATES.DELIVERED ? 200 : 502).json(summary);
   } catch (error) {
-    console.error('Error finding latest screenshot:', error);
-    res.status(500).send('Error finding latest screenshot');
+    console.error('Error redelivering run:', error);
+    res.status(400).json({ error: error.message });
   }
 });
 
 // Endpoint to list available run folders and their screenshots
-app.get('/screenshots', (req, res) => {
+app.get('/screenshots', requireAdminOrSignedUrl, (req, res) => {
   try {
-    // Check if outputs directory exists
-    if (!fs.existsSync(OUTPUTS_DIR)) {
-      return res.json({ runs: [] });
-    }
-    
-    // Get all run folders
-    const runFolders = fs.readdirSync(OUTPUTS_DIR)
-      .filter(folder => folder.startsWith('run-'))
-      .sort()
-      .reverse();
-    
-    const runs = runFolders.map(folder => {
-      const runPath = path.join(OUTPUTS_DIR, folder);
-      
-      // Get all PNG files in this run folder
-      const screenshots = fs.readdirSync(runPath)
-        .filter(file => file.endsWith('.png'))
-        .map(file => {
-          return {
-            name: file,
-            url: `${req.protocol}://${req.get('host')}/screenshots/${folder}/${file}`,
-            timestamp: fs.statSync(path.join(runPath, file)).mtime
-          };
-        });
-      
-      // Check if there's a result file
-      let result = null;
-      const resultPath = path.join(runPath, 'result.json');
-      if (fs.existsSync(resultPath)) {
-        try {
-          result = JSON.parse(fs.readFileSync(resultPath, 'utf8'));
-        } catch (e) {
-          console.error('Error parsing result file:', e);
-        }
-      }
-      
-      return {
-        name: folder,
-        timestamp: folder.replace('run-', ''),
-        screenshots,
-        result,
-        pdfUrl: fs.existsSync(path.join(runPath, 'scra-result.pdf')) ? 
-          `${req.protocol}://${req.get('host')}/pdfs/${folder}/scra-result.pdf` : null
-      };
-    });
+    // All indexed runs, newest first
+    const runs = runCatalog.listRuns().map(entry => describeRun(entry, req));
     
     res.json({ runs });
   } catch (error) {
@@ -183,11 +489,11 @@ app.get('/screenshots', (req, res) => {
 });
 
 // Endpoint to serve PDF files from run folders
-app.get('/pdfs/:runFolder/:filename', (req, res) => {
+app.get('/pdfs/:runFolder/:filename', requireAdminOrSignedUrl, (req, res) => {
   const { runFolder, filename } = req.params;
   
-  // Only allow PDF files for security
-  if (!filename.match(/^[a-zA-Z0-9_-]+\.pdf$/)) {
+  // Only allow PDF files for security (certificates are named e.g. "Jane Doe - Proof of Military Service.pdf")
+  if (!filename.match(/^[a-zA-Z0-9 _'-]+\.pdf$/)) {
     return res.status(400).send('Invalid filename');
   }
 
@@ -200,14 +506,14 @@ app.get('/pdfs/:runFolder/:filename', (req, res) => {
   
   // Check if file exists
   if (fs.existsSync(filePath)) {
-    res.sendFile(filePath);
+    sendArtifact(res, filePath, 'pdf');
   } else {
     res.status(404).send('PDF not found');
   }
 });
 
 // Endpoint to view error logs with pagination
-app.get('/error-logs', (req, res) => {
+app.get('/error-logs', requireAdminOrSignedUrl, (req, res) => {
   try {
     const errorLogPath = path.join(LOGS_DIR, 'error_log.json');
     
@@ -255,7 +561,7 @@ app.get('/error-logs', (req, res) => {
 });
 
 // Endpoint to view network logs for a specific run
-app.get('/network-logs/:runFolder', (req, res) => {
+app.get('/network-logs/:runFolder', requireAdminOrSignedUrl, (req, res) => {
   try {
     const { runFolder } = req.params;
     
@@ -272,7 +578,7 @@ app.get('/network-logs/:runFolder', (req, res) => {
     }
     
     // Read network log
-    const networkLogContent = fs.readFileSync(networkLogPath, 'utf8');
+    const networkLogContent = encryption.readArtifact(networkLogPath, 'utf8');
     let networkLog = [];
     
     try {
@@ -318,50 +624,184 @@ app.get('/network-logs/:runFolder', (req, res) => {
   }
 });
 
+// Dry-run report of what the retention sweeper would delete (or archive) right now
+app.get('/retention/report', requireAdmin, (req, res) => {
+  try {
+    res.json(retention.buildRetentionReport());
+  } catch (error) {
+    console.error('Error building retention report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Legal holds exempt every run of a matter from retention
+app.get('/legal-holds', requireAdmin, (req, res) => {
+  res.json({ holds: retention.getLegalHolds() });
+});
+
+app.put('/legal-holds/:matterId', requireAdmin, (req, res) => {
+  const hold = retention.placeLegalHold(req.params.matterId, req.body && req.body.reason);
+  res.json(hold);
+});
+
+app.delete('/legal-holds/:matterId', requireAdmin, (req, res) => {
+  const hold = retention.releaseLegalHold(req.params.matterId);
+  if (!hold) {
+    return res.status(404).json({ error: 'No legal hold for this matter' });
+  }
+  res.json({ released: hold });
+});
+
+// The DMDC page flow selector map (config/selectors.json, or the hot-fixed copy in DATA_DIR)
+app.get('/selectors', requireAdmin, (req, res) => {
+  res.json(selectors.describeSelectors());
+});
+
+// Hot-fix the selector map without a restart; the body is a complete map with a higher version
+app.put('/selectors', requireAdmin, (req, res) => {
+  try {
+    const { map, source, loadedAt } = selectors.saveSelectorOverride(req.body);
+    res.json({ version: map.version, source, loadedAt });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Re-read the selector files, e.g. after editing them on the volume
+app.post('/selectors/reload', requireAdmin, (req, res) => {
+  try {
+    const { map, source, loadedAt } = selectors.reloadSelectors();
+    res.json({ version: map.version, source, loadedAt });
+  } catch (error) {
+    console.error('Selector reload failed, keeping the current map:', error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Drop the hot-fix and go back to the selector map shipped with the code
+app.delete('/selectors/override', requireAdmin, (req, res) => {
+  const { map, source, loadedAt } = selectors.removeSelectorOverride();
+  res.json({ version: map.version, source, loadedAt });
+});
+
+// Stored SCRA credential profiles, referenced by /scra-request bodies as credentialProfile (or credentialPool).
+// Passwords are write-only: the listing shows names, masked usernames, pools, usage, quarantine and password expiry.
+app.get('/credential-profiles', requireAdmin, (req, res) => {
+  res.json({ allowRawCredentials: ALLOW_RAW_CREDENTIALS, profiles: accountPool.listAccounts() });
+});
+
+// Create or replace a profile: { "username": "...", "password": "...", "description": "...", "pool": "...", "passwordChangedAt": "..." }
+// Storing a new password releases the account from quarantine.
+app.put('/credential-profiles/:name', requireAdmin, (req, res) => {
+  try {
+    const previous = credentialStore.getCredentials(req.params.name);
+    const profile = credentialStore.saveProfile(req.params.name, req.body || {});
+    if (previous && previous.password !== req.body.password) {
+      accountPool.releaseAccount(req.params.name);
+    }
+    // Warn straight away about an account stored with a password close to expiry
+    accountPool.checkPasswordExpiry();
+    res.json(profile);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Put a quarantined account back into rotation, e.g. once DMDC has unlocked it
+app.post('/credential-profiles/:name/release', requireAdmin, (req, res) => {
+  if (!credentialStore.hasProfile(req.params.name)) {
+    return res.status(404).json({ error: 'Credential profile not found' });
+  }
+  res.json({ released: accountPool.releaseAccount(req.params.name) });
+});
+
+app.delete('/credential-profiles/:name', requireAdmin, (req, res) => {
+  if (!credentialStore.deleteProfile(req.params.name)) {
+    return res.status(404).json({ error: 'Credential profile not found' });
+  }
+  accountPool.forgetAccount(req.params.name);
+  res.json({ success: true });
+});
+
+// Recent operator alerts (quarantined accounts, expiring passwords), newest first
+app.get('/alerts', requireAdmin, (req, res) => {
+  res.json({ alerts: getRecentAlerts() });
+});
+
+// Authenticated clients only see their own jobs
+function isVisibleToClient(job, client) {
+  return !client || job.clientId === client.id;
+}
+
+// Endpoint to look up a single job by ID
+app.get('/jobs/:jobId', authenticateClient, (req, res) => {
+  const job = jobStore.getJob(req.params.jobId);
+  if (!job || !isVisibleToClient(job, req.client)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(describeJob(job));
+});
+
+// Endpoint to list the jobs for a matter, newest first
+app.get('/jobs', authenticateClient, (req, res) => {
+  const { matterId } = req.query;
+  if (!matterId) {
+    return res.status(400).json({ error: 'matterId query parameter is required' });
+  }
+  const jobs = jobStore.findJobsByMatterId(matterId).filter(job => isVisibleToClient(job, req.client));
+  const plan = planQueuedJobs();
+  res.json({ jobs: jobs.map(job => describeJob(job, plan)) });
+});
+
 // POST endpoint to receive SCRA requests from Salesforce
-app.post('/scra-request', async (req, res) => {
+app.post('/scra-request', authenticateClient, async (req, res) => {
   try {
     console.log('Received SCRA request');
-    console.log('Raw request body:', JSON.stringify(req.body));
     
-    // Extract fields with consideration for both camelCase and Salesforce naming conventions
+    // Validate and normalize the fields (accepting both camelCase and Salesforce naming conventions)
+    const { errors, value } = validateScraRequest(req.body, { allowRawCredentials: ALLOW_RAW_CREDENTIALS });
+    if (value.credentialProfile && !credentialStore.hasProfile(value.credentialProfile)) {
+      errors.push({ field: 'credentialProfile', message: `Unknown credential profile "${value.credentialProfile}"` });
+    }
+    if (value.credentialPool && !accountPool.hasPool(value.credentialPool)) {
+      errors.push({ field: 'credentialPool', message: `No credential profiles in pool "${value.credentialPool}"` });
+    }
+    if (errors.length > 0) {
+      console.log(`Rejected SCRA request: ${errors.map(e => `${e.field}: ${e.message}`).join('; ')}`);
+      return res.status(400).json({ error: 'Invalid request', fields: errors });
+    }
+
     const {
       ssn,
-      dob, // optional
+      dob, // optional, normalized to MM/DD/YYYY
       lastName,
       firstName,
+      credentialProfile,
+      credentialPool,
       scraUsername,
       scraPassword,
-      matterId,
-      callbackUrl,
-      Callback_URL__c, // Salesforce custom field format
-      Server_URL__c, // Salesforce server URL format
-      endpointUrl // Direct endpoint URL
-    } = req.body;
-
-    // Clean and normalize the callback URL
-    let effectiveCallbackUrl = callbackUrl || Callback_URL__c || req.body['Callback_URL__c'] || endpointUrl || null;
-    
-    // Process and fix the URL if it exists
-    if (effectiveCallbackUrl) {
-      // Clean tab characters and whitespace
-      effectiveCallbackUrl = effectiveCallbackUrl.replace(/[\t\s]+/g, '');
-      
-      // Add protocol if missing
-      if (!effectiveCallbackUrl.startsWith('http')) {
-        effectiveCallbackUrl = 'https://' + effectiveCallbackUrl;
-      }
-      
-      console.log(`Normalized callback URL: ${effectiveCallbackUrl}`);
+      matterId
+    } = value;
+    const effectiveCallbackUrl = value.callbackUrl;
+    const { Server_URL__c } = req.body; // Salesforce server URL format
+
+    // Only deliver results to hosts registered for the calling client
+    if (effectiveCallbackUrl && !isCallbackHostAllowed(req.client, effectiveCallbackUrl)) {
+      console.log(`Rejected SCRA request from client ${req.client.id}: callback host not registered`);
+      return res.status(403).json({
+        error: 'Callback host is not registered for this client',
+        fields: [{ field: 'callbackUrl', message: `${new URL(effectiveCallbackUrl).hostname} is not an allowed callback host` }]
+      });
     }
 
     // Log the request (with sensitive data masked)
     console.log('Request data:', {
-      ssn: ssn ? `***-**-${ssn.replace(/\D/g, '').slice(-4)}` : 'NONE',
-      dob: dob || 'NONE',
+      ssn: ssn ? maskSsn(ssn) : 'NONE',
+      dob: dob ? 'PROVIDED' : 'NONE',
       lastName,
       firstName,
       matterId,
+      credentials: credentialProfile ? `profile ${credentialProfile}` : credentialPool ? `pool ${credentialPool}` : 'in the request',
       hasCallbackUrl: !!effectiveCallbackUrl,
       callbackUrl: effectiveCallbackUrl ? 
         `${effectiveCallbackUrl.substring(0, 15)}...${effectiveCallbackUrl.substring(effectiveCallbackUrl.length - 10)}` : 
@@ -379,22 +819,51 @@ app.post('/scra-request', async (req, res) => {
         dob,
         lastName,
         firstName,
-        scraUsername,
-        scraPassword,
+        // Jobs for a profile or pool keep only its name. A raw scraPassword is kept in memory only: jobStore leaves it
+        // out of the journal
+        ...(credentialProfile ? { credentialProfile } : credentialPool ? { credentialPool } : { scraUsername, scraPassword }),
         matterId,
         endpointUrl: effectiveCallbackUrl, // Use the normalized URL
         serverBaseUrl: currentBaseUrl
     };
 
-    // Add request to the queue
-    scraRequestQueue.push(automationParams);
-    console.log(`Request for Matter ID ${matterId} added to queue. Queue size: ${scraRequestQueue.length}`);
+    // Salesforce flows sometimes fire twice: hand back the existing job instead of searching again
+    // Idempotency keys and duplicate detection are scoped to the client that sent the request
+    const clientId = req.client ? req.client.id : null;
+    const idempotencyKey = req.get('Idempotency-Key') ? `${clientId || 'anonymous'}:${req.get('Idempotency-Key')}` : null;
+    const dedupeKey = jobStore.buildDedupeKey(matterId, ssn, clientId);
+    const existingJob = jobStore.findDuplicateJob({ idempotencyKey, dedupeKey });
+    if (existingJob) {
+      const finished = existingJob.state === jobStore.JOB_STATES.SUCCEEDED || existingJob.state === jobStore.JOB_STATES.FAILED;
+      console.log(`Request for Matter ID ${matterId} duplicates job ${existingJob.id} (${existingJob.state}), not queuing a new search`);
+      return res.status(finished ? 200 : 202).json({
+        message: finished ?
+          'An identical request finished recently; returning its stored result.' :
+          'An identical request is already queued or running; returning the existing job.',
+        duplicate: true,
+        ...describeJob(existingJob),
+        statusUrl: `${currentBaseUrl}/jobs/${existingJob.id}`
+      });
+    }
+
+    // Add request to the persistent queue
+    const job = jobStore.enqueueJob(automationParams, { idempotencyKey, dedupeKey, clientId });
+    const queueSize = jobStore.getQueuedJobs().length;
+    console.log(`Request for Matter ID ${matterId} from client ${clientId || 'anonymous'} added to queue as job ${job.id}. Queue size: ${queueSize}`);
 
-    // Send immediate response to Salesforce indicating the request is queued
+    // Send immediate response to Salesforce indicating the request is queued, and when it should start
+    const { expectedStartAt, heldBy } = describeThrottle(job);
+    if (heldBy) {
+      console.log(`Job ${job.id} is held (${heldBy}) until ${expectedStartAt}`);
+    }
     res.status(202).json({ 
       message: 'Request received and queued for processing.',
+      jobId: job.id,
+      statusUrl: `${currentBaseUrl}/jobs/${job.id}`,
       matterId: matterId,
-      queuePosition: scraRequestQueue.length 
+      queuePosition: queueSize,
+      expectedStartAt,
+      heldBy
     });
 
     // Attempt to process the queue
@@ -409,23 +878,80 @@ app.post('/scra-request', async (req, res) => {
   }
 });
 
+// Fail fast on a broken client, key or selector configuration
+loadClients();
+encryption.loadKeys();
+selectors.loadSelectors();
+sessionManager.loadSessions();
+credentialStore.loadCredentialProfiles();
+accountPool.loadAccountPool();
+throttle.loadThrottle();
+circuitBreaker.setResumeHandler(processScraQueue);
+
+// Legal holds first: they exempt old jobs and deliveries from the history cutoffs applied on load
+retention.loadLegalHolds();
+// Restore queued and interrupted jobs before accepting new requests
+const { abandonedJobs } = jobStore.loadJobs({ isHeld: retention.isOnLegalHold });
+// Resume callback deliveries that were still being retried
+outbox.loadOutbox({ isHeld: retention.isOnLegalHold });
+abandonedJobs.forEach(notifyJobFailed);
+runCatalog.loadCatalog();
+
 const server = app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  // Resume any jobs left over from the previous run
+  processScraQueue();
+  retention.startSweeper();
+  accountPool.startExpiryChecks();
 });
 
+// Wait until no job is running, or until the deadline passes
+async function waitForRunningJobs(deadline) {
+  while (runningJobIds.size > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+}
+
+// Drain in-flight work, then checkpoint whatever is left so the next boot picks it up
+async function shutdown(signal) {
+  if (isShuttingDown) {
+    console.log(`Received ${signal} again, forcing shutdown`);
+    process.exit(1);
+  }
+
+  isShuttingDown = true;
+  const deadline = Date.now() + SHUTDOWN_GRACE_MS;
+  console.log(`Received ${signal}, gracefully shutting down (grace period ${SHUTDOWN_GRACE_MS / 1000}s)...`);
+
+  try {
+    if (runningJobIds.size > 0) {
+      console.log(`Waiting for ${runningJobIds.size} running job(s) to finish...`);
+      await waitForRunningJobs(deadline);
+    }
+
+    // Give finished jobs a chance to deliver their callbacks
+    await outbox.flush(Math.max(0, deadline - Date.now()));
+
+    // Anything still running goes back to the queue; queued jobs are already in the journal
+    for (const jobId of runningJobIds) {
+      console.log(`Checkpointing unfinished job ${jobId} for the next boot`);
+      jobStore.checkpointJob(jobId);
+    }
+    console.log(`${jobStore.getQueuedJobs().length} queued job(s) will resume on the next boot`);
+    jobStore.closeJobStore();
+    runCatalog.closeCatalog();
+  } catch (error) {
+    console.error('Error during graceful shutdown:', error);
+  }
+
+  // Exit straight away: Playwright kills the browser with the process, and nothing
+  // may touch the job journal once it has been closed
+  server.close();
+  console.log('HTTP server closed');
+  process.exit(0);
+}
+
 // Handle graceful shutdown
 ['SIGINT', 'SIGTERM'].forEach(signal => {
-  process.on(signal, () => {
-    console.log(`Received ${signal}, gracefully shutting down...`);
-    server.close(() => {
-      console.log('HTTP server closed');
-      process.exit(0);
-    });
-    
-    // Force exit after 5 seconds if closing takes too long
-    setTimeout(() => {
-      console.log('Forcing shutdown after timeout');
-      process.exit(1);
-    }, 5000);
-  });
+  process.on(signal, () => shutdown(signal));
 }); 
\ No newline at end of file
@@ -0,0 +1,152 @@
+const path = require('path');
+const fs = require('fs');
+const { writeArtifact, readJsonArtifact } = require('./encryption');
+const { accountKey, maskUsername } = require('./credentialStore');
+
+// Root directory is one level up from src
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+const SESSIONS_DIR = path.join(DATA_DIR, 'sessions');
+
+// Logged-in DMDC sessions, one per SCRA account, kept as Playwright storage state (cookies and local storage)
+// so the next lookup for the account starts already logged in instead of going through the modal and login again.
+// Storage state is as good as the account password while it lasts: it is only kept encrypted (see encryption.js).
+const SESSION_REUSE_ENABLED = process.env.SESSION_REUSE_ENABLED !== 'false';
+// Sessions are not offered past these limits; DMDC would most likely have ended them anyway
+const SESSION_MAX_AGE_MS = parseInt(process.env.SESSION_MAX_AGE_MS) || 8 * 60 * 60 * 1000;
+const SESSION_MAX_IDLE_MS = parseInt(process.env.SESSION_MAX_IDLE_MS) || 20 * 60 * 1000;
+
+const sessions = new Map(); // account key -> session record
+
+function sessionPath(key) {
+  return path.join(SESSIONS_DIR, `${key}.json`);
+}
+
+function saveSession(session) {
+  if (!fs.existsSync(SESSIONS_DIR)) {
+    fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+  }
+  writeArtifact(sessionPath(session.accountKey), JSON.stringify(session));
+}
+
+function loadSessions() {
+  sessions.clear();
+  const files = fs.existsSync(SESSIONS_DIR) ? fs.readdirSync(SESSIONS_DIR).filter(name => name.endsWith('.json')) : [];
+  for (const file of files) {
+    try {
+      const session = readJsonArtifact(path.join(SESSIONS_DIR, file));
+      sessions.set(session.accountKey, session);
+    } catch (error) {
+      console.error(`Skipping unreadable session ${file}:`, error.message);
+    }
+  }
+  console.log(`Sessions loaded: ${sessions.size} (reuse ${SESSION_REUSE_ENABLED ? 'enabled' : 'disabled'})`);
+}
+
+// Why a stored session should not be offered any more, or null if it can be
+function staleReason(session, now = Date.now()) {
+  if (!session.storageState) return 'no stored session';
+  if (now - new Date(session.loggedInAt).getTime() > SESSION_MAX_AGE_MS) return 'older than SESSION_MAX_AGE_MS';
+  if (now - new Date(session.lastUsedAt).getTime() > SESSION_MAX_IDLE_MS) return 'idle longer than SESSION_MAX_IDLE_MS';
+  return null;
+}
+
+// The stored session for an account, as { storageState, userAgent }, or null if a fresh login is needed
+function getSession(username) {
+  if (!SESSION_REUSE_ENABLED || !username) return null;
+  const session = sessions.get(accountKey(username));
+  if (!session) return null;
+
+  const reason = staleReason(session);
+  if (reason) {
+    if (session.storageState) {
+      markExpired(username, reason);
+    }
+    return null;
+  }
+  return { storageState: session.storageState, userAgent: session.userAgent };
+}
+
+// A fresh login succeeded; keep its storage state for the next lookups
+function recordLogin(username, { storageState, userAgent }) {
+  if (!SESSION_REUSE_ENABLED) return;
+  const key = accountKey(username);
+  const previous = sessions.get(key) || {};
+  const now = new Date().toISOString();
+  const session = {
+    accountKey: key,
+    account: maskUsername(username),
+    storageState,
+    userAgent,
+    loggedInAt: now,
+    lastUsedAt: now,
+    logins: (previous.logins || 0) + 1,
+    reuses: 0,
+    totalReuses: previous.totalReuses || 0,
+    expiries: previous.expiries || 0,
+    lastExpiredAt: previous.lastExpiredAt || null,
+    lastExpiryReason: previous.lastExpiryReason || null
+  };
+  sessions.set(key, session);
+  saveSession(session);
+  console.log(`Session stored for account ${session.account}`);
+}
+
+// A lookup ran on a stored session without having to log in; refresh the state, DMDC may have renewed cookies
+function recordReuse(username, { storageState }) {
+  const session = sessions.get(accountKey(username));
+  if (!session || !session.storageState) return;
+  session.storageState = storageState;
+  session.lastUsedAt = new Date().toISOString();
+  session.reuses++;
+  session.totalReuses++;
+  saveSession(session);
+}
+
+// The site showed the modal or login form again (or the session went stale): forget the state
+function markExpired(username, reason) {
+  const session = sessions.get(accountKey(username));
+  if (!session || !session.storageState) return;
+  session.storageState = null;
+  session.expiries++;
+  session.lastExpiredAt = new Date().toISOString();
+  session.lastExpiryReason = reason;
+  saveSession(session);
+  console.log(`Session for account ${session.account} expired: ${reason}`);
+}
+
+// Session age and health per account, without the storage state itself
+function getSessionStatus() {
+  const now = Date.now();
+  return {
+    reuseEnabled: SESSION_REUSE_ENABLED,
+    maxAgeMs: SESSION_MAX_AGE_MS,
+    maxIdleMs: SESSION_MAX_IDLE_MS,
+    accounts: Array.from(sessions.values()).map(session => {
+      const reason = staleReason(session, now);
+      return {
+        account: session.account,
+        state: !session.storageState ? 'expired' : reason ? 'stale' : 'active',
+        loggedInAt: session.loggedInAt,
+        ageSeconds: Math.round((now - new Date(session.loggedInAt).getTime()) / 1000),
+        lastUsedAt: session.lastUsedAt,
+        idleSeconds: Math.round((now - new Date(session.lastUsedAt).getTime()) / 1000),
+        reuses: session.reuses,
+        totalReuses: session.totalReuses,
+        logins: session.logins,
+        expiries: session.expiries,
+        lastExpiredAt: session.lastExpiredAt,
+        lastExpiryReason: session.lastExpiryReason
+      };
+    })
+  };
+}
+
+module.exports = {
+  loadSessions,
+  getSession,
+  recordLogin,
+  recordReuse,
+  markExpired,
+  getSessionStatus
+};
@@ -0,0 +1,238 @@
+const path = require('path');
+const fs = require('fs');
+
+// Root directory is one level up from src
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+const THROTTLE_PATH = path.join(DATA_DIR, 'throttle.json');
+
+// Pace lookups per SCRA account so DMDC does not flag it: a minimum gap between two lookups, hourly and daily
+// caps, and quiet hours with no lookups at all. Jobs over the budget stay queued until their account may run again.
+// Accounts are identified by a hash of the DMDC username, so a profile and raw credentials for the same account share one budget.
+const THROTTLE_MIN_SPACING_MS = process.env.THROTTLE_MIN_SPACING_MS !== undefined ? parseInt(process.env.THROTTLE_MIN_SPACING_MS) : 10 * 1000;
+// 0 means no cap
+const THROTTLE_MAX_PER_HOUR = parseInt(process.env.THROTTLE_MAX_PER_HOUR) || 0;
+const THROTTLE_MAX_PER_DAY = parseInt(process.env.THROTTLE_MAX_PER_DAY) || 0;
+// e.g. "22:00-06:00", in THROTTLE_TIMEZONE
+const THROTTLE_QUIET_HOURS = process.env.THROTTLE_QUIET_HOURS || null;
+const THROTTLE_TIMEZONE = process.env.THROTTLE_TIMEZONE || 'America/New_York';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MINUTE_MS = 60 * 1000;
+
+const accounts = new Map(); // account key -> { label, starts: [ms, oldest first] } for the last 24 hours
+const reserved = new Map(); // account key -> runs started that have not reached DMDC yet (in memory only)
+
+// "22:00-06:00" -> { start: 1320, end: 360 } in minutes after midnight
+function parseQuietHours(value) {
+  if (!value) return null;
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    throw new Error(`THROTTLE_QUIET_HOURS must look like 22:00-06:00 (got "${value}")`);
+  }
+  const [startHour, startMinute, endHour, endMinute] = match.slice(1).map(Number);
+  if (startHour > 23 || endHour > 23 || startMinute > 59 || endMinute > 59) {
+    throw new Error(`THROTTLE_QUIET_HOURS has an invalid time (got "${value}")`);
+  }
+  return { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute };
+}
+
+const quietHours = parseQuietHours(THROTTLE_QUIET_HOURS);
+const timeFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: THROTTLE_TIMEZONE, hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+});
+
+// Minutes after midnight in THROTTLE_TIMEZONE, with fractions
+function minutesOfDay(time) {
+  const parts = Object.fromEntries(timeFormat.formatToParts(new Date(time)).map(part => [part.type, Number(part.value)]));
+  return parts.hour * 60 + parts.minute + (parts.second * 1000 + time % 1000) / MINUTE_MS;
+}
+
+// When the quiet hours covering this time end, or null outside them
+function quietHoursEnd(time) {
+  if (!quietHours || quietHours.start === quietHours.end) return null;
+  const minutes = minutesOfDay(time);
+  const { start, end } = quietHours;
+  const isQuiet = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  if (!isQuiet) return null;
+  return time + Math.ceil(((end - minutes + 24 * 60) % (24 * 60)) * MINUTE_MS);
+}
+
+function prune(starts, now) {
+  while (starts.length > 0 && starts[0] <= now - DAY_MS) {
+    starts.shift();
+  }
+  return starts;
+}
+
+function saveThrottle() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  const state = {};
+  for (const [key, { label, starts }] of accounts) {
+    state[key] = { label, starts: starts.map(time => new Date(time).toISOString()) };
+  }
+  const tmpPath = `${THROTTLE_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpPath, THROTTLE_PATH);
+}
+
+// Lookups of the last 24 hours survive restarts, so a restart does not reset the daily cap
+function loadThrottle() {
+  accounts.clear();
+  const now = Date.now();
+  if (fs.existsSync(THROTTLE_PATH)) {
+    for (const [key, { label, starts }] of Object.entries(JSON.parse(fs.readFileSync(THROTTLE_PATH, 'utf8')))) {
+      accounts.set(key, { label, starts: prune(starts.map(time => new Date(time).getTime()), now) });
+    }
+  }
+  console.log(`Throttle loaded: spacing ${THROTTLE_MIN_SPACING_MS / 1000}s, ` +
+    `${THROTTLE_MAX_PER_HOUR || 'unlimited'}/hour, ${THROTTLE_MAX_PER_DAY || 'unlimited'}/day per account, ` +
+    `quiet hours ${THROTTLE_QUIET_HOURS ? `${THROTTLE_QUIET_HOURS} ${THROTTLE_TIMEZONE}` : 'none'}`);
+}
+
+// Earliest time a lookup may start given an account's previous starts, and what holds it until then
+function earliestStart(starts, now) {
+  let at = now;
+  let heldBy = null;
+  function holdUntil(time, reason) {
+    if (time > at) {
+      at = time;
+      heldBy = reason;
+    }
+  }
+
+  if (starts.length > 0 && THROTTLE_MIN_SPACING_MS > 0) {
+    holdUntil(starts[starts.length - 1] + THROTTLE_MIN_SPACING_MS, 'spacing');
+  }
+  // With the cap reached, wait until the oldest start that counts drops out of the window
+  const lastHour = starts.filter(time => time > now - HOUR_MS);
+  if (THROTTLE_MAX_PER_HOUR > 0 && lastHour.length >= THROTTLE_MAX_PER_HOUR) {
+    holdUntil(lastHour[lastHour.length - THROTTLE_MAX_PER_HOUR] + HOUR_MS, 'hourly_limit');
+  }
+  const lastDay = starts.filter(time => time > now - DAY_MS);
+  if (THROTTLE_MAX_PER_DAY > 0 && lastDay.length >= THROTTLE_MAX_PER_DAY) {
+    holdUntil(lastDay[lastDay.length - THROTTLE_MAX_PER_DAY] + DAY_MS, 'daily_limit');
+  }
+  const quietEnd = quietHoursEnd(at);
+  if (quietEnd) {
+    holdUntil(quietEnd, 'quiet_hours');
+  }
+  return { at, heldBy };
+}
+
+function startsOf(key, now = Date.now()) {
+  return accounts.has(key) ? prune(accounts.get(key).starts, now) : [];
+}
+
+// The starts the throttle plans around: the recorded ones, plus one now for each reserved run,
+// so a second run for the account does not start alongside one that has not reached DMDC yet
+function plannedStarts(key, now) {
+  const starts = startsOf(key, now).slice();
+  for (let i = 0; i < (reserved.get(key) || 0); i++) {
+    starts.push(now);
+  }
+  return starts;
+}
+
+// Whether a lookup for this account may start right now
+function canStart(key, now = Date.now()) {
+  return earliestStart(plannedStarts(key, now), now).at <= now;
+}
+
+// A run for the account is starting but is not charged until it reaches DMDC (recordLookup).
+// Returns release(), to call once the run is over or charged; calling it again does nothing.
+function reserveLookup(key) {
+  reserved.set(key, (reserved.get(key) || 0) + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const count = reserved.get(key) - 1;
+    if (count > 0) {
+      reserved.set(key, count);
+    } else {
+      reserved.delete(key);
+    }
+  };
+}
+
+// A lookup for the account starts now. label (a profile name or masked username) is only for the status API.
+function recordLookup(key, label, now = Date.now()) {
+  if (!accounts.has(key)) {
+    accounts.set(key, { label, starts: [] });
+  }
+  const account = accounts.get(key);
+  account.label = label;
+  prune(account.starts, now).push(now);
+  saveThrottle();
+}
+
+// When each queued job is expected to start, taking the jobs ahead of it into account.
+// jobs are in queue order, as { id, accounts: [{ key, label }] } with the accounts the job may run on
+// (several for a pool; none when there is nothing to throttle).
+// Returns a Map of job ID -> { expectedStartAt (ms), heldBy, account }; heldBy is null when the job may start now.
+// Busy workers are not modelled: a job may start later than planned, never earlier.
+function planQueue(jobs, now = Date.now()) {
+  const simulated = new Map();
+  const simulatedStarts = key => {
+    if (!simulated.has(key)) simulated.set(key, plannedStarts(key, now));
+    return simulated.get(key);
+  };
+
+  const plan = new Map();
+  for (const job of jobs) {
+    let best = null;
+    for (const account of job.accounts) {
+      const { at, heldBy } = earliestStart(simulatedStarts(account.key), now);
+      if (!best || at < best.at) {
+        best = { at, heldBy, account };
+      }
+    }
+    if (!best) {
+      // Not tied to a known account; only the quiet hours apply
+      const quietEnd = quietHoursEnd(now);
+      plan.set(job.id, { expectedStartAt: quietEnd || now, heldBy: quietEnd ? 'quiet_hours' : null, account: null });
+      continue;
+    }
+    simulatedStarts(best.account.key).push(best.at);
+    plan.set(job.id, { expectedStartAt: best.at, heldBy: best.at > now ? best.heldBy : null, account: best.account.label });
+  }
+  return plan;
+}
+
+// Throttle settings and per-account usage, for the status API
+function getThrottleStatus() {
+  const now = Date.now();
+  return {
+    minSpacingMs: THROTTLE_MIN_SPACING_MS,
+    maxPerHour: THROTTLE_MAX_PER_HOUR || null,
+    maxPerDay: THROTTLE_MAX_PER_DAY || null,
+    quietHours: THROTTLE_QUIET_HOURS,
+    timezone: THROTTLE_TIMEZONE,
+    inQuietHours: !!quietHoursEnd(now),
+    accounts: Array.from(accounts.keys()).map(key => {
+      const starts = startsOf(key, now);
+      const { at } = earliestStart(starts, now);
+      return {
+        account: accounts.get(key).label,
+        lastLookupAt: starts.length > 0 ? new Date(starts[starts.length - 1]).toISOString() : null,
+        lookupsLastHour: starts.filter(time => time > now - HOUR_MS).length,
+        lookupsLastDay: starts.length,
+        nextLookupAt: new Date(at).toISOString()
+      };
+    })
+  };
+}
+
+module.exports = {
+  parseQuietHours,
+  loadThrottle,
+  canStart,
+  reserveLookup,
+  recordLookup,
+  planQueue,
+  getThrottleStatus
+};
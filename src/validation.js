@@ -0,0 +1,171 @@
+// Up-front validation of /scra-request bodies, so bad input is reported to Salesforce
+// synchronously instead of failing minutes later inside the browser run.
+
+// DMDC single record search limits: names are letters, spaces, hyphens and apostrophes only
+const NAME_PATTERN = /^[A-Za-z][A-Za-z '\-]*$/;
+const NAME_MAX_LENGTHS = {
+  lastName: 26,
+  firstName: 20
+};
+
+// Clean the callback URL the way Salesforce sends it (stray tabs/spaces, sometimes no protocol)
+function normalizeCallbackUrl(url) {
+  if (!url) return null;
+  let normalized = String(url).replace(/[\t\s]+/g, '');
+  if (!normalized.startsWith('http')) {
+    normalized = 'https://' + normalized;
+  }
+  return normalized;
+}
+
+function validateSsn(ssn, errors) {
+  if (ssn === undefined || ssn === null || ssn === '') {
+    errors.push({ field: 'ssn', message: 'SSN is required' });
+    return null;
+  }
+  const value = String(ssn).trim();
+  if (!/^[0-9\- ]+$/.test(value)) {
+    errors.push({ field: 'ssn', message: 'SSN may only contain digits, dashes and spaces' });
+    return null;
+  }
+  const digits = value.replace(/\D/g, '');
+  if (digits.length !== 9) {
+    errors.push({ field: 'ssn', message: `SSN must have 9 digits (got ${digits.length})` });
+    return null;
+  }
+  return digits;
+}
+
+// Accepts MM/DD/YYYY (leading zeros optional) or ISO YYYY-MM-DD (with or without a time part)
+// and returns MM/DD/YYYY, the format the DMDC date of birth field expects
+function validateDob(dob, errors) {
+  if (dob === undefined || dob === null || dob === '') {
+    return null; // optional
+  }
+  const value = String(dob).trim();
+  let month;
+  let day;
+  let year;
+
+  let match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    [, month, day, year] = match.map(Number);
+  } else if ((match = value.match(/^(\d{4})-(\d{2})-(\d{2})(T.*)?$/))) {
+    [, year, month, day] = match.slice(0, 4).map(Number);
+  } else {
+    errors.push({ field: 'dob', message: 'Date of birth must be MM/DD/YYYY or YYYY-MM-DD' });
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const isRealDate = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  if (!isRealDate) {
+    errors.push({ field: 'dob', message: `${value} is not a valid date` });
+    return null;
+  }
+  if (year < 1900 || date.getTime() > Date.now()) {
+    errors.push({ field: 'dob', message: 'Date of birth must be between 1900 and today' });
+    return null;
+  }
+
+  return `${String(month).padStart(2, '0')}/${String(day).padStart(2, '0')}/${year}`;
+}
+
+function validateName(field, name, errors) {
+  if (name === undefined || name === null || String(name).trim() === '') {
+    errors.push({ field, message: `${field} is required` });
+    return null;
+  }
+  const value = String(name).trim().replace(/\s+/g, ' ');
+  if (!NAME_PATTERN.test(value)) {
+    errors.push({ field, message: `${field} may only contain letters, spaces, hyphens and apostrophes` });
+    return null;
+  }
+  if (value.length > NAME_MAX_LENGTHS[field]) {
+    errors.push({ field, message: `${field} must be at most ${NAME_MAX_LENGTHS[field]} characters` });
+    return null;
+  }
+  return value;
+}
+
+function validateRequired(field, value, errors) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    errors.push({ field, message: `${field} is required` });
+    return null;
+  }
+  return String(value).trim();
+}
+
+function validateCallbackUrl(url, errors) {
+  if (!url) {
+    return null; // optional: results are then only kept on the server
+  }
+  try {
+    const parsed = new URL(url);
+    const hasRealHost = parsed.hostname.includes('.') || parsed.hostname === 'localhost';
+    if (!['http:', 'https:'].includes(parsed.protocol) || !hasRealHost) {
+      throw new Error('unsupported URL');
+    }
+    return url;
+  } catch (e) {
+    errors.push({ field: 'callbackUrl', message: 'Callback URL must be a valid http(s) URL' });
+    return null;
+  }
+}
+
+// The SCRA account comes from a stored credential profile, from a pool of them (see accountPool.js) or, unless
+// allowRawCredentials is off, as scraUsername / scraPassword in the body. Whether the profile or pool exists is
+// checked by the caller.
+function validateCredentials(input, errors, { allowRawCredentials = true } = {}) {
+  const isSet = value => value !== undefined && value !== null && value !== '';
+  const hasRawCredentials = !!(input.scraUsername || input.scraPassword);
+  const sources = [isSet(input.credentialProfile), isSet(input.credentialPool), hasRawCredentials].filter(Boolean).length;
+  if (sources > 1) {
+    errors.push({ field: 'credentialProfile', message: 'Send only one of credentialProfile, credentialPool or scraUsername and scraPassword' });
+    return {};
+  }
+  if (isSet(input.credentialProfile)) {
+    return { credentialProfile: String(input.credentialProfile).trim() };
+  }
+  if (isSet(input.credentialPool)) {
+    return { credentialPool: String(input.credentialPool).trim() };
+  }
+  if (!allowRawCredentials) {
+    errors.push({
+      field: hasRawCredentials ? 'scraPassword' : 'credentialProfile',
+      message: hasRawCredentials ?
+        'Raw SCRA credentials are not accepted; reference a stored credentialProfile or credentialPool instead' :
+        'credentialProfile or credentialPool is required'
+    });
+    return {};
+  }
+  return {
+    scraUsername: validateRequired('scraUsername', input.scraUsername, errors),
+    scraPassword: input.scraPassword ? String(input.scraPassword) : validateRequired('scraPassword', input.scraPassword, errors)
+  };
+}
+
+// Validate and normalize a /scra-request body.
+// Returns { errors: [{ field, message }], value } where value holds the normalized fields.
+function validateScraRequest(body, options = {}) {
+  const errors = [];
+  const input = body && typeof body === 'object' ? body : {};
+
+  const value = {
+    ssn: validateSsn(input.ssn, errors),
+    dob: validateDob(input.dob, errors),
+    lastName: validateName('lastName', input.lastName, errors),
+    firstName: validateName('firstName', input.firstName, errors),
+    matterId: validateRequired('matterId', input.matterId, errors),
+    ...validateCredentials(input, errors, options),
+    // Salesforce may send the callback URL under any of these names
+    callbackUrl: validateCallbackUrl(
+      normalizeCallbackUrl(input.callbackUrl || input.Callback_URL__c || input.endpointUrl),
+      errors
+    )
+  };
+
+  return { errors, value };
+}
+
+module.exports = { validateScraRequest, normalizeCallbackUrl, validateCallbackUrl };
@@ -0,0 +1,77 @@
+// Default time budget for each stage of a run, overridable per stage with STAGE_TIMEOUT_<STAGE>_MS
+// (e.g. STAGE_TIMEOUT_NAVIGATION_MS=240000)
+const DEFAULT_STAGE_BUDGETS_MS = {
+  browser_init: 60 * 1000,
+  navigation: 180 * 1000,
+  login: 60 * 1000,
+  form: 60 * 1000,
+  download: 120 * 1000,
+  analysis: 30 * 1000,
+  callback: 60 * 1000
+};
+
+function getStageBudget(stage) {
+  const override = parseInt(process.env[`STAGE_TIMEOUT_${stage.toUpperCase()}_MS`]);
+  return override || DEFAULT_STAGE_BUDGETS_MS[stage] || null;
+}
+
+function getStageBudgets() {
+  const budgets = {};
+  for (const stage of Object.keys(DEFAULT_STAGE_BUDGETS_MS)) {
+    budgets[stage] = getStageBudget(stage);
+  }
+  return budgets;
+}
+
+// Per-job watchdog. Call stage() as the job moves through its stages; if a stage outlives its budget,
+// onTimeout({ stage, budgetMs }) is called once so the job can abort itself (the process keeps running),
+// then every promise passed through guard() rejects, so work that no abort reaches (PDF parsing, plain
+// HTTP requests) cannot keep the job hanging.
+function createWatchdog({ label, onTimeout }) {
+  let timer = null;
+  let expired = null;
+  let rejectAborted;
+  const aborted = new Promise((resolve, reject) => {
+    rejectAborted = reject;
+  });
+  aborted.catch(() => {}); // only observed through guard()
+
+  async function fire(stage, budgetMs) {
+    timer = null;
+    expired = { stage, budgetMs, at: new Date().toISOString() };
+    console.error(`WATCHDOG: ${label} exceeded the ${budgetMs / 1000}s budget for stage "${stage}", aborting the job`);
+    try {
+      await onTimeout(expired);
+    } catch (abortError) {
+      console.error(`WATCHDOG: failed to abort ${label}:`, abortError.message);
+    }
+    rejectAborted(new Error(`Stage "${stage}" exceeded its ${budgetMs / 1000}s budget`));
+  }
+
+  return {
+    stage(stage) {
+      clearTimeout(timer);
+      timer = null;
+      if (expired) return;
+
+      const budgetMs = getStageBudget(stage);
+      if (budgetMs) {
+        timer = setTimeout(() => fire(stage, budgetMs), budgetMs);
+      }
+    },
+    // Settles like promise, or rejects once the watchdog has fired
+    guard(promise) {
+      return Promise.race([promise, aborted]);
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+    // { stage, budgetMs, at } once the watchdog has fired, otherwise null
+    get expired() {
+      return expired;
+    }
+  };
+}
+
+module.exports = { createWatchdog, getStageBudget, getStageBudgets };